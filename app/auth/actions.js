@@ -0,0 +1,22 @@
+'use server';
+
+import { createClient } from '@/utils/supabase/server';
+import { getConfirmUrl } from '@/utils/auth-redirect';
+
+// Sends a password reset link. The reply is the same whether or not the
+// email belongs to an account, so the form cannot be used to find users.
+export async function requestPasswordReset({ email }) {
+  const supabase = await createClient();
+
+  const { error } = await supabase.auth.resetPasswordForEmail(
+    email.trim().toLowerCase(),
+    { redirectTo: await getConfirmUrl() }
+  );
+
+  if (error?.code === 'over_email_send_rate_limit') {
+    return {
+      error: 'Terlalu banyak permintaan. Tunggu beberapa menit lalu coba lagi.',
+    };
+  }
+  return {};
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import {
+  LAST_ACTIVITY_COOKIE,
+  LAST_ACTIVITY_COOKIE_OPTIONS,
+} from '@/lib/session';
+
+// Links that land the user on the set-password form instead of the dashboard
+const SET_PASSWORD_TYPES = ['invite', 'recovery'];
+
+// Target of the links in auth emails. The email templates send a token
+// hash, which is exchanged here for a session cookie.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const tokenHash = searchParams.get('token_hash');
+  const type = searchParams.get('type');
+  const code = searchParams.get('code');
+
+  const supabase = await createClient();
+  let error = null;
+  if (tokenHash && type) {
+    ({ error } = await supabase.auth.verifyOtp({
+      type,
+      token_hash: tokenHash,
+    }));
+  } else if (code) {
+    ({ error } = await supabase.auth.exchangeCodeForSession(code));
+  } else {
+    error = new Error('Tautan tidak lengkap');
+  }
+
+  const url = request.nextUrl.clone();
+  url.search = '';
+  if (error) {
+    url.pathname = '/error';
+    url.searchParams.set('reason', 'link');
+  } else {
+    url.pathname = SET_PASSWORD_TYPES.includes(type)
+      ? '/auth/set-password'
+      : '/';
+  }
+  const response = NextResponse.redirect(url);
+  // A fresh session starts active, whatever an earlier session left behind
+  if (!error) {
+    response.cookies.set(
+      LAST_ACTIVITY_COOKIE,
+      String(Date.now()),
+      LAST_ACTIVITY_COOKIE_OPTIONS
+    );
+  }
+  return response;
+}
@@ -0,0 +1,58 @@
+import { GalleryVerticalEnd } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+
+// Known causes, passed by the pages that redirect here
+const ERROR_REASONS = {
+  link: {
+    title: 'Tautan Tidak Berlaku',
+    description:
+      'Tautan ini tidak valid atau sudah kedaluwarsa. Minta tautan baru lalu coba lagi.',
+  },
+};
+
+const DEFAULT_REASON = {
+  title: 'Terjadi Kesalahan',
+  description: 'Permintaan Anda tidak dapat diproses. Silakan coba lagi.',
+};
+
+export default async function ErrorPage({ searchParams }) {
+  const { reason } = await searchParams;
+  const { title, description } = ERROR_REASONS[reason] || DEFAULT_REASON;
+
+  return (
+    <div className="bg-muted flex min-h-svh flex-col items-center justify-center gap-6 p-6 md:p-10">
+      <div className="flex w-full max-w-sm flex-col gap-6">
+        <a href="#" className="flex items-center gap-2 self-center font-medium">
+          <div className="bg-primary text-primary-foreground flex size-6 items-center justify-center rounded-md">
+            <GalleryVerticalEnd className="size-4" />
+          </div>
+          MPA Minatama
+        </a>
+        <Card>
+          <CardHeader className="text-center">
+            <CardTitle className="text-xl">{title}</CardTitle>
+            <CardDescription>{description}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-3">
+            {reason === 'link' && (
+              <Button asChild className="w-full">
+                <a href="/auth/reset-password">Minta Tautan Baru</a>
+              </Button>
+            )}
+            <Button asChild variant="outline" className="w-full">
+              <a href="/login">Ke Halaman Masuk</a>
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 import { Geist, Geist_Mono } from 'next/font/google';
 import './globals.css';
+import { Toaster } from 'sonner';
 import { ThemeProvider } from '@/components/theme-provider';
+import { StockAlerts } from '@/components/stock-alerts';
+import { IdleTimeout } from '@/components/idle-timeout';
 
 const geistSans = Geist({
   variable: '--font-geist-sans',
@@ -29,6 +32,9 @@ export default function RootLayout({ children }) {
           disableTransitionOnChange
         >
           {children}
+          <StockAlerts />
+          <IdleTimeout />
+          <Toaster richColors closeButton />
         </ThemeProvider>
       </body>
     </html>
@@ -1,28 +1,166 @@
 'use server';
 
-'use server';
-
 import { revalidatePath } from 'next/cache';
+import { cookies, headers } from 'next/headers';
 import { redirect } from 'next/navigation';
 import { createClient } from '@/utils/supabase/server';
+import { createAdminClient } from '@/utils/supabase/admin';
+import {
+  LAST_ACTIVITY_COOKIE,
+  LAST_ACTIVITY_COOKIE_OPTIONS,
+} from '@/lib/session';
+
+// Messages from Supabase auth shown to the user in Indonesian
+const LOGIN_ERROR_MESSAGES = {
+  invalid_credentials: 'Email atau kata sandi salah',
+  email_not_confirmed: 'Email belum dikonfirmasi. Buka tautan undangan Anda.',
+  user_banned: 'Akun Anda telah dinonaktifkan. Hubungi admin.',
+  over_request_rate_limit:
+    'Terlalu banyak percobaan. Tunggu sebentar lalu coba lagi.',
+};
+
+// Failed sign-ins allowed within the window before further attempts are
+// refused. The IP limit is higher because a warehouse shares one address.
+const THROTTLE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_EMAIL = 5;
+const MAX_FAILURES_PER_IP = 20;
+
+// Address as seen by the proxy in front of the app. Clients can send their
+// own x-forwarded-for entries and x-real-ip, so only the hop the proxy
+// appended last is trusted.
+async function getClientIp() {
+  const headerList = await headers();
+  return (
+    headerList.get('x-forwarded-for')?.split(',').at(-1).trim() || 'unknown'
+  );
+}
+
+// Throttling is best effort: a failed write is logged, not shown to the user
+async function logIfFailed(message, query) {
+  const { error } = await query;
+  if (error) console.error(message, error);
+}
+
+// Milliseconds until the oldest of the last `limit` failures for the column
+// leaves the window, or 0 when attempts are still allowed
+async function getLockoutMs(admin, column, value, limit) {
+  const { data, error } = await admin
+    .from('login_attempts')
+    .select('attempted_at')
+    .eq(column, value)
+    .gte(
+      'attempted_at',
+      new Date(Date.now() - THROTTLE_WINDOW_MS).toISOString()
+    )
+    .order('attempted_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  if (data.length < limit) return 0;
+  return (
+    new Date(data[limit - 1].attempted_at).getTime() +
+    THROTTLE_WINDOW_MS -
+    Date.now()
+  );
+}
 
 export async function login({ email, password }) {
   const supabase = await createClient();
+  const normalizedEmail = email.trim().toLowerCase();
+  const ip = await getClientIp();
+
+  let admin = null;
+  let lockoutMs = 0;
+  try {
+    admin = createAdminClient();
+    lockoutMs = Math.max(
+      await getLockoutMs(
+        admin,
+        'email',
+        normalizedEmail,
+        MAX_FAILURES_PER_EMAIL
+      ),
+      await getLockoutMs(admin, 'ip', ip, MAX_FAILURES_PER_IP)
+    );
+  } catch (error) {
+    // A missing service role key or an unreachable table must not lock
+    // everyone out, so sign in without throttling instead
+    console.warn('Login throttling skipped', error);
+    admin = null;
+    lockoutMs = 0;
+  }
+  if (lockoutMs > 0) {
+    return {
+      error: `Terlalu banyak percobaan masuk yang gagal. Coba lagi dalam ${Math.ceil(
+        lockoutMs / 60000
+      )} menit.`,
+    };
+  }
 
-  const { error } = await supabase.auth.signInWithPassword({
-    email,
+  const { data, error } = await supabase.auth.signInWithPassword({
+    email: normalizedEmail,
     password,
   });
 
   if (error) {
-    redirect('/error');
+    if (admin && error.code === 'invalid_credentials') {
+      await logIfFailed(
+        'Failed to record login attempt',
+        admin.from('login_attempts').insert({ email: normalizedEmail, ip })
+      );
+      // Rows outside the window no longer count for anyone
+      await logIfFailed(
+        'Failed to prune login attempts',
+        admin
+          .from('login_attempts')
+          .delete()
+          .lt(
+            'attempted_at',
+            new Date(Date.now() - THROTTLE_WINDOW_MS).toISOString()
+          )
+      );
+    }
+    return {
+      error:
+        LOGIN_ERROR_MESSAGES[error.code] ||
+        error.message ||
+        'Gagal masuk, silakan coba lagi',
+    };
+  }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('deactivated_at')
+    .eq('id', data.user.id)
+    .maybeSingle();
+  if (profile?.deactivated_at) {
+    await supabase.auth.signOut();
+    return { error: LOGIN_ERROR_MESSAGES.user_banned };
+  }
+
+  // A correct password clears the email's failures; the IP's stay
+  if (admin) {
+    await logIfFailed(
+      'Failed to clear login attempts',
+      admin.from('login_attempts').delete().eq('email', normalizedEmail)
+    );
   }
 
+  // A fresh session starts active, whatever an earlier session left behind
+  const cookieStore = await cookies();
+  cookieStore.set(
+    LAST_ACTIVITY_COOKIE,
+    String(Date.now()),
+    LAST_ACTIVITY_COOKIE_OPTIONS
+  );
+
   revalidatePath('/', 'layout');
   redirect('/');
 }
 
 export async function signOut() {
-  const { error } = await supabase.auth.signOut();
-  redirect('/');
+  const supabase = await createClient();
+  await supabase.auth.signOut();
+
+  revalidatePath('/', 'layout');
+  redirect('/login');
 }
@@ -2,7 +2,14 @@ import { GalleryVerticalEnd } from 'lucide-react';
 
 import { LoginForm } from '@/components/login-form';
 
-export default function LoginPage() {
+// Shown above the form when the user was sent here automatically
+const LOGIN_NOTICES = {
+  idle: 'Anda keluar otomatis karena tidak ada aktivitas. Silakan masuk kembali.',
+};
+
+export default async function LoginPage({ searchParams }) {
+  const { reason } = await searchParams;
+
   return (
     <div className="bg-muted flex min-h-svh flex-col items-center justify-center gap-6 p-6 md:p-10">
       <div className="flex w-full max-w-sm flex-col gap-6">
@@ -12,7 +19,7 @@ export default function LoginPage() {
           </div>
           MPA Minatama
         </a>
-        <LoginForm />
+        <LoginForm notice={LOGIN_NOTICES[reason]} />
       </div>
     </div>
   );
@@ -0,0 +1,383 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'next/navigation';
+import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getSuppliers,
+  getLocations,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
+import { LOT_ORIGIN, getMortalityRate } from '@/lib/lots';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Skeleton } from '@/components/ui/skeleton';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+
+const transactionTypeDisplay = {
+  DISTRIBUTE: 'Distribusi',
+  DEATH: 'Kematian',
+  DAMAGED: 'Kerusakan',
+  TRANSFER: 'Transfer',
+  RECLASSIFY: 'Reklasifikasi',
+  ADJUSTMENT_OUT: 'Penyesuaian Keluar',
+  CORRECTION: 'Koreksi Stok',
+};
+
+export default function LotDetail() {
+  const { id } = useParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [lot, setLot] = useState(null);
+  const [lotRows, setLotRows] = useState([]);
+  const [consumptions, setConsumptions] = useState([]);
+  const [lobsterTypes, setLobsterTypes] = useState([]);
+  const [weightClasses, setWeightClasses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [dataLoading, setDataLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // The lot, every row split off it by transfers and reclassifications,
+  // and every movement that took lobsters out of them
+  const fetchLot = useCallback(async () => {
+    try {
+      const { data: summary, error: summaryError } = await supabase
+        .from('lot_summaries')
+        .select('*')
+        .eq('id', id)
+        .single();
+      if (summaryError) throw summaryError;
+
+      const { data: rows, error: rowsError } = await supabase
+        .from('lots')
+        .select(
+          'id, weight_class_id, location_id, received_quantity, remaining_quantity'
+        )
+        .eq('code', summary.code);
+      if (rowsError) throw rowsError;
+
+      const { data: consumed, error: consumedError } = await supabase
+        .from('lot_consumptions')
+        .select(
+          `
+          id,
+          quantity,
+          lot_id,
+          transactions (
+            id,
+            transaction_type,
+            transaction_date,
+            destination,
+            location_id,
+            to_location_id,
+            to_weight_class_id,
+            customers (name)
+          ),
+          inventory_corrections (corrected_at, location_id)
+        `
+        )
+        .in(
+          'lot_id',
+          rows.map((row) => row.id)
+        );
+      if (consumedError) throw consumedError;
+
+      setLot(summary);
+      setLotRows(rows || []);
+      setConsumptions(
+        (consumed || [])
+          // Stock corrections take lobsters out of lots without a transaction
+          .map((c) => ({
+            ...c,
+            transactions: c.transactions || {
+              transaction_type: 'CORRECTION',
+              transaction_date: c.inventory_corrections?.corrected_at,
+              location_id: c.inventory_corrections?.location_id,
+            },
+          }))
+          .sort(
+            (a, b) =>
+              new Date(a.transactions?.transaction_date) -
+              new Date(b.transactions?.transaction_date)
+          )
+      );
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+      toast.error('Gagal Memuat Lot', { description: error.message });
+    } finally {
+      setDataLoading(false);
+    }
+  }, [id]);
+
+  const fetchReferenceData = useCallback(async () => {
+    try {
+      const [types, classes, supplierList, locationList] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getSuppliers(supabase),
+        getLocations(supabase),
+      ]);
+      setLobsterTypes(types);
+      setWeightClasses(classes);
+      setSuppliers(supplierList);
+      setLocations(locationList);
+    } catch (error) {
+      toast.error('Gagal Memuat Data Referensi', {
+        description: error.message,
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user || !id) return;
+    fetchLot();
+    fetchReferenceData();
+
+    const subscription = supabase
+      .channel(`lot-${id}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'lots' },
+        () => fetchLot()
+      )
+      .subscribe();
+    const unsubscribeReference = subscribeToReferenceChanges(
+      supabase,
+      fetchReferenceData
+    );
+
+    return () => {
+      supabase.removeChannel(subscription);
+      unsubscribeReference();
+    };
+  }, [user, id, fetchLot, fetchReferenceData]);
+
+  const getTypeName = (typeId) =>
+    lobsterTypes.find((type) => type.id === typeId)?.name || 'Tidak Diketahui';
+  const getWeightRange = (weightClassId) =>
+    weightClasses.find((wc) => wc.id === weightClassId)?.weight_range ||
+    'Tidak Diketahui';
+  const getLocationName = (locationId) =>
+    locations.find((location) => location.id === locationId)?.name ||
+    'Tidak Diketahui';
+
+  // Where the lobsters of a movement ended up
+  const getDestination = (t) => {
+    if (t.transaction_type === 'TRANSFER') {
+      return getLocationName(t.to_location_id);
+    }
+    if (t.transaction_type === 'RECLASSIFY') {
+      return `${getWeightRange(t.to_weight_class_id)} gram`;
+    }
+    return t.customers?.name || t.destination || '-';
+  };
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+
+  const remainingRows = lotRows.filter((row) => row.remaining_quantity > 0);
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading || (user && dataLoading) ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melihat lot.
+            </p>
+          ) : error || !lot ? (
+            <p className="text-red-500 dark:text-red-400">
+              Kesalahan: {error || 'Lot tidak ditemukan'}
+            </p>
+          ) : (
+            <>
+              <div>
+                <a
+                  href="/lot"
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  ← Semua Lot
+                </a>
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  <span className="font-mono">{lot.code}</span>
+                </h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {getTypeName(lot.type_id)}{' '}
+                  {getWeightRange(lot.weight_class_id)} gram ·{' '}
+                  {suppliers.find((s) => s.id === lot.supplier_id)?.name ||
+                    LOT_ORIGIN[lot.origin]}{' '}
+                  · Diterima {formatDate(lot.received_at)} di{' '}
+                  {getLocationName(lot.location_id)}
+                </p>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-4">
+                {[
+                  ['Diterima', lot.received_quantity],
+                  ['Sisa', lot.remaining_quantity],
+                  ['Distribusi', lot.distributed_quantity],
+                  [
+                    'Mati / Rusak',
+                    `${lot.death_quantity} / ${lot.damaged_quantity}`,
+                  ],
+                ].map(([label, value]) => (
+                  <Card
+                    key={label}
+                    className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
+                  >
+                    <CardHeader className="pb-2">
+                      <CardTitle className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                        {label}
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                      {value} Ekor
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+              <p className="-mt-2 text-sm text-gray-600 dark:text-gray-400">
+                Mortalitas lot: {getMortalityRate(lot)}%
+              </p>
+
+              {remainingRows.length > 0 && (
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Posisi Saat Ini
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="flex flex-wrap gap-2">
+                    {remainingRows.map((row) => (
+                      <span
+                        key={row.id}
+                        className="rounded-full bg-gray-100 dark:bg-gray-700 px-2.5 py-0.5 text-sm text-gray-700 dark:text-gray-300"
+                      >
+                        {getLocationName(row.location_id)} ·{' '}
+                        {getWeightRange(row.weight_class_id)} gram:{' '}
+                        {row.remaining_quantity} Ekor
+                      </span>
+                    ))}
+                  </CardContent>
+                </Card>
+              )}
+
+              <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Jejak Lot
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {consumptions.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">
+                      Belum ada lobster yang keluar dari lot ini.
+                    </p>
+                  ) : (
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Tanggal
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Jenis Transaksi
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Dari
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Ke
+                          </TableHead>
+                          <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                            Jumlah
+                          </TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {consumptions.map((c) => (
+                          <TableRow key={c.id}>
+                            <TableCell>
+                              {formatDate(c.transactions?.transaction_date)}
+                            </TableCell>
+                            <TableCell>
+                              {transactionTypeDisplay[
+                                c.transactions?.transaction_type
+                              ] || 'Tidak Diketahui'}
+                            </TableCell>
+                            <TableCell>
+                              {getLocationName(c.transactions?.location_id)}
+                            </TableCell>
+                            <TableCell>
+                              {c.transactions
+                                ? getDestination(c.transactions)
+                                : '-'}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              {c.quantity} Ekor
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,327 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getSuppliers,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
+import {
+  AGING_WARNING_DAYS,
+  LOT_ORIGIN,
+  getLotAgeInDays,
+  getMortalityRate,
+} from '@/lib/lots';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+
+// Which lots the list shows
+const STOCK_FILTERS = {
+  available: 'Masih Ada Stok',
+  all: 'Semua Lot',
+};
+
+export default function Lots() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [lots, setLots] = useState([]);
+  const [lobsterTypes, setLobsterTypes] = useState([]);
+  const [weightClasses, setWeightClasses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [stockFilter, setStockFilter] = useState('available');
+  const [tableLoading, setTableLoading] = useState(true);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  const fetchLots = useCallback(async () => {
+    try {
+      let query = supabase
+        .from('lot_summaries')
+        .select('*')
+        .order('received_at', { ascending: false })
+        .order('code', { ascending: false });
+      if (stockFilter === 'available') {
+        query = query.gt('remaining_quantity', 0);
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      setLots(data || []);
+    } catch (error) {
+      toast.error('Gagal Memuat Lot', { description: error.message });
+    } finally {
+      setTableLoading(false);
+    }
+  }, [stockFilter]);
+
+  const fetchReferenceData = useCallback(async () => {
+    try {
+      const [types, classes, supplierList] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getSuppliers(supabase),
+      ]);
+      setLobsterTypes(types);
+      setWeightClasses(classes);
+      setSuppliers(supplierList);
+    } catch (error) {
+      toast.error('Gagal Memuat Data Referensi', {
+        description: error.message,
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchLots();
+    fetchReferenceData();
+
+    const subscription = supabase
+      .channel('lots-page')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'lots' },
+        () => fetchLots()
+      )
+      .subscribe();
+    const unsubscribeReference = subscribeToReferenceChanges(
+      supabase,
+      fetchReferenceData
+    );
+
+    return () => {
+      supabase.removeChannel(subscription);
+      unsubscribeReference();
+    };
+  }, [user, fetchLots, fetchReferenceData]);
+
+  const getTypeName = (typeId) =>
+    lobsterTypes.find((type) => type.id === typeId)?.name || 'Tidak Diketahui';
+  const getWeightRange = (weightClassId) =>
+    weightClasses.find((wc) => wc.id === weightClassId)?.weight_range ||
+    'Tidak Diketahui';
+  const getOrigin = (lot) =>
+    suppliers.find((supplier) => supplier.id === lot.supplier_id)?.name ||
+    LOT_ORIGIN[lot.origin] ||
+    lot.origin;
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleLots = searchTerm
+    ? lots.filter(
+        (lot) =>
+          lot.code.toLowerCase().includes(searchTerm) ||
+          getOrigin(lot).toLowerCase().includes(searchTerm)
+      )
+    : lots;
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy', { locale: idLocale });
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melihat lot.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  Lot Lobster
+                </h2>
+                <div className="flex flex-wrap gap-2">
+                  <Input
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Cari kode lot atau pemasok"
+                    className="w-[240px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                  <Select value={stockFilter} onValueChange={setStockFilter}>
+                    <SelectTrigger className="w-[180px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                      {Object.entries(STOCK_FILTERS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Kode Lot
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Lobster
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Asal
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Tanggal Terima
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Umur
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Diterima
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Sisa
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Distribusi
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Mortalitas
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Aksi
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {tableLoading ? (
+                      Array.from({ length: 3 }).map((_, index) => (
+                        <TableRow key={`skeleton-${index}`}>
+                          {Array.from({ length: 10 }).map((_, cell) => (
+                            <TableCell key={cell}>
+                              <Skeleton className="h-4 w-[70px]" />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))
+                    ) : visibleLots.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={10}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Tidak ada lot.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      visibleLots.map((lot) => (
+                        <TableRow key={lot.id}>
+                          <TableCell className="font-mono text-sm">
+                            {lot.code}
+                          </TableCell>
+                          <TableCell>
+                            {getTypeName(lot.type_id)}{' '}
+                            {getWeightRange(lot.weight_class_id)} gram
+                          </TableCell>
+                          <TableCell>{getOrigin(lot)}</TableCell>
+                          <TableCell>{formatDate(lot.received_at)}</TableCell>
+                          <TableCell
+                            className={`text-right ${
+                              lot.remaining_quantity > 0 &&
+                              getLotAgeInDays(lot.received_at) >=
+                                AGING_WARNING_DAYS
+                                ? 'text-red-600 dark:text-red-400'
+                                : ''
+                            }`}
+                          >
+                            {lot.remaining_quantity > 0
+                              ? `${getLotAgeInDays(lot.received_at)} hari`
+                              : '-'}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {lot.received_quantity}
+                          </TableCell>
+                          <TableCell className="text-right font-medium">
+                            {lot.remaining_quantity}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {lot.distributed_quantity}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {lot.death_quantity} ({getMortalityRate(lot)}%)
+                          </TableCell>
+                          <TableCell className="text-right">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              asChild
+                              className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                            >
+                              <a href={`/lot/${lot.id}`}>Jejak</a>
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,909 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import {
+  clearCache,
+  getLobsterTypes,
+  getWeightClasses,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
+import { getSkuKey } from '@/lib/thresholds';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Archive,
+  ArchiveRestore,
+  ArrowDown,
+  ArrowUp,
+  Pencil,
+  Trash2,
+} from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  compareWeightClasses,
+  formatWeightRange,
+  validateWeightClassRanges,
+} from '@/lib/weight-classes';
+
+// Map database errors on master data to user-facing messages
+const getMasterDataErrorMessage = (error) => {
+  if (error?.code === '23505') return 'Nama sudah digunakan';
+  return error?.message || 'Terjadi kesalahan tak terduga.';
+};
+
+// Parse an optional gram bound from a text input
+const parseGrams = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const grams = Number(value);
+  return Number.isInteger(grams) ? grams : NaN;
+};
+
+const emptyBounds = { min_grams: '', max_grams: '' };
+
+function MasterDataSection({
+  title,
+  table,
+  labelField,
+  placeholder,
+  withGramBounds = false,
+}) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newLabel, setNewLabel] = useState('');
+  const [newBounds, setNewBounds] = useState(emptyBounds);
+  const [renamingItem, setRenamingItem] = useState(null);
+  const [renameLabel, setRenameLabel] = useState('');
+  const [renameBounds, setRenameBounds] = useState(emptyBounds);
+
+  // Fetch all rows, archived included
+  const fetchItems = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from(table)
+        .select(
+          withGramBounds
+            ? `id, ${labelField}, min_grams, max_grams, sort_order, archived_at`
+            : `id, ${labelField}, sort_order, archived_at`
+        )
+        .order('sort_order')
+        .order(labelField);
+      if (error) throw error;
+      // Weight classes are always listed by their gram bounds
+      setItems(
+        withGramBounds ? (data || []).sort(compareWeightClasses) : data || []
+      );
+    } catch (error) {
+      toast.error(`Gagal Memuat ${title}`, { description: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [table, labelField, title, withGramBounds]);
+
+  useEffect(() => {
+    fetchItems();
+
+    const subscription = supabase
+      .channel(`master-${table}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table }, () =>
+        fetchItems()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [table, fetchItems]);
+
+  // Reject weight class changes that would leave overlaps or gaps
+  const validateRanges = (nextItems) => {
+    if (!withGramBounds) return;
+    const rangeError = validateWeightClassRanges(nextItems, items);
+    if (rangeError) throw new Error(rangeError);
+  };
+
+  // Gram bounds from the form, validated as whole numbers
+  const readBounds = (bounds) => {
+    const minGrams = parseGrams(bounds.min_grams);
+    const maxGrams = parseGrams(bounds.max_grams);
+    if (minGrams === null || Number.isNaN(minGrams)) {
+      throw new Error('Batas bawah wajib diisi dengan bilangan bulat');
+    }
+    if (Number.isNaN(maxGrams)) {
+      throw new Error('Batas atas harus bilangan bulat');
+    }
+    return { min_grams: minGrams, max_grams: maxGrams };
+  };
+
+  // Run a mutation, then refresh this list and the shared cache
+  const runMutation = async (mutation, successMessage) => {
+    try {
+      setSaving(true);
+      await mutation();
+      clearCache();
+      await fetchItems();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(`Gagal Menyimpan ${title}`, {
+        description: getMasterDataErrorMessage(error),
+      });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    // Weight classes default to a label derived from their bounds
+    const label =
+      newLabel.trim() ||
+      (withGramBounds && newBounds.min_grams !== ''
+        ? formatWeightRange(
+            newBounds.min_grams,
+            newBounds.max_grams === '' ? null : newBounds.max_grams
+          )
+        : '');
+    if (!label) return;
+
+    const nextOrder =
+      items.reduce((max, item) => Math.max(max, item.sort_order || 0), 0) + 1;
+    const created = await runMutation(async () => {
+      const values = { [labelField]: label, sort_order: nextOrder };
+      if (withGramBounds) {
+        Object.assign(values, readBounds(newBounds));
+        validateRanges([...items, values]);
+      }
+      const { error } = await supabase.from(table).insert(values);
+      if (error) throw error;
+    }, `${label} ditambahkan`);
+    if (created) {
+      setNewLabel('');
+      setNewBounds(emptyBounds);
+    }
+  };
+
+  const openRename = (item) => {
+    setRenamingItem(item);
+    setRenameLabel(item[labelField]);
+    setRenameBounds({
+      min_grams: item.min_grams ?? '',
+      max_grams: item.max_grams ?? '',
+    });
+  };
+
+  const handleRename = async () => {
+    const label = renameLabel.trim();
+    if (!renamingItem || !label) return;
+
+    // A class without bounds may be renamed before an admin sets them
+    const keepUnbounded =
+      renamingItem.min_grams === null &&
+      renameBounds.min_grams === '' &&
+      renameBounds.max_grams === '';
+    const renamed = await runMutation(async () => {
+      const values = { [labelField]: label };
+      if (withGramBounds && !keepUnbounded) {
+        Object.assign(values, readBounds(renameBounds));
+        validateRanges(
+          items.map((item) =>
+            item.id === renamingItem.id ? { ...item, ...values } : item
+          )
+        );
+      }
+      const { error } = await supabase
+        .from(table)
+        .update(values)
+        .eq('id', renamingItem.id);
+      if (error) throw error;
+    }, `${renamingItem[labelField]} diperbarui`);
+    if (renamed) setRenamingItem(null);
+  };
+
+  const handleArchive = (item) =>
+    runMutation(
+      async () => {
+        validateRanges(
+          items.map((other) =>
+            other.id === item.id
+              ? {
+                  ...other,
+                  archived_at: item.archived_at ? null : new Date(),
+                }
+              : other
+          )
+        );
+        const { error } = await supabase
+          .from(table)
+          .update({
+            archived_at: item.archived_at ? null : new Date().toISOString(),
+          })
+          .eq('id', item.id);
+        if (error) throw error;
+      },
+      item.archived_at
+        ? `${item[labelField]} diaktifkan kembali`
+        : `${item[labelField]} diarsipkan`
+    );
+
+  const handleDelete = (item) =>
+    runMutation(async () => {
+      validateRanges(items.filter((other) => other.id !== item.id));
+      const { error } = await supabase.from(table).delete().eq('id', item.id);
+      if (error) throw error;
+    }, `${item[labelField]} dihapus`);
+
+  // Swap positions with the neighbouring row and renumber the list
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [
+      reordered[target],
+      reordered[index],
+    ];
+    const changed = reordered
+      .map((item, position) => ({ item, sortOrder: position + 1 }))
+      .filter(({ item, sortOrder }) => item.sort_order !== sortOrder);
+
+    return runMutation(async () => {
+      const results = await Promise.all(
+        changed.map(({ item, sortOrder }) =>
+          supabase
+            .from(table)
+            .update({ sort_order: sortOrder })
+            .eq('id', item.id)
+        )
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) throw failed.error;
+    }, 'Urutan diperbarui');
+  };
+
+  return (
+    <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <CardHeader>
+        <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          {title}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-2">
+          <Input
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            placeholder={placeholder}
+            className="flex-1 min-w-[160px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md"
+            disabled={saving}
+          />
+          {withGramBounds && (
+            <>
+              <Input
+                type="number"
+                min="0"
+                value={newBounds.min_grams}
+                onChange={(e) =>
+                  setNewBounds((prev) => ({
+                    ...prev,
+                    min_grams: e.target.value,
+                  }))
+                }
+                placeholder="Min (g)"
+                className="w-[100px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md"
+                disabled={saving}
+              />
+              <Input
+                type="number"
+                min="0"
+                value={newBounds.max_grams}
+                onChange={(e) =>
+                  setNewBounds((prev) => ({
+                    ...prev,
+                    max_grams: e.target.value,
+                  }))
+                }
+                placeholder="Maks (g)"
+                className="w-[100px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md"
+                disabled={saving}
+              />
+            </>
+          )}
+          <Button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white rounded-md"
+            disabled={
+              saving ||
+              (withGramBounds ? newBounds.min_grams === '' : !newLabel.trim())
+            }
+          >
+            Tambah
+          </Button>
+        </form>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                Nama
+              </TableHead>
+              {withGramBounds && (
+                <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                  Rentang (gram)
+                </TableHead>
+              )}
+              <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                Aksi
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading ? (
+              Array.from({ length: 3 }).map((_, index) => (
+                <TableRow key={`skeleton-${index}`}>
+                  <TableCell>
+                    <Skeleton className="h-4 w-[120px]" />
+                  </TableCell>
+                  {withGramBounds && (
+                    <TableCell>
+                      <Skeleton className="h-4 w-[80px]" />
+                    </TableCell>
+                  )}
+                  <TableCell>
+                    <Skeleton className="h-4 w-[160px] ml-auto" />
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : items.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={withGramBounds ? 3 : 2}
+                  className="text-center text-gray-500 dark:text-gray-400"
+                >
+                  Belum ada data.
+                </TableCell>
+              </TableRow>
+            ) : (
+              items.map((item, index) => (
+                <TableRow key={item.id}>
+                  <TableCell>
+                    <span
+                      className={
+                        item.archived_at
+                          ? 'text-gray-400 dark:text-gray-500 line-through'
+                          : ''
+                      }
+                    >
+                      {item[labelField]}
+                    </span>
+                    {item.archived_at && (
+                      <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                        (Diarsipkan)
+                      </span>
+                    )}
+                  </TableCell>
+                  {withGramBounds && (
+                    <TableCell className="text-gray-600 dark:text-gray-400">
+                      {item.min_grams === null
+                        ? 'Belum diatur'
+                        : item.max_grams === null
+                        ? `≥ ${item.min_grams}`
+                        : `${item.min_grams} – < ${item.max_grams}`}
+                    </TableCell>
+                  )}
+                  <TableCell className="text-right">
+                    <div className="flex justify-end gap-1">
+                      {!withGramBounds && (
+                        <>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleMove(index, -1)}
+                            disabled={saving || index === 0}
+                            title="Naikkan"
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleMove(index, 1)}
+                            disabled={saving || index === items.length - 1}
+                            title="Turunkan"
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => openRename(item)}
+                        disabled={saving}
+                        title="Ubah"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleArchive(item)}
+                        disabled={saving}
+                        title={item.archived_at ? 'Aktifkan' : 'Arsipkan'}
+                      >
+                        {item.archived_at ? (
+                          <ArchiveRestore className="h-4 w-4" />
+                        ) : (
+                          <Archive className="h-4 w-4" />
+                        )}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDelete(item)}
+                        disabled={saving}
+                        title="Hapus"
+                        className="text-red-600 dark:text-red-400"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </CardContent>
+
+      <Dialog
+        open={Boolean(renamingItem)}
+        onOpenChange={(open) => !open && setRenamingItem(null)}
+      >
+        <DialogContent className="sm:max-w-[420px] bg-white dark:bg-gray-800">
+          <DialogHeader>
+            <DialogTitle className="text-gray-900 dark:text-gray-100">
+              {withGramBounds ? 'Ubah Kelas Berat' : 'Ubah Nama'}
+            </DialogTitle>
+          </DialogHeader>
+          <div className="grid gap-2 py-4">
+            <Label
+              htmlFor={`rename-${table}`}
+              className="text-gray-900 dark:text-gray-100"
+            >
+              Nama
+            </Label>
+            <Input
+              id={`rename-${table}`}
+              value={renameLabel}
+              onChange={(e) => setRenameLabel(e.target.value)}
+              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+            />
+            {withGramBounds && (
+              <div className="grid grid-cols-2 gap-2">
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor={`min-${table}`}
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Batas Bawah (g)
+                  </Label>
+                  <Input
+                    id={`min-${table}`}
+                    type="number"
+                    min="0"
+                    value={renameBounds.min_grams}
+                    onChange={(e) =>
+                      setRenameBounds((prev) => ({
+                        ...prev,
+                        min_grams: e.target.value,
+                      }))
+                    }
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor={`max-${table}`}
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Batas Atas (g)
+                  </Label>
+                  <Input
+                    id={`max-${table}`}
+                    type="number"
+                    min="0"
+                    value={renameBounds.max_grams}
+                    onChange={(e) =>
+                      setRenameBounds((prev) => ({
+                        ...prev,
+                        max_grams: e.target.value,
+                      }))
+                    }
+                    placeholder="Kosongkan jika tanpa batas"
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+                <p className="col-span-2 text-xs text-gray-500 dark:text-gray-400">
+                  Batas bawah termasuk, batas atas tidak termasuk.
+                </p>
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button
+              variant="outline"
+              onClick={() => setRenamingItem(null)}
+              className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+              disabled={saving}
+            >
+              Batal
+            </Button>
+            <Button
+              onClick={handleRename}
+              className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+              disabled={saving || !renameLabel.trim()}
+            >
+              Simpan
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
+
+// Parse an optional stock bound from a text input
+const parseQuantity = (value) => {
+  if (value === '') return null;
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : NaN;
+};
+
+// Minimum and maximum stock per lobster type and weight class
+function StockThresholdSection() {
+  const [lobsterTypes, setLobsterTypes] = useState([]);
+  const [weightClasses, setWeightClasses] = useState([]);
+  const [thresholds, setThresholds] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingKey, setSavingKey] = useState(null);
+
+  const fetchReferenceData = useCallback(async () => {
+    try {
+      const [types, classes] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+      ]);
+      setLobsterTypes(types.filter((type) => !type.archived_at));
+      setWeightClasses(classes.filter((wc) => !wc.archived_at));
+    } catch (error) {
+      toast.error('Gagal Memuat Data Referensi', {
+        description: error.message,
+      });
+    }
+  }, []);
+
+  const fetchThresholds = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('stock_thresholds')
+        .select('type_id, weight_class_id, min_quantity, max_quantity');
+      if (error) throw error;
+      setThresholds(
+        Object.fromEntries(
+          data.map((row) => [getSkuKey(row.type_id, row.weight_class_id), row])
+        )
+      );
+    } catch (error) {
+      toast.error('Gagal Memuat Batas Stok', { description: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReferenceData();
+    fetchThresholds();
+
+    const subscription = supabase
+      .channel('master-stock-thresholds')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'stock_thresholds' },
+        () => fetchThresholds()
+      )
+      .subscribe();
+    const unsubscribeReference = subscribeToReferenceChanges(
+      supabase,
+      fetchReferenceData
+    );
+
+    return () => {
+      supabase.removeChannel(subscription);
+      unsubscribeReference();
+    };
+  }, [fetchReferenceData, fetchThresholds]);
+
+  // Form values of a row: the unsaved edit, else the stored threshold
+  const getValues = (key) => {
+    if (drafts[key]) return drafts[key];
+    const threshold = thresholds[key];
+    return {
+      min_quantity: threshold?.min_quantity?.toString() ?? '',
+      max_quantity: threshold?.max_quantity?.toString() ?? '',
+    };
+  };
+
+  const handleChange = (key, field, value) =>
+    setDrafts((prev) => ({
+      ...prev,
+      [key]: { ...getValues(key), [field]: value },
+    }));
+
+  // Empty bounds on both sides remove the threshold
+  const handleSave = async (typeId, weightClassId) => {
+    const key = getSkuKey(typeId, weightClassId);
+    try {
+      const values = getValues(key);
+      const minQuantity = parseQuantity(values.min_quantity);
+      const maxQuantity = parseQuantity(values.max_quantity);
+      if (Number.isNaN(minQuantity) || Number.isNaN(maxQuantity)) {
+        throw new Error('Batas harus bilangan bulat tidak negatif');
+      }
+      if (
+        minQuantity !== null &&
+        maxQuantity !== null &&
+        minQuantity > maxQuantity
+      ) {
+        throw new Error('Minimum tidak boleh lebih besar dari maksimum');
+      }
+
+      setSavingKey(key);
+      const { error } =
+        minQuantity === null && maxQuantity === null
+          ? await supabase
+              .from('stock_thresholds')
+              .delete()
+              .eq('type_id', typeId)
+              .eq('weight_class_id', weightClassId)
+          : await supabase.from('stock_thresholds').upsert(
+              {
+                type_id: typeId,
+                weight_class_id: weightClassId,
+                min_quantity: minQuantity,
+                max_quantity: maxQuantity,
+                updated_at: new Date().toISOString(),
+              },
+              { onConflict: 'type_id,weight_class_id' }
+            );
+      if (error) throw error;
+
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+      await fetchThresholds();
+      toast.success('Batas Stok Disimpan');
+    } catch (error) {
+      toast.error('Gagal Menyimpan Batas Stok', {
+        description: getMasterDataErrorMessage(error),
+      });
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <Card className="lg:col-span-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <CardHeader>
+        <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          Batas Stok
+        </CardTitle>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Peringatan muncul saat total stok di semua lokasi turun di bawah
+          minimum atau melewati maksimum. Kosongkan keduanya untuk menghapus
+          batas.
+        </p>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                Jenis Lobster
+              </TableHead>
+              <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                Kelas Berat
+              </TableHead>
+              <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                Minimum (Ekor)
+              </TableHead>
+              <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                Maksimum (Ekor)
+              </TableHead>
+              <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                Aksi
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading ? (
+              Array.from({ length: 3 }).map((_, index) => (
+                <TableRow key={`skeleton-${index}`}>
+                  {Array.from({ length: 5 }).map((_, cell) => (
+                    <TableCell key={cell}>
+                      <Skeleton className="h-4 w-[80px]" />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            ) : lobsterTypes.length === 0 || weightClasses.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={5}
+                  className="text-center text-gray-500 dark:text-gray-400"
+                >
+                  Tambahkan jenis lobster dan kelas berat terlebih dahulu.
+                </TableCell>
+              </TableRow>
+            ) : (
+              lobsterTypes.flatMap((type) =>
+                weightClasses.map((wc, index) => {
+                  const key = getSkuKey(type.id, wc.id);
+                  const values = getValues(key);
+                  return (
+                    <TableRow key={key}>
+                      <TableCell className="font-medium">
+                        {index === 0 ? type.name : ''}
+                      </TableCell>
+                      <TableCell>{wc.weight_range} gram</TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min="0"
+                          value={values.min_quantity}
+                          onChange={(e) =>
+                            handleChange(key, 'min_quantity', e.target.value)
+                          }
+                          placeholder="-"
+                          className="w-28 bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min="0"
+                          value={values.max_quantity}
+                          onChange={(e) =>
+                            handleChange(key, 'max_quantity', e.target.value)
+                          }
+                          placeholder="-"
+                          className="w-28 bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                        />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleSave(type.id, wc.id)}
+                          disabled={!drafts[key] || savingKey === key}
+                          className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                        >
+                          {savingKey === key ? 'Menyimpan...' : 'Simpan'}
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )
+            )}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function MasterData() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk mengelola data master.
+            </p>
+          ) : (
+            <>
+              <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                Data Master
+              </h2>
+              <div className="grid gap-6 lg:grid-cols-2">
+                <MasterDataSection
+                  title="Jenis Lobster"
+                  table="lobster_types"
+                  labelField="name"
+                  placeholder="Nama jenis lobster baru"
+                />
+                <MasterDataSection
+                  title="Kelas Berat"
+                  table="weight_classes"
+                  labelField="weight_range"
+                  placeholder="Label (opsional, misalnya 100-200)"
+                  withGramBounds
+                />
+                <MasterDataSection
+                  title="Lokasi"
+                  table="locations"
+                  labelField="name"
+                  placeholder="Nama bak atau kolam baru"
+                />
+                <StockThresholdSection />
+              </div>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,583 @@
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'next/navigation';
+import { supabase } from '@/lib/supabase';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+import { compareWeightClasses } from '@/lib/weight-classes';
+import {
+  STOCK_TAKE_STATUS,
+  getStockTakeSummary,
+  getStockTakeVariance,
+} from '@/lib/stock-takes';
+import { hasPermission } from '@/lib/roles';
+import { useUserRole } from '@/hooks/use-user-role';
+
+// Lines in location order, then by lobster type and weight class
+const compareLines = (a, b) =>
+  (a.locations?.sort_order ?? 0) - (b.locations?.sort_order ?? 0) ||
+  (a.locations?.name || '').localeCompare(b.locations?.name || '') ||
+  (a.lobster_types?.name || '').localeCompare(b.lobster_types?.name || '') ||
+  compareWeightClasses(a.weight_classes, b.weight_classes);
+
+// Parse a count input: empty means not counted, NaN means invalid
+const parseCount = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : NaN;
+};
+
+export default function StockTakeDetail() {
+  const role = useUserRole();
+  const { id } = useParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [stockTake, setStockTake] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [showAllLines, setShowAllLines] = useState(false);
+  const [dataLoading, setDataLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [isApproveOpen, setIsApproveOpen] = useState(false);
+  const [reason, setReason] = useState('');
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // Fetch the stock take and its count sheet
+  const fetchStockTake = useCallback(async () => {
+    try {
+      const [stockTakeResult, linesResult] = await Promise.all([
+        supabase
+          .from('stock_takes')
+          .select(
+            'id, status, notes, reason, created_at, approved_at, locations (name)'
+          )
+          .eq('id', id)
+          .single(),
+        supabase
+          .from('stock_take_lines')
+          .select(
+            `
+            id,
+            expected_quantity,
+            counted_quantity,
+            lobster_types (name),
+            weight_classes (weight_range, min_grams, max_grams),
+            locations (name, sort_order)
+          `
+          )
+          .eq('stock_take_id', id),
+      ]);
+      if (stockTakeResult.error) throw stockTakeResult.error;
+      if (linesResult.error) throw linesResult.error;
+
+      const sortedLines = (linesResult.data || []).sort(compareLines);
+      setStockTake(stockTakeResult.data);
+      setLines(sortedLines);
+      setCounts(
+        Object.fromEntries(
+          sortedLines.map((line) => [
+            line.id,
+            line.counted_quantity === null ? '' : String(line.counted_quantity),
+          ])
+        )
+      );
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+      toast.error('Gagal Memuat Stok Opname', { description: error.message });
+    } finally {
+      setDataLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (user && id) fetchStockTake();
+  }, [user, id, fetchStockTake]);
+
+  const isDraft = stockTake?.status === 'DRAFT';
+
+  // Lines with the count currently typed in, saved or not
+  const currentLines = useMemo(
+    () =>
+      lines.map((line) => ({
+        ...line,
+        counted_quantity: isDraft
+          ? parseCount(counts[line.id])
+          : line.counted_quantity,
+      })),
+    [lines, counts, isDraft]
+  );
+  const summary = useMemo(
+    () =>
+      getStockTakeSummary(
+        currentLines.map((line) =>
+          Number.isNaN(line.counted_quantity)
+            ? { ...line, counted_quantity: null }
+            : line
+        )
+      ),
+    [currentLines]
+  );
+  const visibleLines = currentLines.filter(
+    (line) =>
+      showAllLines ||
+      line.expected_quantity !== 0 ||
+      line.counted_quantity !== null
+  );
+  const invalidLines = currentLines.filter((line) =>
+    Number.isNaN(line.counted_quantity)
+  );
+  const changedLines = currentLines.filter(
+    (line) =>
+      !Number.isNaN(line.counted_quantity) &&
+      line.counted_quantity !==
+        lines.find((saved) => saved.id === line.id).counted_quantity
+  );
+  const varianceLines = currentLines.filter((line) => {
+    const variance = getStockTakeVariance(
+      line.expected_quantity,
+      line.counted_quantity
+    );
+    return variance !== null && !Number.isNaN(variance) && variance !== 0;
+  });
+
+  // Save changed counts; returns false when nothing could be saved
+  const saveCounts = async () => {
+    if (invalidLines.length > 0) {
+      toast.error('Jumlah Tidak Valid', {
+        description: 'Jumlah hitungan harus bilangan bulat 0 atau lebih.',
+      });
+      return false;
+    }
+    if (changedLines.length === 0) return true;
+
+    const { error } = await supabase.rpc('save_stock_take_counts', {
+      p_stock_take_id: id,
+      p_counts: changedLines.map((line) => ({
+        line_id: line.id,
+        counted_quantity: line.counted_quantity,
+      })),
+    });
+    if (error) throw error;
+    return true;
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      if (!(await saveCounts())) return;
+      await fetchStockTake();
+      toast.success('Hitungan Disimpan');
+    } catch (error) {
+      toast.error('Gagal Menyimpan Hitungan', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Save the last counts, then post the variances as adjustments
+  const handleApprove = async () => {
+    try {
+      setSaving(true);
+      if (!(await saveCounts())) return;
+      const { data: posted, error } = await supabase.rpc('approve_stock_take', {
+        p_stock_take_id: id,
+        p_reason: reason.trim(),
+      });
+      if (error) throw error;
+      setIsApproveOpen(false);
+      await fetchStockTake();
+      toast.success('Stok Opname Disetujui', {
+        description:
+          posted > 0
+            ? `${posted} penyesuaian diposting.`
+            : 'Tidak ada selisih, stok tidak berubah.',
+        action: {
+          label: 'Lihat Transaksi',
+          onClick: () => (window.location.href = '/transaksi'),
+        },
+      });
+    } catch (error) {
+      toast.error('Gagal Menyetujui Stok Opname', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setSaving(true);
+      const { error } = await supabase.rpc('cancel_stock_take', {
+        p_stock_take_id: id,
+      });
+      if (error) throw error;
+      await fetchStockTake();
+      toast.success('Stok Opname Dibatalkan');
+    } catch (error) {
+      toast.error('Gagal Membatalkan Stok Opname', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+
+  const renderVariance = (line) => {
+    const variance = getStockTakeVariance(
+      line.expected_quantity,
+      line.counted_quantity
+    );
+    if (variance === null || Number.isNaN(variance)) return '—';
+    if (variance === 0) return <span className="text-gray-500">0</span>;
+    return (
+      <span
+        className={
+          variance > 0
+            ? 'font-semibold text-green-500'
+            : 'font-semibold text-red-500'
+        }
+      >
+        {variance > 0 ? `+${variance}` : variance}
+      </span>
+    );
+  };
+
+  const status = STOCK_TAKE_STATUS[stockTake?.status];
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading || (user && dataLoading) ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melakukan stok opname.
+            </p>
+          ) : error || !stockTake ? (
+            <p className="text-red-500 dark:text-red-400">
+              Kesalahan: {error || 'Stok opname tidak ditemukan'}
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <a
+                    href="/opname"
+                    className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    ← Semua Stok Opname
+                  </a>
+                  <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                    Stok Opname {stockTake.locations?.name || 'Semua Lokasi'}
+                    <span
+                      className={`ml-3 align-middle rounded px-1.5 py-0.5 text-xs font-normal ${status?.className}`}
+                    >
+                      {status?.label || stockTake.status}
+                    </span>
+                  </h2>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Dimulai {formatDate(stockTake.created_at)}
+                    {stockTake.notes && ` · ${stockTake.notes}`}
+                  </p>
+                </div>
+                {isDraft && (
+                  <div className="flex gap-3">
+                    <Button
+                      variant="outline"
+                      onClick={handleCancel}
+                      disabled={saving}
+                      className="border-gray-300 dark:border-gray-600 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900"
+                    >
+                      Batalkan Opname
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={handleSave}
+                      disabled={saving || changedLines.length === 0}
+                      className="border-blue-600 text-blue-600 hover:bg-blue-50 dark:border-blue-500 dark:text-blue-400 dark:hover:bg-gray-700"
+                    >
+                      {saving ? 'Menyimpan...' : 'Simpan Hitungan'}
+                    </Button>
+                    {hasPermission(role, 'approveStockTake') && (
+                      <Button
+                        onClick={() => {
+                          setReason('');
+                          setIsApproveOpen(true);
+                        }}
+                        disabled={saving || summary.counted === 0}
+                        className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                      >
+                        Setujui &amp; Posting
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className="grid gap-6 md:grid-cols-3">
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Dihitung
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">
+                      {summary.counted} / {summary.lines} baris
+                    </p>
+                  </CardContent>
+                </Card>
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Lebih
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="text-2xl font-bold text-green-500">
+                      +{summary.surplus} Ekor
+                    </p>
+                  </CardContent>
+                </Card>
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Kurang
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="text-2xl font-bold text-red-500">
+                      -{summary.shortage} Ekor
+                    </p>
+                  </CardContent>
+                </Card>
+              </div>
+
+              {stockTake.status === 'APPROVED' && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Disetujui {formatDate(stockTake.approved_at)} dengan alasan:{' '}
+                  {stockTake.reason}
+                </p>
+              )}
+
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {isDraft
+                      ? 'Kosongkan jumlah untuk baris yang tidak dihitung.'
+                      : 'Baris tanpa hitungan tidak disesuaikan.'}
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setShowAllLines((prev) => !prev)}
+                    className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    {showAllLines
+                      ? 'Sembunyikan Baris Tanpa Stok'
+                      : 'Tampilkan Semua Baris'}
+                  </Button>
+                </div>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Lokasi
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Jenis Lobster
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Berat Lobster
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Tercatat
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Dihitung
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Selisih
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {visibleLines.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={6}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Tidak ada stok tercatat. Tampilkan semua baris untuk
+                          mencatat temuan.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      visibleLines.map((line) => (
+                        <TableRow key={line.id}>
+                          <TableCell>
+                            {line.locations?.name || 'Tidak Ada'}
+                          </TableCell>
+                          <TableCell className="font-medium">
+                            {line.lobster_types?.name || 'Tidak Ada'}
+                          </TableCell>
+                          <TableCell>
+                            {line.weight_classes?.weight_range || 'Tidak Ada'}{' '}
+                            gram
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {line.expected_quantity}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {isDraft ? (
+                              <Input
+                                type="number"
+                                min="0"
+                                value={counts[line.id] ?? ''}
+                                onChange={(e) =>
+                                  setCounts((prev) => ({
+                                    ...prev,
+                                    [line.id]: e.target.value,
+                                  }))
+                                }
+                                className={`ml-auto w-24 text-right bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 ${
+                                  Number.isNaN(line.counted_quantity)
+                                    ? 'border-red-500 dark:border-red-400'
+                                    : ''
+                                }`}
+                              />
+                            ) : (
+                              line.counted_quantity ?? '—'
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {renderVariance(line)}
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <Dialog open={isApproveOpen} onOpenChange={setIsApproveOpen}>
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Setujui Stok Opname
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {varianceLines.length > 0
+                  ? `${varianceLines.length} baris berselisih akan diposting sebagai penyesuaian (+${summary.surplus} / -${summary.shortage} Ekor).`
+                  : 'Tidak ada selisih. Stok opname hanya ditandai selesai.'}
+              </p>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="stock-take-reason"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Alasan Penyesuaian
+                </Label>
+                <Input
+                  id="stock-take-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Misalnya, hasil opname akhir bulan"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setIsApproveOpen(false)}
+                disabled={saving}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleApprove}
+                disabled={saving || !reason.trim()}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+              >
+                {saving ? 'Memposting...' : 'Setujui & Posting'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,370 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import { getLocations, subscribeToReferenceChanges } from '@/lib/cache';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+import { STOCK_TAKE_STATUS, getStockTakeSummary } from '@/lib/stock-takes';
+
+// Select value for a count across every location
+const ALL_LOCATIONS = 'all';
+
+export default function StockTakes() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [stockTakes, setStockTakes] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [tableLoading, setTableLoading] = useState(true);
+  const [isStartOpen, setIsStartOpen] = useState(false);
+  const [startLocation, setStartLocation] = useState(ALL_LOCATIONS);
+  const [startNotes, setStartNotes] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // Fetch every stock take with its lines for the summary columns
+  const fetchStockTakes = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('stock_takes')
+        .select(
+          `
+          id,
+          status,
+          notes,
+          created_at,
+          approved_at,
+          locations (name),
+          stock_take_lines (expected_quantity, counted_quantity)
+        `
+        )
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      setStockTakes(data || []);
+    } catch (error) {
+      toast.error('Gagal Memuat Stok Opname', { description: error.message });
+    } finally {
+      setTableLoading(false);
+    }
+  }, []);
+
+  const fetchLocations = useCallback(async () => {
+    try {
+      const data = await getLocations(supabase);
+      setLocations(data.filter((location) => !location.archived_at));
+    } catch (error) {
+      toast.error('Gagal Memuat Lokasi', { description: error.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchStockTakes();
+    fetchLocations();
+
+    const subscription = supabase
+      .channel('stock-takes-page')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'stock_takes' },
+        () => fetchStockTakes()
+      )
+      .subscribe();
+    const unsubscribeReference = subscribeToReferenceChanges(
+      supabase,
+      fetchLocations
+    );
+
+    return () => {
+      supabase.removeChannel(subscription);
+      unsubscribeReference();
+    };
+  }, [user, fetchStockTakes, fetchLocations]);
+
+  // Snapshot the expected quantities and open the count sheet
+  const handleStart = async () => {
+    try {
+      setStarting(true);
+      const { data, error } = await supabase.rpc('start_stock_take', {
+        p_location_id: startLocation === ALL_LOCATIONS ? null : startLocation,
+        p_notes: startNotes.trim() || null,
+      });
+      if (error) throw error;
+      window.location.href = `/opname/${data}`;
+    } catch (error) {
+      toast.error('Gagal Memulai Stok Opname', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+      setStarting(false);
+    }
+  };
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melakukan stok opname.
+            </p>
+          ) : (
+            <>
+              <div className="flex justify-between items-center">
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  Stok Opname
+                </h2>
+                <Button
+                  onClick={() => {
+                    setStartLocation(ALL_LOCATIONS);
+                    setStartNotes('');
+                    setIsStartOpen(true);
+                  }}
+                  className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                >
+                  Mulai Stok Opname
+                </Button>
+              </div>
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Tanggal
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Lokasi
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Status
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Dihitung
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Selisih
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Aksi
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {tableLoading ? (
+                      Array.from({ length: 3 }).map((_, index) => (
+                        <TableRow key={`skeleton-${index}`}>
+                          {Array.from({ length: 6 }).map((_, cell) => (
+                            <TableCell key={cell}>
+                              <Skeleton className="h-4 w-[100px]" />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))
+                    ) : stockTakes.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={6}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Belum ada stok opname.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      stockTakes.map((stockTake) => {
+                        const summary = getStockTakeSummary(
+                          stockTake.stock_take_lines
+                        );
+                        const status = STOCK_TAKE_STATUS[stockTake.status];
+                        return (
+                          <TableRow key={stockTake.id}>
+                            <TableCell>
+                              {formatDate(stockTake.created_at)}
+                              {stockTake.notes && (
+                                <div className="text-xs text-gray-500 dark:text-gray-400">
+                                  {stockTake.notes}
+                                </div>
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              {stockTake.locations?.name || 'Semua Lokasi'}
+                            </TableCell>
+                            <TableCell>
+                              <span
+                                className={`rounded px-1.5 py-0.5 text-xs ${status?.className}`}
+                              >
+                                {status?.label || stockTake.status}
+                              </span>
+                            </TableCell>
+                            <TableCell className="text-right">
+                              {summary.counted} / {summary.lines} baris
+                            </TableCell>
+                            <TableCell className="text-right">
+                              <span className="text-green-500">
+                                +{summary.surplus}
+                              </span>{' '}
+                              /{' '}
+                              <span className="text-red-500">
+                                -{summary.shortage}
+                              </span>{' '}
+                              Ekor
+                            </TableCell>
+                            <TableCell className="text-right">
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                asChild
+                                className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                              >
+                                <a href={`/opname/${stockTake.id}`}>
+                                  {stockTake.status === 'DRAFT'
+                                    ? 'Lanjutkan'
+                                    : 'Lihat'}
+                                </a>
+                              </Button>
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <Dialog open={isStartOpen} onOpenChange={setIsStartOpen}>
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Mulai Stok Opname
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Jumlah tercatat saat ini disimpan sebagai acuan. Selisih dengan
+                hasil hitungan baru diposting setelah disetujui.
+              </p>
+              <div className="grid gap-2">
+                <Label className="text-gray-900 dark:text-gray-100">
+                  Lokasi
+                </Label>
+                <Select value={startLocation} onValueChange={setStartLocation}>
+                  <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                    <SelectValue placeholder="Pilih lokasi" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                    <SelectItem value={ALL_LOCATIONS}>Semua Lokasi</SelectItem>
+                    {locations.map((location) => (
+                      <SelectItem key={location.id} value={location.id}>
+                        {location.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="stock-take-notes"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Catatan (Opsional)
+                </Label>
+                <Textarea
+                  id="stock-take-notes"
+                  value={startNotes}
+                  onChange={(e) => setStartNotes(e.target.value)}
+                  placeholder="Misalnya, opname akhir bulan"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setIsStartOpen(false)}
+                disabled={starting}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleStart}
+                disabled={starting}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+              >
+                {starting ? 'Memulai...' : 'Mulai'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
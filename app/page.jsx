@@ -2,7 +2,11 @@
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import { supabase } from '@/lib/supabase';
-import { getLobsterTypes, getWeightClasses } from '@/lib/cache';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
 import {
   SidebarInset,
   SidebarProvider,
@@ -25,20 +29,40 @@ import {
   TooltipTrigger,
 } from '@/components/ui/tooltip';
 import {
+  AlertTriangle,
   Box,
   FolderInput,
   FolderOutput,
+  Gauge,
   Loader2,
   TrendingUp,
   PieChart as PieChartIcon,
 } from 'lucide-react';
+import { compareWeightClasses } from '@/lib/weight-classes';
+import { OUTGOING_TRANSACTION_TYPES } from '@/lib/inventory';
+import { AGING_WARNING_DAYS, getLotAgeInDays } from '@/lib/lots';
+import { THRESHOLD_STATUS } from '@/lib/thresholds';
+import { canAccessRoute } from '@/lib/roles';
+import { useUserRole } from '@/hooks/use-user-role';
 import { ChartBulan } from '@/components/chart-bulan';
 import { ChartJenis } from '@/components/chart-jenis';
 import { AppSidebar } from '@/components/app-sidebar';
 import { motion } from 'framer-motion';
 import debounce from 'lodash/debounce';
 
+// Link to a SKU's stock ledger, or plain text for roles that cannot open it
+function LedgerLink({ href, canOpen, children }) {
+  if (!canOpen) return <>{children}</>;
+  return (
+    <a href={href} className="hover:underline">
+      {children}
+    </a>
+  );
+}
+
 export default function Dashboard() {
+  const role = useUserRole();
+  const canOpenLedger = canAccessRoute(role, '/stok');
   const [user, setUser] = useState(null);
   const [totalStock, setTotalStock] = useState(0);
   const [incomingThisMonth, setIncomingThisMonth] = useState(0);
@@ -47,6 +71,8 @@ export default function Dashboard() {
   const [weightClasses, setWeightClasses] = useState({});
   const [chartData, setChartData] = useState([]);
   const [pieChartData, setPieChartData] = useState([]);
+  const [agedStock, setAgedStock] = useState([]);
+  const [thresholdBreaches, setThresholdBreaches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [chartLoading, setChartLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -85,16 +111,29 @@ export default function Dashboard() {
           const { data: inventoryData, error } = await supabase
             .from('inventory')
             .select(
-              'weight_class_id, quantity, weight_classes!inner(weight_range)'
+              'weight_class_id, quantity, weight_classes!inner(weight_range, min_grams, max_grams)'
             )
             .eq('type_id', typeId)
             .gt('quantity', 0);
           if (error) throw error;
 
-          return inventoryData.map((row) => ({
-            weight_range: row.weight_classes?.weight_range || 'Unknown',
-            quantity: row.quantity || 0,
-          }));
+          // One row per weight class, summed across locations
+          const byWeightClass = inventoryData.reduce((acc, row) => {
+            const existing = acc[row.weight_class_id];
+            if (existing) {
+              existing.quantity += row.quantity || 0;
+            } else {
+              acc[row.weight_class_id] = {
+                weight_range: row.weight_classes?.weight_range || 'Unknown',
+                min_grams: row.weight_classes?.min_grams ?? null,
+                max_grams: row.weight_classes?.max_grams ?? null,
+                quantity: row.quantity || 0,
+              };
+            }
+            return acc;
+          }, {});
+
+          return Object.values(byWeightClass).sort(compareWeightClasses);
         })(),
         timeoutPromise,
       ]);
@@ -129,27 +168,39 @@ export default function Dashboard() {
         { data: transactionsData, error: transactionsError },
         { data: pieData, error: pieError },
         { data: monthlyData, error: monthlyError },
+        { data: lotsData, error: lotsError },
+        { data: breachData, error: breachError },
       ] = await Promise.all([
         supabase.from('inventory').select('type_id, quantity'),
         supabase
           .from('transactions')
           .select('quantity, transaction_type, type_id')
+          .is('voided_at', null)
           .gte('transaction_date', startOfMonth.toISOString())
           .lte('transaction_date', endOfMonth.toISOString()),
         supabase
           .from('transactions')
           .select('quantity, transaction_type, type_id')
-          .in('transaction_type', ['DISTRIBUTE', 'DEATH', 'DAMAGED']),
+          .is('voided_at', null)
+          .in('transaction_type', OUTGOING_TRANSACTION_TYPES),
         supabase
           .from('transactions')
           .select('quantity, transaction_type, transaction_date')
+          .is('voided_at', null)
           .gte('transaction_date', sixMonthsAgo.toISOString()),
+        supabase
+          .from('lots')
+          .select('type_id, weight_class_id, received_at, remaining_quantity')
+          .gt('remaining_quantity', 0),
+        supabase.from('stock_threshold_status').select('*').neq('status', 'OK'),
       ]);
 
       if (inventoryError) throw inventoryError;
       if (transactionsError) throw transactionsError;
       if (pieError) throw pieError;
       if (monthlyError) throw monthlyError;
+      if (lotsError) throw lotsError;
+      if (breachError) throw breachError;
 
       // Calculate total stock and group by type
       const total = inventoryData.reduce(
@@ -177,18 +228,63 @@ export default function Dashboard() {
         })
       );
 
-      // Process transactions
+      // Process transactions. Transfers and reclassifications only move
+      // stock around, so they count as neither incoming nor outgoing.
       const incoming = transactionsData
         .filter((t) => t.transaction_type === 'ADD')
         .reduce((sum, t) => sum + (t.quantity || 0), 0);
       const outgoing = Math.abs(
         transactionsData
           .filter((t) =>
-            ['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(t.transaction_type)
+            OUTGOING_TRANSACTION_TYPES.includes(t.transaction_type)
           )
           .reduce((sum, t) => sum + (t.quantity || 0), 0)
       );
 
+      // Stock held too long, per type and weight class, oldest first
+      const agedGrouped = lotsData.reduce((acc, lot) => {
+        const age = getLotAgeInDays(lot.received_at, now);
+        if (age < AGING_WARNING_DAYS) return acc;
+        const key = `${lot.type_id}-${lot.weight_class_id}`;
+        const entry = acc[key] || {
+          key,
+          typeId: lot.type_id,
+          weightClassId: lot.weight_class_id,
+          typeName:
+            lobsterTypes.find((t) => t.id === lot.type_id)?.name || 'Unknown',
+          weightRange:
+            weightClassesData.find((wc) => wc.id === lot.weight_class_id)
+              ?.weight_range || 'Unknown',
+          quantity: 0,
+          oldestDays: 0,
+        };
+        entry.quantity += lot.remaining_quantity;
+        entry.oldestDays = Math.max(entry.oldestDays, age);
+        acc[key] = entry;
+        return acc;
+      }, {});
+      const agedStockArray = Object.values(agedGrouped).sort(
+        (a, b) => b.oldestDays - a.oldestDays
+      );
+
+      // Threshold breaches, shortages first
+      const breaches = breachData
+        .map((row) => ({
+          ...row,
+          key: `${row.type_id}-${row.weight_class_id}`,
+          typeName:
+            lobsterTypes.find((t) => t.id === row.type_id)?.name || 'Unknown',
+          weightClass: weightClassesData.find(
+            (wc) => wc.id === row.weight_class_id
+          ),
+        }))
+        .sort(
+          (a, b) =>
+            b.status.localeCompare(a.status) ||
+            a.typeName.localeCompare(b.typeName) ||
+            compareWeightClasses(a.weightClass, b.weightClass)
+        );
+
       // Process pie chart data
       const pieGrouped = pieData.reduce((acc, row) => {
         const type = lobsterTypes.find((t) => t.id === row.type_id);
@@ -226,7 +322,7 @@ export default function Dashboard() {
         const outgoing = Math.abs(
           monthTransactions
             .filter((t) =>
-              ['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(t.transaction_type)
+              OUTGOING_TRANSACTION_TYPES.includes(t.transaction_type)
             )
             .reduce((sum, t) => sum + (t.quantity || 0), 0)
         );
@@ -239,6 +335,8 @@ export default function Dashboard() {
       setIncomingThisMonth(incoming);
       setOutgoingThisMonth(outgoing);
       setPieChartData(pieChartArray);
+      setAgedStock(agedStockArray);
+      setThresholdBreaches(breaches);
       setChartData(monthlyChartData);
       setError(null);
       setLastUpdated(
@@ -290,9 +388,15 @@ export default function Dashboard() {
         )
         .subscribe();
 
+      const unsubscribeReference = subscribeToReferenceChanges(
+        supabase,
+        debouncedFetchDashboardData
+      );
+
       return () => {
         supabase.removeChannel(inventorySubscription);
         supabase.removeChannel(transactionsSubscription);
+        unsubscribeReference();
         debouncedFetchDashboardData.cancel();
       };
     }
@@ -565,6 +669,98 @@ export default function Dashboard() {
               </motion.div>
             </div>
 
+            {thresholdBreaches.length > 0 && (
+              <motion.div variants={cardVariants}>
+                <Card className="w-full rounded-lg border border-yellow-300 dark:border-yellow-700 bg-yellow-50 dark:bg-yellow-950">
+                  <CardHeader className="flex flex-row items-center gap-2">
+                    <Gauge
+                      size={24}
+                      className="text-yellow-600 dark:text-yellow-400"
+                    />
+                    <CardTitle className="text-lg sm:text-xl font-semibold text-yellow-800 dark:text-yellow-300">
+                      Batas Stok Terlampaui: {thresholdBreaches.length}
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <ul className="space-y-1 text-sm text-gray-900 dark:text-gray-100">
+                      {thresholdBreaches.map((breach) => (
+                        <li
+                          key={breach.key}
+                          className="flex flex-wrap justify-between gap-x-4"
+                        >
+                          <span>
+                            <span
+                              className={`mr-2 rounded px-1.5 py-0.5 text-xs ${
+                                THRESHOLD_STATUS[breach.status].className
+                              }`}
+                            >
+                              {THRESHOLD_STATUS[breach.status].label}
+                            </span>
+                            <LedgerLink
+                              href={`/stok/${breach.type_id}/${breach.weight_class_id}`}
+                              canOpen={canOpenLedger}
+                            >
+                              {breach.typeName}{' '}
+                              {breach.weightClass?.weight_range || 'Unknown'}{' '}
+                              gram
+                            </LedgerLink>
+                          </span>
+                          <span>
+                            {breach.quantity} Ekor
+                            {breach.status === 'LOW'
+                              ? ` · minimum ${breach.min_quantity}`
+                              : ` · maksimum ${breach.max_quantity}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            )}
+
+            {agedStock.length > 0 && (
+              <motion.div variants={cardVariants}>
+                <Card className="w-full rounded-lg border border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-950">
+                  <CardHeader className="flex flex-row items-center gap-2">
+                    <AlertTriangle
+                      size={24}
+                      className="text-red-600 dark:text-red-400"
+                    />
+                    <CardTitle className="text-lg sm:text-xl font-semibold text-red-700 dark:text-red-300">
+                      Stok Tertahan {AGING_WARNING_DAYS}+ Hari:{' '}
+                      {agedStock.reduce((sum, item) => sum + item.quantity, 0)}{' '}
+                      Ekor
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="mb-3 text-sm text-red-700 dark:text-red-300">
+                      Lobster yang terlalu lama ditampung kehilangan berat dan
+                      lebih rentan mati. Prioritaskan untuk didistribusikan.
+                    </p>
+                    <ul className="space-y-1 text-sm text-gray-900 dark:text-gray-100">
+                      {agedStock.map((item) => (
+                        <li
+                          key={item.key}
+                          className="flex justify-between gap-4"
+                        >
+                          <LedgerLink
+                            href={`/stok/${item.typeId}/${item.weightClassId}`}
+                            canOpen={canOpenLedger}
+                          >
+                            {item.typeName} {item.weightRange} gram
+                          </LedgerLink>
+                          <span>
+                            {item.quantity} Ekor · tertua {item.oldestDays} hari
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            )}
+
             <motion.div variants={cardVariants} className="mt-8">
               <Card className="w-full mb-4  ">
                 <CardHeader className="flex flex-row items-center gap-2">
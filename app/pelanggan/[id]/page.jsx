@@ -0,0 +1,366 @@
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'next/navigation';
+import { supabase } from '@/lib/supabase';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+import { compareWeightClasses } from '@/lib/weight-classes';
+
+// Totals per lobster type, each split per weight class from light to heavy
+function getReceivedTotals(distributions) {
+  const byType = distributions.reduce((acc, t) => {
+    const typeName = t.lobster_types?.name || 'Tidak Diketahui';
+    const type = acc[typeName] || { typeName, total: 0, weightClasses: {} };
+    const key = t.weight_class_id;
+    const weightClass = type.weightClasses[key] || {
+      weightClass: t.weight_classes,
+      quantity: 0,
+    };
+    weightClass.quantity += Math.abs(t.quantity);
+    type.weightClasses[key] = weightClass;
+    type.total += Math.abs(t.quantity);
+    acc[typeName] = type;
+    return acc;
+  }, {});
+
+  return Object.values(byType)
+    .sort((a, b) => a.typeName.localeCompare(b.typeName))
+    .map((type) => ({
+      ...type,
+      weightClasses: Object.values(type.weightClasses).sort((a, b) =>
+        compareWeightClasses(a.weightClass, b.weightClass)
+      ),
+    }));
+}
+
+// One timeline entry per shipment, or per standalone distribution
+function getShipmentTimeline(distributions) {
+  const entries = distributions.reduce((acc, t) => {
+    const key = t.shipment_id || t.id;
+    const entry = acc[key] || {
+      key,
+      isShipment: Boolean(t.shipment_id),
+      date: t.shipments?.shipment_date || t.transaction_date,
+      notes: t.notes,
+      total: 0,
+      lines: [],
+    };
+    entry.total += Math.abs(t.quantity);
+    entry.lines.push(t);
+    acc[key] = entry;
+    return acc;
+  }, {});
+
+  return Object.values(entries).sort(
+    (a, b) => new Date(b.date) - new Date(a.date)
+  );
+}
+
+export default function CustomerDetail() {
+  const { id } = useParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [customer, setCustomer] = useState(null);
+  const [distributions, setDistributions] = useState([]);
+  const [dataLoading, setDataLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // Fetch the customer and every distribution it received
+  const fetchCustomer = useCallback(async () => {
+    try {
+      const [customerResult, distributionsResult] = await Promise.all([
+        supabase
+          .from('customers')
+          .select(
+            'id, name, contact_person, phone, address, notes, archived_at'
+          )
+          .eq('id', id)
+          .single(),
+        supabase
+          .from('transactions')
+          .select(
+            `
+            id,
+            quantity,
+            transaction_date,
+            notes,
+            shipment_id,
+            weight_class_id,
+            shipments (shipment_date),
+            lobster_types (name),
+            weight_classes!weight_class_id (weight_range, min_grams, max_grams)
+          `
+          )
+          .eq('customer_id', id)
+          .eq('transaction_type', 'DISTRIBUTE')
+          .is('voided_at', null)
+          .order('transaction_date', { ascending: false }),
+      ]);
+      if (customerResult.error) throw customerResult.error;
+      if (distributionsResult.error) throw distributionsResult.error;
+
+      setCustomer(customerResult.data);
+      setDistributions(distributionsResult.data || []);
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+      toast.error('Gagal Memuat Pelanggan', { description: error.message });
+    } finally {
+      setDataLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (!user || !id) return;
+    fetchCustomer();
+
+    const subscription = supabase
+      .channel(`customer-${id}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transactions' },
+        () => fetchCustomer()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [user, id, fetchCustomer]);
+
+  const receivedTotals = useMemo(
+    () => getReceivedTotals(distributions),
+    [distributions]
+  );
+  const timeline = useMemo(
+    () => getShipmentTimeline(distributions),
+    [distributions]
+  );
+  const grandTotal = receivedTotals.reduce((sum, type) => sum + type.total, 0);
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading || (user && dataLoading) ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melihat pelanggan.
+            </p>
+          ) : error || !customer ? (
+            <p className="text-red-500 dark:text-red-400">
+              Kesalahan: {error || 'Pelanggan tidak ditemukan'}
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <a
+                    href="/pelanggan"
+                    className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    ← Semua Pelanggan
+                  </a>
+                  <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                    {customer.name}
+                    {customer.archived_at && (
+                      <span className="ml-2 text-base font-normal text-gray-500 dark:text-gray-400">
+                        (Diarsipkan)
+                      </span>
+                    )}
+                  </h2>
+                </div>
+                <Button
+                  asChild
+                  className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                >
+                  <a href={`/transaksi?customer=${customer.id}`}>
+                    Lihat Transaksi
+                  </a>
+                </Button>
+              </div>
+
+              <div className="grid gap-6 lg:grid-cols-3">
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Kontak
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+                    <p>Narahubung: {customer.contact_person || 'Tidak Ada'}</p>
+                    <p>Telepon: {customer.phone || 'Tidak Ada'}</p>
+                    <p>Alamat: {customer.address || 'Tidak Ada'}</p>
+                    {customer.notes && <p>Catatan: {customer.notes}</p>}
+                  </CardContent>
+                </Card>
+
+                <Card className="lg:col-span-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader>
+                    <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                      Total Diterima: {grandTotal} Ekor
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    {receivedTotals.length === 0 ? (
+                      <p className="text-gray-500 dark:text-gray-400">
+                        Belum ada distribusi ke pelanggan ini.
+                      </p>
+                    ) : (
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                              Jenis Lobster
+                            </TableHead>
+                            <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                              Berat Lobster
+                            </TableHead>
+                            <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                              Jumlah
+                            </TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {receivedTotals.flatMap((type) => [
+                            ...type.weightClasses.map((wc, index) => (
+                              <TableRow
+                                key={`${type.typeName}-${wc.weightClass?.weight_range}`}
+                              >
+                                <TableCell className="font-medium">
+                                  {index === 0 ? type.typeName : ''}
+                                </TableCell>
+                                <TableCell>
+                                  {wc.weightClass?.weight_range || 'Tidak Ada'}{' '}
+                                  gram
+                                </TableCell>
+                                <TableCell className="text-right">
+                                  {wc.quantity} Ekor
+                                </TableCell>
+                              </TableRow>
+                            )),
+                            <TableRow
+                              key={`${type.typeName}-total`}
+                              className="bg-gray-50 dark:bg-gray-900"
+                            >
+                              <TableCell />
+                              <TableCell className="font-semibold">
+                                Subtotal {type.typeName}
+                              </TableCell>
+                              <TableCell className="text-right font-semibold">
+                                {type.total} Ekor
+                              </TableCell>
+                            </TableRow>,
+                          ])}
+                        </TableBody>
+                      </Table>
+                    )}
+                  </CardContent>
+                </Card>
+              </div>
+
+              <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Riwayat Pengiriman
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {timeline.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">
+                      Belum ada pengiriman.
+                    </p>
+                  ) : (
+                    <ol className="relative space-y-6 border-l border-gray-200 dark:border-gray-700 pl-6">
+                      {timeline.map((entry) => (
+                        <li key={entry.key} className="relative">
+                          <span className="absolute -left-[31px] top-1.5 h-2.5 w-2.5 rounded-full bg-blue-600 dark:bg-blue-400" />
+                          <div className="flex flex-wrap items-baseline justify-between gap-2">
+                            <span className="font-medium text-gray-900 dark:text-gray-100">
+                              {entry.isShipment
+                                ? `Pengiriman (${entry.lines.length} baris)`
+                                : 'Distribusi'}{' '}
+                              · {entry.total} Ekor
+                            </span>
+                            <span className="text-sm text-gray-500 dark:text-gray-400">
+                              {formatDate(entry.date)}
+                            </span>
+                          </div>
+                          <ul className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                            {entry.lines.map((line) => (
+                              <li key={line.id}>
+                                {line.lobster_types?.name || 'Tidak Ada'}{' '}
+                                {line.weight_classes?.weight_range} gram:{' '}
+                                {Math.abs(line.quantity)} Ekor
+                              </li>
+                            ))}
+                          </ul>
+                          {entry.notes?.note && (
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                              Catatan: {entry.notes.note}
+                            </p>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,507 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import { clearCache } from '@/lib/cache';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Archive,
+  ArchiveRestore,
+  ListFilter,
+  Pencil,
+  Trash2,
+} from 'lucide-react';
+import { toast } from 'sonner';
+
+const emptyCustomer = {
+  name: '',
+  contact_person: '',
+  phone: '',
+  address: '',
+  notes: '',
+};
+
+// Map database errors on customers to user-facing messages
+const getCustomerErrorMessage = (error) => {
+  if (error?.code === '23505') return 'Nama pelanggan sudah digunakan';
+  return error?.message || 'Terjadi kesalahan tak terduga.';
+};
+
+export default function Customers() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [customers, setCustomers] = useState([]);
+  const [receivedTotals, setReceivedTotals] = useState({});
+  const [tableLoading, setTableLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [customerForm, setCustomerForm] = useState(emptyCustomer);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // Fetch customers and the total they received, voided rows excluded
+  const fetchCustomers = useCallback(async () => {
+    try {
+      const [customersResult, distributionsResult] = await Promise.all([
+        supabase
+          .from('customers')
+          .select(
+            'id, name, contact_person, phone, address, notes, archived_at'
+          )
+          .order('name'),
+        supabase
+          .from('transactions')
+          .select('customer_id, quantity')
+          .eq('transaction_type', 'DISTRIBUTE')
+          .not('customer_id', 'is', null)
+          .is('voided_at', null),
+      ]);
+      if (customersResult.error) throw customersResult.error;
+      if (distributionsResult.error) throw distributionsResult.error;
+
+      setCustomers(customersResult.data || []);
+      setReceivedTotals(
+        (distributionsResult.data || []).reduce((acc, row) => {
+          acc[row.customer_id] =
+            (acc[row.customer_id] || 0) + Math.abs(row.quantity);
+          return acc;
+        }, {})
+      );
+    } catch (error) {
+      toast.error('Gagal Memuat Pelanggan', { description: error.message });
+    } finally {
+      setTableLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchCustomers();
+
+    const subscription = supabase
+      .channel('customers-page')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'customers' },
+        () => fetchCustomers()
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transactions' },
+        () => fetchCustomers()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [user, fetchCustomers]);
+
+  // Run a mutation, then refresh the list and the shared cache
+  const runMutation = async (mutation, successMessage) => {
+    try {
+      setSaving(true);
+      await mutation();
+      clearCache();
+      await fetchCustomers();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error('Gagal Menyimpan Pelanggan', {
+        description: getCustomerErrorMessage(error),
+      });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCreate = () => {
+    setCustomerForm(emptyCustomer);
+    setEditingCustomer({});
+  };
+
+  const openEdit = (customer) => {
+    setCustomerForm({
+      name: customer.name,
+      contact_person: customer.contact_person || '',
+      phone: customer.phone || '',
+      address: customer.address || '',
+      notes: customer.notes || '',
+    });
+    setEditingCustomer(customer);
+  };
+
+  const handleFormChange = (field, value) => {
+    setCustomerForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const name = customerForm.name.trim();
+    if (!name) return;
+
+    // Empty contact fields are stored as null
+    const values = Object.fromEntries(
+      Object.entries({ ...customerForm, name }).map(([field, value]) => [
+        field,
+        typeof value === 'string' && value.trim() === '' ? null : value,
+      ])
+    );
+    const saved = await runMutation(
+      async () => {
+        const { error } = editingCustomer.id
+          ? await supabase
+              .from('customers')
+              .update(values)
+              .eq('id', editingCustomer.id)
+          : await supabase.from('customers').insert(values);
+        if (error) throw error;
+      },
+      editingCustomer.id ? `${name} diperbarui` : `${name} ditambahkan`
+    );
+    if (saved) setEditingCustomer(null);
+  };
+
+  const handleArchive = (customer) =>
+    runMutation(
+      async () => {
+        const { error } = await supabase
+          .from('customers')
+          .update({
+            archived_at: customer.archived_at ? null : new Date().toISOString(),
+          })
+          .eq('id', customer.id);
+        if (error) throw error;
+      },
+      customer.archived_at
+        ? `${customer.name} diaktifkan kembali`
+        : `${customer.name} diarsipkan`
+    );
+
+  const handleDelete = (customer) =>
+    runMutation(async () => {
+      const { error } = await supabase
+        .from('customers')
+        .delete()
+        .eq('id', customer.id);
+      if (error) throw error;
+    }, `${customer.name} dihapus`);
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk mengelola pelanggan.
+            </p>
+          ) : (
+            <>
+              <div className="flex justify-between items-center">
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  Pelanggan
+                </h2>
+                <Button
+                  onClick={openCreate}
+                  className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                >
+                  Tambah Pelanggan
+                </Button>
+              </div>
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Nama
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Kontak
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Alamat
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Total Diterima
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Aksi
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {tableLoading ? (
+                      Array.from({ length: 3 }).map((_, index) => (
+                        <TableRow key={`skeleton-${index}`}>
+                          {Array.from({ length: 5 }).map((_, cell) => (
+                            <TableCell key={cell}>
+                              <Skeleton className="h-4 w-[100px]" />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))
+                    ) : customers.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={5}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Belum ada pelanggan.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      customers.map((customer) => (
+                        <TableRow key={customer.id}>
+                          <TableCell className="font-medium">
+                            <a
+                              href={`/pelanggan/${customer.id}`}
+                              className={
+                                customer.archived_at
+                                  ? 'text-gray-400 dark:text-gray-500 line-through'
+                                  : 'text-blue-600 dark:text-blue-400 hover:underline'
+                              }
+                            >
+                              {customer.name}
+                            </a>
+                            {customer.archived_at && (
+                              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                                (Diarsipkan)
+                              </span>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <div>{customer.contact_person || 'Tidak Ada'}</div>
+                            {customer.phone && (
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {customer.phone}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="max-w-[240px] truncate">
+                            {customer.address || 'Tidak Ada'}
+                          </TableCell>
+                          <TableCell className="text-right text-red-500">
+                            {receivedTotals[customer.id] || 0} Ekor
+                          </TableCell>
+                          <TableCell className="text-right">
+                            <div className="flex justify-end gap-1">
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                asChild
+                                title="Lihat transaksi"
+                              >
+                                <a href={`/transaksi?customer=${customer.id}`}>
+                                  <ListFilter className="h-4 w-4" />
+                                </a>
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => openEdit(customer)}
+                                disabled={saving}
+                                title="Ubah"
+                              >
+                                <Pencil className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handleArchive(customer)}
+                                disabled={saving}
+                                title={
+                                  customer.archived_at ? 'Aktifkan' : 'Arsipkan'
+                                }
+                              >
+                                {customer.archived_at ? (
+                                  <ArchiveRestore className="h-4 w-4" />
+                                ) : (
+                                  <Archive className="h-4 w-4" />
+                                )}
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handleDelete(customer)}
+                                disabled={saving}
+                                title="Hapus"
+                                className="text-red-600 dark:text-red-400"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <Dialog
+          open={Boolean(editingCustomer)}
+          onOpenChange={(open) => !open && setEditingCustomer(null)}
+        >
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                {editingCustomer?.id ? 'Ubah Pelanggan' : 'Tambah Pelanggan'}
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="customer-name"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Nama
+                </Label>
+                <Input
+                  id="customer-name"
+                  value={customerForm.name}
+                  onChange={(e) => handleFormChange('name', e.target.value)}
+                  placeholder="Nama pembeli, restoran atau eksportir"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor="customer-contact"
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Narahubung
+                  </Label>
+                  <Input
+                    id="customer-contact"
+                    value={customerForm.contact_person}
+                    onChange={(e) =>
+                      handleFormChange('contact_person', e.target.value)
+                    }
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor="customer-phone"
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Telepon
+                  </Label>
+                  <Input
+                    id="customer-phone"
+                    type="tel"
+                    value={customerForm.phone}
+                    onChange={(e) => handleFormChange('phone', e.target.value)}
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="customer-address"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Alamat
+                </Label>
+                <Textarea
+                  id="customer-address"
+                  value={customerForm.address}
+                  onChange={(e) => handleFormChange('address', e.target.value)}
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="customer-notes"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Catatan
+                </Label>
+                <Input
+                  id="customer-notes"
+                  value={customerForm.notes}
+                  onChange={(e) => handleFormChange('notes', e.target.value)}
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setEditingCustomer(null)}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+                disabled={saving}
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleSave}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+                disabled={saving || !customerForm.name.trim()}
+              >
+                Simpan
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
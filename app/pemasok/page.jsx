@@ -0,0 +1,550 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import { clearCache } from '@/lib/cache';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Archive,
+  ArchiveRestore,
+  ListFilter,
+  Pencil,
+  Trash2,
+} from 'lucide-react';
+import { toast } from 'sonner';
+
+const supplierCategories = {
+  NELAYAN: 'Kelompok Nelayan',
+  PENGEPUL: 'Pengepul',
+  LAINNYA: 'Lainnya',
+};
+
+const emptySupplier = {
+  name: '',
+  category: 'NELAYAN',
+  contact_person: '',
+  phone: '',
+  address: '',
+  notes: '',
+};
+
+// Map database errors on suppliers to user-facing messages
+const getSupplierErrorMessage = (error) => {
+  if (error?.code === '23505') return 'Nama pemasok sudah digunakan';
+  return error?.message || 'Terjadi kesalahan tak terduga.';
+};
+
+export default function Suppliers() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [suppliers, setSuppliers] = useState([]);
+  const [deliveredTotals, setDeliveredTotals] = useState({});
+  const [tableLoading, setTableLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplier);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  // Fetch suppliers and the total they delivered, voided rows excluded
+  const fetchSuppliers = useCallback(async () => {
+    try {
+      const [suppliersResult, deliveriesResult] = await Promise.all([
+        supabase
+          .from('suppliers')
+          .select(
+            'id, name, category, contact_person, phone, address, notes, archived_at'
+          )
+          .order('name'),
+        supabase
+          .from('transactions')
+          .select('supplier_id, quantity')
+          .eq('transaction_type', 'ADD')
+          .not('supplier_id', 'is', null)
+          .is('voided_at', null),
+      ]);
+      if (suppliersResult.error) throw suppliersResult.error;
+      if (deliveriesResult.error) throw deliveriesResult.error;
+
+      setSuppliers(suppliersResult.data || []);
+      setDeliveredTotals(
+        (deliveriesResult.data || []).reduce((acc, row) => {
+          acc[row.supplier_id] =
+            (acc[row.supplier_id] || 0) + Math.abs(row.quantity);
+          return acc;
+        }, {})
+      );
+    } catch (error) {
+      toast.error('Gagal Memuat Pemasok', { description: error.message });
+    } finally {
+      setTableLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchSuppliers();
+
+    const subscription = supabase
+      .channel('suppliers-page')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'suppliers' },
+        () => fetchSuppliers()
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transactions' },
+        () => fetchSuppliers()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [user, fetchSuppliers]);
+
+  // Run a mutation, then refresh the list and the shared cache
+  const runMutation = async (mutation, successMessage) => {
+    try {
+      setSaving(true);
+      await mutation();
+      clearCache();
+      await fetchSuppliers();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error('Gagal Menyimpan Pemasok', {
+        description: getSupplierErrorMessage(error),
+      });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCreate = () => {
+    setSupplierForm(emptySupplier);
+    setEditingSupplier({});
+  };
+
+  const openEdit = (supplier) => {
+    setSupplierForm({
+      name: supplier.name,
+      category: supplier.category,
+      contact_person: supplier.contact_person || '',
+      phone: supplier.phone || '',
+      address: supplier.address || '',
+      notes: supplier.notes || '',
+    });
+    setEditingSupplier(supplier);
+  };
+
+  const handleFormChange = (field, value) => {
+    setSupplierForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const name = supplierForm.name.trim();
+    if (!name) return;
+
+    // Empty contact fields are stored as null
+    const values = Object.fromEntries(
+      Object.entries({ ...supplierForm, name }).map(([field, value]) => [
+        field,
+        typeof value === 'string' && value.trim() === '' ? null : value,
+      ])
+    );
+    const saved = await runMutation(
+      async () => {
+        const { error } = editingSupplier.id
+          ? await supabase
+              .from('suppliers')
+              .update(values)
+              .eq('id', editingSupplier.id)
+          : await supabase.from('suppliers').insert(values);
+        if (error) throw error;
+      },
+      editingSupplier.id ? `${name} diperbarui` : `${name} ditambahkan`
+    );
+    if (saved) setEditingSupplier(null);
+  };
+
+  const handleArchive = (supplier) =>
+    runMutation(
+      async () => {
+        const { error } = await supabase
+          .from('suppliers')
+          .update({
+            archived_at: supplier.archived_at ? null : new Date().toISOString(),
+          })
+          .eq('id', supplier.id);
+        if (error) throw error;
+      },
+      supplier.archived_at
+        ? `${supplier.name} diaktifkan kembali`
+        : `${supplier.name} diarsipkan`
+    );
+
+  const handleDelete = (supplier) =>
+    runMutation(async () => {
+      const { error } = await supabase
+        .from('suppliers')
+        .delete()
+        .eq('id', supplier.id);
+      if (error) throw error;
+    }, `${supplier.name} dihapus`);
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk mengelola pemasok.
+            </p>
+          ) : (
+            <>
+              <div className="flex justify-between items-center">
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  Pemasok
+                </h2>
+                <Button
+                  onClick={openCreate}
+                  className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                >
+                  Tambah Pemasok
+                </Button>
+              </div>
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Nama
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Kategori
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Kontak
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Alamat
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Total Dipasok
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Aksi
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {tableLoading ? (
+                      Array.from({ length: 3 }).map((_, index) => (
+                        <TableRow key={`skeleton-${index}`}>
+                          {Array.from({ length: 6 }).map((_, cell) => (
+                            <TableCell key={cell}>
+                              <Skeleton className="h-4 w-[100px]" />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))
+                    ) : suppliers.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={6}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Belum ada pemasok.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      suppliers.map((supplier) => (
+                        <TableRow key={supplier.id}>
+                          <TableCell className="font-medium">
+                            <span
+                              className={
+                                supplier.archived_at
+                                  ? 'text-gray-400 dark:text-gray-500 line-through'
+                                  : ''
+                              }
+                            >
+                              {supplier.name}
+                            </span>
+                            {supplier.archived_at && (
+                              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                                (Diarsipkan)
+                              </span>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {supplierCategories[supplier.category] ||
+                              supplier.category}
+                          </TableCell>
+                          <TableCell>
+                            <div>{supplier.contact_person || 'Tidak Ada'}</div>
+                            {supplier.phone && (
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {supplier.phone}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="max-w-[240px] truncate">
+                            {supplier.address || 'Tidak Ada'}
+                          </TableCell>
+                          <TableCell className="text-right text-green-500">
+                            {deliveredTotals[supplier.id] || 0} Ekor
+                          </TableCell>
+                          <TableCell className="text-right">
+                            <div className="flex justify-end gap-1">
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                asChild
+                                title="Lihat transaksi"
+                              >
+                                <a href={`/transaksi?supplier=${supplier.id}`}>
+                                  <ListFilter className="h-4 w-4" />
+                                </a>
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => openEdit(supplier)}
+                                disabled={saving}
+                                title="Ubah"
+                              >
+                                <Pencil className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handleArchive(supplier)}
+                                disabled={saving}
+                                title={
+                                  supplier.archived_at ? 'Aktifkan' : 'Arsipkan'
+                                }
+                              >
+                                {supplier.archived_at ? (
+                                  <ArchiveRestore className="h-4 w-4" />
+                                ) : (
+                                  <Archive className="h-4 w-4" />
+                                )}
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handleDelete(supplier)}
+                                disabled={saving}
+                                title="Hapus"
+                                className="text-red-600 dark:text-red-400"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <Dialog
+          open={Boolean(editingSupplier)}
+          onOpenChange={(open) => !open && setEditingSupplier(null)}
+        >
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                {editingSupplier?.id ? 'Ubah Pemasok' : 'Tambah Pemasok'}
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="supplier-name"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Nama
+                </Label>
+                <Input
+                  id="supplier-name"
+                  value={supplierForm.name}
+                  onChange={(e) => handleFormChange('name', e.target.value)}
+                  placeholder="Nama kelompok nelayan atau pengepul"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label className="text-gray-900 dark:text-gray-100">
+                  Kategori
+                </Label>
+                <Select
+                  value={supplierForm.category}
+                  onValueChange={(value) => handleFormChange('category', value)}
+                >
+                  <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                    {Object.entries(supplierCategories).map(
+                      ([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      )
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor="supplier-contact"
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Narahubung
+                  </Label>
+                  <Input
+                    id="supplier-contact"
+                    value={supplierForm.contact_person}
+                    onChange={(e) =>
+                      handleFormChange('contact_person', e.target.value)
+                    }
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor="supplier-phone"
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Telepon
+                  </Label>
+                  <Input
+                    id="supplier-phone"
+                    type="tel"
+                    value={supplierForm.phone}
+                    onChange={(e) => handleFormChange('phone', e.target.value)}
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  />
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="supplier-address"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Alamat
+                </Label>
+                <Textarea
+                  id="supplier-address"
+                  value={supplierForm.address}
+                  onChange={(e) => handleFormChange('address', e.target.value)}
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="supplier-notes"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Catatan
+                </Label>
+                <Input
+                  id="supplier-notes"
+                  value={supplierForm.notes}
+                  onChange={(e) => handleFormChange('notes', e.target.value)}
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setEditingSupplier(null)}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+                disabled={saving}
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleSave}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+                disabled={saving || !supplierForm.name.trim()}
+              >
+                Simpan
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,148 @@
+'use server';
+
+import { createClient } from '@/utils/supabase/server';
+import { createAdminClient } from '@/utils/supabase/admin';
+import { getConfirmUrl } from '@/utils/auth-redirect';
+import { ROLES } from '@/lib/roles';
+
+// Long enough to count as permanent; cleared again on reactivation
+const DEACTIVATED_BAN_DURATION = '876000h';
+
+// Signed-in caller, who must be an active admin. Every action checks this
+// itself because the service-role client skips row level security.
+async function requireAdmin() {
+  const supabase = await createClient();
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) throw new Error('Sesi berakhir, silakan masuk kembali');
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role, deactivated_at')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (profile?.role !== 'admin' || profile.deactivated_at) {
+    throw new Error('Akses ditolak: hanya admin yang dapat mengelola pengguna');
+  }
+  return user;
+}
+
+function assertRole(role) {
+  if (!ROLES[role]) throw new Error('Peran tidak valid');
+}
+
+export async function listUsers() {
+  try {
+    await requireAdmin();
+    const admin = createAdminClient();
+    const [{ data, error }, { data: profiles, error: profilesError }] =
+      await Promise.all([
+        admin.auth.admin.listUsers({ perPage: 1000 }),
+        admin.from('profiles').select('id, role, deactivated_at'),
+      ]);
+    if (error) throw error;
+    if (profilesError) throw profilesError;
+
+    const users = data.users.map((authUser) => {
+      const profile = profiles.find((p) => p.id === authUser.id);
+      return {
+        id: authUser.id,
+        email: authUser.email,
+        role: profile?.role || null,
+        deactivated_at: profile?.deactivated_at || null,
+        invited_at: authUser.invited_at || null,
+        confirmed_at: authUser.email_confirmed_at || null,
+        last_sign_in_at: authUser.last_sign_in_at || null,
+      };
+    });
+    return { users };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export async function inviteUser({ email, role }) {
+  try {
+    await requireAdmin();
+    assertRole(role);
+    const admin = createAdminClient();
+
+    const { data, error } = await admin.auth.admin.inviteUserByEmail(
+      email.trim().toLowerCase(),
+      { redirectTo: await getConfirmUrl() }
+    );
+    if (error) throw error;
+
+    // The profile is created by the auth.users trigger with the default role
+    const { error: roleError } = await admin
+      .from('profiles')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', data.user.id);
+    if (roleError) throw roleError;
+    return {};
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export async function updateUserRole({ userId, role }) {
+  try {
+    const caller = await requireAdmin();
+    assertRole(role);
+    if (userId === caller.id) {
+      throw new Error('Anda tidak dapat mengubah peran Anda sendiri');
+    }
+
+    const { error } = await createAdminClient()
+      .from('profiles')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId);
+    if (error) throw error;
+    return {};
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export async function setUserActive({ userId, active }) {
+  try {
+    const caller = await requireAdmin();
+    if (userId === caller.id) {
+      throw new Error('Anda tidak dapat menonaktifkan akun Anda sendiri');
+    }
+    const admin = createAdminClient();
+
+    // Update the profile first so the last-admin check can stop the ban
+    const { error: profileError } = await admin
+      .from('profiles')
+      .update({
+        deactivated_at: active ? null : new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', userId);
+    if (profileError) throw profileError;
+
+    const { error } = await admin.auth.admin.updateUserById(userId, {
+      ban_duration: active ? 'none' : DEACTIVATED_BAN_DURATION,
+    });
+    if (error) throw error;
+    return {};
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export async function sendPasswordReset({ email }) {
+  try {
+    await requireAdmin();
+    const { error } = await createAdminClient().auth.resetPasswordForEmail(
+      email,
+      { redirectTo: await getConfirmUrl() }
+    );
+    if (error) throw error;
+    return {};
+  } catch (error) {
+    return { error: error.message };
+  }
+}
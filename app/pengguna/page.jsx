@@ -0,0 +1,495 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import { ROLES } from '@/lib/roles';
+import {
+  inviteUser,
+  listUsers,
+  sendPasswordReset,
+  setUserActive,
+  updateUserRole,
+} from '@/app/pengguna/actions';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+
+// Account state shown in the status column
+const getUserStatus = (account) => {
+  if (account.deactivated_at) {
+    return {
+      label: 'Nonaktif',
+      className:
+        'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+    };
+  }
+  if (!account.confirmed_at) {
+    return {
+      label: 'Menunggu Undangan',
+      className:
+        'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200',
+    };
+  }
+  return {
+    label: 'Aktif',
+    className:
+      'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  };
+};
+
+export default function Users() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [users, setUsers] = useState([]);
+  const [tableLoading, setTableLoading] = useState(true);
+  const [isInviteOpen, setIsInviteOpen] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('operator');
+  const [inviting, setInviting] = useState(false);
+  const [toggleTarget, setToggleTarget] = useState(null);
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    const { users, error } = await listUsers();
+    if (error) {
+      toast.error('Gagal Memuat Pengguna', { description: error });
+    } else {
+      setUsers(
+        users.sort((a, b) => (a.email || '').localeCompare(b.email || ''))
+      );
+    }
+    setTableLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchUsers();
+
+    const subscription = supabase
+      .channel('users-page')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'profiles' },
+        () => fetchUsers()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [user, fetchUsers]);
+
+  const handleInvite = async () => {
+    setInviting(true);
+    const { error } = await inviteUser({
+      email: inviteEmail,
+      role: inviteRole,
+    });
+    setInviting(false);
+    if (error) {
+      toast.error('Gagal Mengundang Pengguna', { description: error });
+      return;
+    }
+    setIsInviteOpen(false);
+    await fetchUsers();
+    toast.success('Undangan Terkirim', {
+      description: `Tautan undangan dikirim ke ${inviteEmail.trim()}.`,
+    });
+  };
+
+  const handleRoleChange = async (account, role) => {
+    setBusyUserId(account.id);
+    const { error } = await updateUserRole({ userId: account.id, role });
+    setBusyUserId(null);
+    if (error) {
+      toast.error('Gagal Mengubah Peran', { description: error });
+      return;
+    }
+    await fetchUsers();
+    toast.success('Peran Diperbarui', {
+      description: `${account.email} sekarang ${ROLES[role].label}.`,
+    });
+  };
+
+  const handleResetPassword = async (account) => {
+    setBusyUserId(account.id);
+    const { error } = await sendPasswordReset({ email: account.email });
+    setBusyUserId(null);
+    if (error) {
+      toast.error('Gagal Mengirim Reset Kata Sandi', { description: error });
+      return;
+    }
+    toast.success('Reset Kata Sandi Terkirim', {
+      description: `Tautan reset dikirim ke ${account.email}.`,
+    });
+  };
+
+  const handleToggleActive = async () => {
+    const account = toggleTarget;
+    const active = Boolean(account.deactivated_at);
+    setBusyUserId(account.id);
+    const { error } = await setUserActive({ userId: account.id, active });
+    setBusyUserId(null);
+    if (error) {
+      toast.error(
+        active ? 'Gagal Mengaktifkan Akun' : 'Gagal Menonaktifkan Akun',
+        { description: error }
+      );
+      return;
+    }
+    setToggleTarget(null);
+    await fetchUsers();
+    toast.success(active ? 'Akun Diaktifkan' : 'Akun Dinonaktifkan', {
+      description: account.email,
+    });
+  };
+
+  const formatDate = (date) =>
+    date
+      ? format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale })
+      : '-';
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk mengelola pengguna.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                    Pengguna
+                  </h2>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Undang rekan kerja dan atur apa yang boleh mereka lakukan.
+                  </p>
+                </div>
+                <Button
+                  onClick={() => {
+                    setInviteEmail('');
+                    setInviteRole('operator');
+                    setIsInviteOpen(true);
+                  }}
+                  className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                >
+                  Undang Pengguna
+                </Button>
+              </div>
+
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Email
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Peran
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Status
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Terakhir Masuk
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Aksi
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {tableLoading ? (
+                      Array.from({ length: 3 }).map((_, index) => (
+                        <TableRow key={`skeleton-${index}`}>
+                          {Array.from({ length: 5 }).map((_, cell) => (
+                            <TableCell key={cell}>
+                              <Skeleton className="h-4 w-[100px]" />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))
+                    ) : users.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={5}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Belum ada pengguna.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      users.map((account) => {
+                        const status = getUserStatus(account);
+                        const isSelf = account.id === user.id;
+                        const busy = busyUserId === account.id;
+                        return (
+                          <TableRow key={account.id}>
+                            <TableCell className="font-medium">
+                              {account.email}
+                              {isSelf && (
+                                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                                  (Anda)
+                                </span>
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              <Select
+                                value={account.role || undefined}
+                                onValueChange={(role) =>
+                                  handleRoleChange(account, role)
+                                }
+                                disabled={
+                                  isSelf || busy || !!account.deactivated_at
+                                }
+                              >
+                                <SelectTrigger className="w-[140px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                  <SelectValue placeholder="Tanpa peran" />
+                                </SelectTrigger>
+                                <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                  {Object.entries(ROLES).map(
+                                    ([value, { label }]) => (
+                                      <SelectItem key={value} value={value}>
+                                        {label}
+                                      </SelectItem>
+                                    )
+                                  )}
+                                </SelectContent>
+                              </Select>
+                            </TableCell>
+                            <TableCell>
+                              <span
+                                className={`rounded-full px-2.5 py-0.5 text-xs font-medium ${status.className}`}
+                              >
+                                {status.label}
+                              </span>
+                            </TableCell>
+                            <TableCell>
+                              {formatDate(account.last_sign_in_at)}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              <div className="flex justify-end gap-2">
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => handleResetPassword(account)}
+                                  className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                  disabled={busy || !!account.deactivated_at}
+                                >
+                                  Reset Kata Sandi
+                                </Button>
+                                {!isSelf && (
+                                  <Button
+                                    variant="outline"
+                                    size="sm"
+                                    onClick={() => setToggleTarget(account)}
+                                    className={
+                                      account.deactivated_at
+                                        ? 'border-gray-300 dark:border-gray-600 text-green-600 dark:text-green-400 hover:bg-green-50 dark:hover:bg-green-900'
+                                        : 'border-gray-300 dark:border-gray-600 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900'
+                                    }
+                                    disabled={busy}
+                                  >
+                                    {account.deactivated_at
+                                      ? 'Aktifkan'
+                                      : 'Nonaktifkan'}
+                                  </Button>
+                                )}
+                              </div>
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div className="grid gap-2 text-sm text-gray-600 dark:text-gray-400">
+                {Object.values(ROLES).map(({ label, description }) => (
+                  <p key={label}>
+                    <span className="font-medium text-gray-900 dark:text-gray-100">
+                      {label}
+                    </span>{' '}
+                    — {description}
+                  </p>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        <Dialog open={isInviteOpen} onOpenChange={setIsInviteOpen}>
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Undang Pengguna
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="invite-email"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Email
+                </Label>
+                <Input
+                  id="invite-email"
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="nama@perusahaan.com"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label className="text-gray-900 dark:text-gray-100">
+                  Peran
+                </Label>
+                <Select value={inviteRole} onValueChange={setInviteRole}>
+                  <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                    {Object.entries(ROLES).map(([value, { label }]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {ROLES[inviteRole].description}
+                </p>
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setIsInviteOpen(false)}
+                disabled={inviting}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleInvite}
+                disabled={inviting || !inviteEmail.includes('@')}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+              >
+                {inviting ? 'Mengirim...' : 'Kirim Undangan'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+
+        <Dialog
+          open={!!toggleTarget}
+          onOpenChange={(open) => !open && setToggleTarget(null)}
+        >
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                {toggleTarget?.deactivated_at
+                  ? 'Aktifkan Akun'
+                  : 'Nonaktifkan Akun'}
+              </DialogTitle>
+            </DialogHeader>
+            <p className="py-4 text-sm text-gray-600 dark:text-gray-400">
+              {toggleTarget?.deactivated_at
+                ? `${toggleTarget?.email} dapat masuk kembali dengan kata sandi lamanya.`
+                : `${toggleTarget?.email} akan langsung keluar dan tidak dapat masuk lagi. Riwayat transaksinya tetap tersimpan.`}
+            </p>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setToggleTarget(null)}
+                disabled={!!busyUserId}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleToggleActive}
+                disabled={!!busyUserId}
+                className={
+                  toggleTarget?.deactivated_at
+                    ? 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white'
+                    : 'bg-red-600 hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 text-white'
+                }
+              >
+                {toggleTarget?.deactivated_at ? 'Aktifkan' : 'Nonaktifkan'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,336 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { supabase } from '@/lib/supabase';
+import {
+  MAX_AVATAR_SIZE,
+  MIN_PASSWORD_LENGTH,
+  getDisplayName,
+  getInitials,
+} from '@/lib/profiles';
+import { ROLES } from '@/lib/roles';
+import { useProfile } from '@/hooks/use-profile';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { toast } from 'sonner';
+
+export default function Profile() {
+  const profile = useProfile();
+  const [displayName, setDisplayName] = useState('');
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  useEffect(() => {
+    setDisplayName(profile?.display_name || '');
+  }, [profile?.display_name]);
+
+  const updateProfile = async (changes) => {
+    const { error } = await supabase
+      .from('profiles')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', profile.id);
+    if (error) throw error;
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingProfile(true);
+      await updateProfile({ display_name: displayName.trim() || null });
+      toast.success('Profil Disimpan');
+    } catch (error) {
+      toast.error('Gagal Menyimpan Profil', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      toast.error('Berkas Tidak Valid', {
+        description: 'Pilih berkas gambar.',
+      });
+      return;
+    }
+    if (file.size > MAX_AVATAR_SIZE) {
+      toast.error('Berkas Terlalu Besar', {
+        description: `Ukuran foto maksimal ${
+          MAX_AVATAR_SIZE / 1024 / 1024
+        } MB.`,
+      });
+      return;
+    }
+
+    try {
+      setUploading(true);
+      // A new path per upload, so browsers do not keep the old picture cached
+      const path = `${profile.id}/${Date.now()}-${file.name}`;
+      const { error: uploadError } = await supabase.storage
+        .from('avatars')
+        .upload(path, file);
+      if (uploadError) throw uploadError;
+
+      const {
+        data: { publicUrl },
+      } = supabase.storage.from('avatars').getPublicUrl(path);
+      await updateProfile({ avatar_url: publicUrl });
+      toast.success('Foto Profil Diperbarui');
+    } catch (error) {
+      toast.error('Gagal Mengunggah Foto', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveAvatar = async () => {
+    try {
+      setUploading(true);
+      await updateProfile({ avatar_url: null });
+    } catch (error) {
+      toast.error('Gagal Menghapus Foto', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setPasswordError(`Kata sandi minimal ${MIN_PASSWORD_LENGTH} karakter`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordError('Konfirmasi kata sandi tidak cocok');
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      setPasswordError(null);
+      // Confirm it is really the account owner before changing the password
+      const { error: signInError } = await supabase.auth.signInWithPassword({
+        email: profile.email,
+        password: currentPassword,
+      });
+      if (signInError) {
+        setPasswordError('Kata sandi saat ini salah');
+        return;
+      }
+
+      const { error } = await supabase.auth.updateUser({
+        password: newPassword,
+      });
+      if (error) throw error;
+
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      toast.success('Kata Sandi Diubah');
+    } catch (error) {
+      setPasswordError(error.message || 'Terjadi kesalahan tak terduga.');
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {!profile ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-64 w-full max-w-2xl" />
+            </>
+          ) : (
+            <>
+              <div>
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                  Profil Saya
+                </h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {profile.email} · {ROLES[profile.role]?.label}
+                </p>
+              </div>
+
+              <Card className="max-w-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Informasi Profil
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="grid gap-6">
+                  <div className="flex items-center gap-4">
+                    <Avatar className="h-16 w-16 rounded-lg">
+                      <AvatarImage
+                        src={profile.avatar_url || undefined}
+                        alt={getDisplayName(profile)}
+                      />
+                      <AvatarFallback className="rounded-lg text-lg">
+                        {getInitials(profile)}
+                      </AvatarFallback>
+                    </Avatar>
+                    <div className="flex flex-wrap gap-2">
+                      <Button
+                        variant="outline"
+                        asChild
+                        className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <label className="cursor-pointer">
+                          {uploading ? 'Mengunggah...' : 'Ganti Foto'}
+                          <input
+                            type="file"
+                            accept="image/*"
+                            className="hidden"
+                            onChange={handleAvatarChange}
+                            disabled={uploading}
+                          />
+                        </label>
+                      </Button>
+                      {profile.avatar_url && (
+                        <Button
+                          variant="outline"
+                          onClick={handleRemoveAvatar}
+                          disabled={uploading}
+                          className="border-gray-300 dark:border-gray-600 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900"
+                        >
+                          Hapus Foto
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                  <form onSubmit={handleSaveProfile} className="grid gap-4">
+                    <div className="grid gap-2">
+                      <Label
+                        htmlFor="display-name"
+                        className="text-gray-900 dark:text-gray-100"
+                      >
+                        Nama Tampilan
+                      </Label>
+                      <Input
+                        id="display-name"
+                        value={displayName}
+                        onChange={(e) => setDisplayName(e.target.value)}
+                        placeholder={getDisplayName({ email: profile.email })}
+                        className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                      />
+                    </div>
+                    <div className="flex justify-end">
+                      <Button
+                        type="submit"
+                        disabled={
+                          savingProfile ||
+                          displayName.trim() === (profile.display_name || '')
+                        }
+                        className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+                      >
+                        {savingProfile ? 'Menyimpan...' : 'Simpan Profil'}
+                      </Button>
+                    </div>
+                  </form>
+                </CardContent>
+              </Card>
+
+              <Card className="max-w-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Ubah Kata Sandi
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <form onSubmit={handleChangePassword} className="grid gap-4">
+                    {[
+                      [
+                        'current-password',
+                        'Kata Sandi Saat Ini',
+                        currentPassword,
+                        setCurrentPassword,
+                        'current-password',
+                      ],
+                      [
+                        'new-password',
+                        'Kata Sandi Baru',
+                        newPassword,
+                        setNewPassword,
+                        'new-password',
+                      ],
+                      [
+                        'confirm-password',
+                        'Ulangi Kata Sandi Baru',
+                        confirmPassword,
+                        setConfirmPassword,
+                        'new-password',
+                      ],
+                    ].map(([id, label, value, setValue, autoComplete]) => (
+                      <div key={id} className="grid gap-2">
+                        <Label
+                          htmlFor={id}
+                          className="text-gray-900 dark:text-gray-100"
+                        >
+                          {label}
+                        </Label>
+                        <Input
+                          id={id}
+                          type="password"
+                          value={value}
+                          onChange={(e) => setValue(e.target.value)}
+                          autoComplete={autoComplete}
+                          required
+                          className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                        />
+                      </div>
+                    ))}
+                    {passwordError && (
+                      <p className="text-red-500 dark:text-red-400 text-sm">
+                        {passwordError}
+                      </p>
+                    )}
+                    <div className="flex justify-end">
+                      <Button
+                        type="submit"
+                        disabled={savingPassword}
+                        className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+                      >
+                        {savingPassword ? 'Menyimpan...' : 'Ubah Kata Sandi'}
+                      </Button>
+                    </div>
+                  </form>
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,473 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getLocations,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
+import { compareWeightClasses } from '@/lib/weight-classes';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+
+// Number of past corrections shown under the mismatch list
+const CORRECTION_HISTORY_LIMIT = 20;
+
+export default function Reconciliation() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mismatches, setMismatches] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+  const [lobsterTypes, setLobsterTypes] = useState([]);
+  const [weightClasses, setWeightClasses] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [checking, setChecking] = useState(true);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [isCorrectOpen, setIsCorrectOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [correcting, setCorrecting] = useState(false);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  const fetchReferenceData = useCallback(async () => {
+    try {
+      const [types, classes, locationList] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getLocations(supabase),
+      ]);
+      setLobsterTypes(types);
+      setWeightClasses(classes);
+      setLocations(locationList);
+    } catch (error) {
+      toast.error('Gagal Memuat Data Referensi', {
+        description: error.message,
+      });
+    }
+  }, []);
+
+  // Replay the transactions history on the server and compare it with the
+  // inventory table
+  const checkInventory = useCallback(async () => {
+    try {
+      setChecking(true);
+      const [mismatchResult, correctionResult] = await Promise.all([
+        supabase.rpc('inventory_mismatches'),
+        supabase
+          .from('inventory_corrections')
+          .select(
+            'id, type_id, weight_class_id, location_id, recorded_quantity, expected_quantity, reason, corrected_by_email, corrected_at'
+          )
+          .order('corrected_at', { ascending: false })
+          .limit(CORRECTION_HISTORY_LIMIT),
+      ]);
+      if (mismatchResult.error) throw mismatchResult.error;
+      if (correctionResult.error) throw correctionResult.error;
+      setMismatches(mismatchResult.data || []);
+      setCorrections(correctionResult.data || []);
+      setCheckedAt(new Date());
+    } catch (error) {
+      toast.error('Gagal Memeriksa Inventaris', {
+        description: error.message,
+      });
+    } finally {
+      setChecking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    checkInventory();
+    fetchReferenceData();
+
+    return subscribeToReferenceChanges(supabase, fetchReferenceData);
+  }, [user, checkInventory, fetchReferenceData]);
+
+  const getTypeName = (typeId) =>
+    lobsterTypes.find((type) => type.id === typeId)?.name || 'Tidak Diketahui';
+  const getWeightClass = (weightClassId) =>
+    weightClasses.find((wc) => wc.id === weightClassId);
+  const getLocationName = (locationId) =>
+    locations.find((location) => location.id === locationId)?.name ||
+    'Tidak Diketahui';
+
+  const sortedMismatches = [...mismatches].sort(
+    (a, b) =>
+      getTypeName(a.type_id).localeCompare(getTypeName(b.type_id)) ||
+      compareWeightClasses(
+        getWeightClass(a.weight_class_id),
+        getWeightClass(b.weight_class_id)
+      ) ||
+      getLocationName(a.location_id).localeCompare(
+        getLocationName(b.location_id)
+      )
+  );
+  // A negative replayed balance cannot be written to the inventory table
+  const correctable = mismatches.filter((m) => m.expected_quantity >= 0);
+  const uncorrectable = mismatches.length - correctable.length;
+
+  const handleCorrect = async () => {
+    try {
+      setCorrecting(true);
+      const { data: corrected, error } = await supabase.rpc(
+        'correct_inventory',
+        { p_reason: reason.trim() }
+      );
+      if (error) throw error;
+      setIsCorrectOpen(false);
+      await checkInventory();
+      toast.success('Inventaris Dikoreksi', {
+        description: `${corrected} baris inventaris disamakan dengan riwayat transaksi.`,
+      });
+    } catch (error) {
+      toast.error('Gagal Mengoreksi Inventaris', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setCorrecting(false);
+    }
+  };
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+  const formatDifference = (difference) =>
+    difference > 0 ? `+${difference}` : `${difference}`;
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk memeriksa inventaris.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                    Rekonsiliasi Inventaris
+                  </h2>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Membandingkan tabel inventaris dengan stok yang dihitung
+                    ulang dari seluruh riwayat transaksi.
+                    {checkedAt &&
+                      ` Diperiksa ${format(checkedAt, 'HH:mm:ss', {
+                        locale: idLocale,
+                      })}.`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    onClick={checkInventory}
+                    disabled={checking || correcting}
+                    className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    {checking ? 'Memeriksa...' : 'Periksa Ulang'}
+                  </Button>
+                  <Button
+                    onClick={() => {
+                      setReason('');
+                      setIsCorrectOpen(true);
+                    }}
+                    disabled={checking || correctable.length === 0}
+                    className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md"
+                  >
+                    Koreksi Semua
+                  </Button>
+                </div>
+              </div>
+
+              {uncorrectable > 0 && (
+                <div className="rounded-lg border border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-950 p-4 text-sm text-red-700 dark:text-red-300">
+                  {uncorrectable} baris memiliki saldo transaksi negatif dan
+                  tidak dapat dikoreksi otomatis. Buka buku stoknya untuk
+                  memeriksa transaksi yang salah.
+                </div>
+              )}
+
+              <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Selisih ({mismatches.length})
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                          Jenis Lobster
+                        </TableHead>
+                        <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                          Berat Lobster
+                        </TableHead>
+                        <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                          Lokasi
+                        </TableHead>
+                        <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                          Tercatat
+                        </TableHead>
+                        <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                          Menurut Transaksi
+                        </TableHead>
+                        <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                          Selisih
+                        </TableHead>
+                        <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                          Aksi
+                        </TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {checking ? (
+                        Array.from({ length: 3 }).map((_, index) => (
+                          <TableRow key={`skeleton-${index}`}>
+                            {Array.from({ length: 7 }).map((_, cell) => (
+                              <TableCell key={cell}>
+                                <Skeleton className="h-4 w-[80px]" />
+                              </TableCell>
+                            ))}
+                          </TableRow>
+                        ))
+                      ) : sortedMismatches.length === 0 ? (
+                        <TableRow>
+                          <TableCell
+                            colSpan={7}
+                            className="text-center text-gray-500 dark:text-gray-400"
+                          >
+                            Inventaris sesuai dengan riwayat transaksi.
+                          </TableCell>
+                        </TableRow>
+                      ) : (
+                        sortedMismatches.map((m) => {
+                          const difference =
+                            m.recorded_quantity - m.expected_quantity;
+                          return (
+                            <TableRow
+                              key={`${m.type_id}-${m.weight_class_id}-${m.location_id}`}
+                              className={
+                                m.expected_quantity < 0
+                                  ? 'bg-red-50 dark:bg-red-950'
+                                  : ''
+                              }
+                            >
+                              <TableCell className="font-medium">
+                                {getTypeName(m.type_id)}
+                              </TableCell>
+                              <TableCell>
+                                {getWeightClass(m.weight_class_id)
+                                  ?.weight_range || 'Tidak Diketahui'}{' '}
+                                gram
+                              </TableCell>
+                              <TableCell>
+                                {getLocationName(m.location_id)}
+                              </TableCell>
+                              <TableCell className="text-right">
+                                {m.recorded_quantity}
+                              </TableCell>
+                              <TableCell className="text-right">
+                                {m.expected_quantity}
+                              </TableCell>
+                              <TableCell
+                                className={`text-right font-medium ${
+                                  difference > 0
+                                    ? 'text-green-600 dark:text-green-400'
+                                    : 'text-red-600 dark:text-red-400'
+                                }`}
+                              >
+                                {formatDifference(difference)}
+                              </TableCell>
+                              <TableCell className="text-right">
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  asChild
+                                  className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                >
+                                  <a
+                                    href={`/stok/${m.type_id}/${m.weight_class_id}`}
+                                  >
+                                    Buku Stok
+                                  </a>
+                                </Button>
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })
+                      )}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <CardHeader>
+                  <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    Riwayat Koreksi
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {corrections.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400">
+                      Belum ada koreksi inventaris.
+                    </p>
+                  ) : (
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Tanggal
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Stok
+                          </TableHead>
+                          <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                            Perubahan
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Alasan
+                          </TableHead>
+                          <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                            Oleh
+                          </TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {corrections.map((c) => (
+                          <TableRow key={c.id}>
+                            <TableCell>{formatDate(c.corrected_at)}</TableCell>
+                            <TableCell>
+                              {getTypeName(c.type_id)}{' '}
+                              {getWeightClass(c.weight_class_id)?.weight_range}{' '}
+                              gram · {getLocationName(c.location_id)}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              {c.recorded_quantity} → {c.expected_quantity}
+                            </TableCell>
+                            <TableCell>{c.reason}</TableCell>
+                            <TableCell>
+                              {c.corrected_by_email || 'Tidak Diketahui'}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+
+        <Dialog open={isCorrectOpen} onOpenChange={setIsCorrectOpen}>
+          <DialogContent className="sm:max-w-[480px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Koreksi Inventaris
+              </DialogTitle>
+            </DialogHeader>
+            <div className="grid gap-4 py-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {correctable.length} baris inventaris akan disamakan dengan
+                riwayat transaksi. Setiap perubahan dicatat di riwayat koreksi.
+              </p>
+              <div className="grid gap-2">
+                <Label
+                  htmlFor="correction-reason"
+                  className="text-gray-900 dark:text-gray-100"
+                >
+                  Alasan Koreksi
+                </Label>
+                <Input
+                  id="correction-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Misalnya, selisih setelah pengeditan transaksi"
+                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setIsCorrectOpen(false)}
+                disabled={correcting}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleCorrect}
+                disabled={correcting || !reason.trim()}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+              >
+                {correcting ? 'Mengoreksi...' : 'Koreksi'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -0,0 +1,454 @@
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'next/navigation';
+import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getLocations,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
+import { getLedgerEffect } from '@/lib/inventory';
+import { AppSidebar } from '@/components/app-sidebar';
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { Separator } from '@/components/ui/separator';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { id as idLocale } from 'date-fns/locale';
+
+// Select value for the ledger across every location
+const ALL_LOCATIONS = 'all';
+
+// Rows fetched per request. Must not exceed the API's max-rows (1000 by
+// default on Supabase), or a short page would be taken for the last one.
+const LEDGER_PAGE_SIZE = 1000;
+
+const transactionTypeDisplay = {
+  ADD: 'Penambahan',
+  DISTRIBUTE: 'Distribusi',
+  DEATH: 'Kematian',
+  DAMAGED: 'Kerusakan',
+  TRANSFER: 'Transfer',
+  RECLASSIFY: 'Reklasifikasi',
+  ADJUSTMENT_IN: 'Penyesuaian Masuk',
+  ADJUSTMENT_OUT: 'Penyesuaian Keluar',
+  VOID: 'Pembatalan',
+};
+
+// Ledger rows in date order with their signed quantity and running balance.
+// Rows of other tanks are left out when a single location is selected.
+function buildLedger(transactions, weightClassId, locationId) {
+  const byId = new Map(transactions.map((t) => [t.id, t]));
+  let balance = 0;
+  return transactions
+    .filter(
+      (t) =>
+        !locationId ||
+        t.location_id === locationId ||
+        t.to_location_id === locationId
+    )
+    .map((t) => {
+      const original = t.reversal_of ? byId.get(t.reversal_of) : null;
+      const effect = getLedgerEffect(t, original, weightClassId, locationId);
+      balance += effect;
+      return { transaction: t, original, effect, balance };
+    });
+}
+
+export default function StockLedger() {
+  const { typeId, weightClassId } = useParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [transactions, setTransactions] = useState([]);
+  const [lobsterTypes, setLobsterTypes] = useState([]);
+  const [weightClasses, setWeightClasses] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState(ALL_LOCATIONS);
+  const [dataLoading, setDataLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Check authentication
+  useEffect(() => {
+    const fetchSession = async () => {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      setUser(session?.user || null);
+      setLoading(false);
+    };
+    fetchSession();
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => {
+        setUser(session?.user || null);
+        setLoading(false);
+      }
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  const fetchReferenceData = useCallback(async () => {
+    try {
+      const [types, classes, locationList] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getLocations(supabase),
+      ]);
+      setLobsterTypes(types);
+      setWeightClasses(classes);
+      setLocations(locationList);
+    } catch (error) {
+      toast.error('Gagal Memuat Data Referensi', {
+        description: error.message,
+      });
+    }
+  }, []);
+
+  // Every movement of the pair, including voided rows and their reversals,
+  // so that the balance at each point matches what was recorded then
+  const fetchTransactions = useCallback(async () => {
+    try {
+      // The running balance needs every movement, so page through them all
+      // instead of accepting a silently truncated response
+      const rows = [];
+      for (let from = 0; ; from += LEDGER_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('transactions')
+          .select(
+            `
+          id,
+          transaction_type,
+          quantity,
+          transaction_date,
+          weight_class_id,
+          to_weight_class_id,
+          location_id,
+          to_location_id,
+          reversal_of,
+          voided_at,
+          destination,
+          notes
+        `
+          )
+          .eq('type_id', typeId)
+          .or(
+            `weight_class_id.eq.${weightClassId},to_weight_class_id.eq.${weightClassId}`
+          )
+          .order('transaction_date', { ascending: true })
+          .order('id', { ascending: true })
+          .range(from, from + LEDGER_PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < LEDGER_PAGE_SIZE) break;
+      }
+      setTransactions(rows);
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+      toast.error('Gagal Memuat Buku Stok', { description: error.message });
+    } finally {
+      setDataLoading(false);
+    }
+  }, [typeId, weightClassId]);
+
+  useEffect(() => {
+    if (!user || !typeId || !weightClassId) return;
+    fetchTransactions();
+    fetchReferenceData();
+
+    const subscription = supabase
+      .channel(`stock-ledger-${typeId}-${weightClassId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transactions' },
+        () => fetchTransactions()
+      )
+      .subscribe();
+    const unsubscribeReference = subscribeToReferenceChanges(
+      supabase,
+      fetchReferenceData
+    );
+
+    return () => {
+      supabase.removeChannel(subscription);
+      unsubscribeReference();
+    };
+  }, [user, typeId, weightClassId, fetchTransactions, fetchReferenceData]);
+
+  const ledger = useMemo(
+    () =>
+      buildLedger(
+        transactions,
+        weightClassId,
+        locationFilter === ALL_LOCATIONS ? null : locationFilter
+      ),
+    [transactions, weightClassId, locationFilter]
+  );
+  const totals = useMemo(
+    () =>
+      ledger.reduce(
+        (acc, row) => {
+          if (row.effect > 0) acc.incoming += row.effect;
+          if (row.effect < 0) acc.outgoing -= row.effect;
+          if (row.balance < 0) acc.negative += 1;
+          return acc;
+        },
+        { incoming: 0, outgoing: 0, negative: 0 }
+      ),
+    [ledger]
+  );
+  const finalBalance = ledger.length ? ledger[ledger.length - 1].balance : 0;
+
+  const lobsterType = lobsterTypes.find((type) => type.id === typeId);
+  const weightClass = weightClasses.find((wc) => wc.id === weightClassId);
+
+  const getLocationName = (locationId) =>
+    locations.find((location) => location.id === locationId)?.name ||
+    'Tidak Diketahui';
+  const getWeightRange = (id) =>
+    weightClasses.find((wc) => wc.id === id)?.weight_range || 'Tidak Diketahui';
+
+  // Where the movement happened, from the point of view of this weight class
+  const getDescription = (t, original) => {
+    const movement = original || t;
+    const movementType = original
+      ? original.transaction_type
+      : t.transaction_type;
+    const prefix = original
+      ? `Membatalkan ${transactionTypeDisplay[movementType] || movementType}: `
+      : '';
+    if (movementType === 'TRANSFER') {
+      return `${prefix}${getLocationName(
+        movement.location_id
+      )} → ${getLocationName(movement.to_location_id)}`;
+    }
+    if (movementType === 'RECLASSIFY') {
+      return `${prefix}${getWeightRange(
+        movement.weight_class_id
+      )} → ${getWeightRange(movement.to_weight_class_id)} gram`;
+    }
+    const detail = movement.destination || movement.notes?.note;
+    return `${prefix}${getLocationName(movement.location_id)}${
+      detail ? ` · ${detail}` : ''
+    }`;
+  };
+
+  const formatDate = (date) =>
+    format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: idLocale });
+  const formatEffect = (effect) => (effect > 0 ? `+${effect}` : `${effect}`);
+
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-16 shrink-0 items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+        </header>
+        <div className="flex flex-1 flex-col gap-6 p-6 pt-0">
+          {loading || (user && dataLoading) ? (
+            <>
+              <Skeleton className="h-8 w-1/3" />
+              <Skeleton className="h-96 w-full" />
+            </>
+          ) : !user ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              Silakan masuk untuk melihat buku stok.
+            </p>
+          ) : error ? (
+            <p className="text-red-500 dark:text-red-400">Kesalahan: {error}</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-end gap-4">
+                <div>
+                  <a
+                    href="/stok"
+                    className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    ← Stok Lobster
+                  </a>
+                  <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
+                    Buku Stok {lobsterType?.name || 'Tidak Diketahui'}{' '}
+                    {weightClass?.weight_range || 'Tidak Diketahui'} gram
+                  </h2>
+                </div>
+                <Select
+                  value={locationFilter}
+                  onValueChange={setLocationFilter}
+                >
+                  <SelectTrigger className="w-[200px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                    <SelectValue placeholder="Pilih lokasi" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                    <SelectItem value={ALL_LOCATIONS}>Semua Lokasi</SelectItem>
+                    {locations.map((location) => (
+                      <SelectItem key={location.id} value={location.id}>
+                        {location.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-3">
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader className="pb-2">
+                    <CardTitle className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                      Saldo Akhir
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                    {finalBalance} Ekor
+                  </CardContent>
+                </Card>
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader className="pb-2">
+                    <CardTitle className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                      Total Masuk
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="text-2xl font-bold text-green-600 dark:text-green-400">
+                    +{totals.incoming} Ekor
+                  </CardContent>
+                </Card>
+                <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <CardHeader className="pb-2">
+                    <CardTitle className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                      Total Keluar
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent className="text-2xl font-bold text-red-600 dark:text-red-400">
+                    -{totals.outgoing} Ekor
+                  </CardContent>
+                </Card>
+              </div>
+
+              {totals.negative > 0 && (
+                <div className="rounded-lg border border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-950 p-4 text-sm text-red-700 dark:text-red-300">
+                  Saldo sempat negatif pada {totals.negative} baris. Ini
+                  biasanya terjadi karena transaksi keluar dicatat dengan
+                  tanggal lebih awal dari penerimaan stoknya. Periksa tanggal
+                  transaksi yang ditandai di bawah.
+                </div>
+              )}
+
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Tanggal
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Jenis Transaksi
+                      </TableHead>
+                      <TableHead className="font-semibold text-gray-900 dark:text-gray-100">
+                        Keterangan
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Jumlah
+                      </TableHead>
+                      <TableHead className="text-right font-semibold text-gray-900 dark:text-gray-100">
+                        Saldo
+                      </TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {ledger.length === 0 ? (
+                      <TableRow>
+                        <TableCell
+                          colSpan={5}
+                          className="text-center text-gray-500 dark:text-gray-400"
+                        >
+                          Belum ada transaksi untuk kelas berat ini.
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      ledger.map(
+                        ({ transaction, original, effect, balance }) => (
+                          <TableRow
+                            key={transaction.id}
+                            className={
+                              balance < 0 ? 'bg-red-50 dark:bg-red-950' : ''
+                            }
+                          >
+                            <TableCell>
+                              {formatDate(transaction.transaction_date)}
+                            </TableCell>
+                            <TableCell>
+                              {transactionTypeDisplay[
+                                transaction.transaction_type
+                              ] || 'Tidak Diketahui'}
+                              {transaction.voided_at && (
+                                <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                                  (Dibatalkan)
+                                </span>
+                              )}
+                            </TableCell>
+                            <TableCell className="text-gray-600 dark:text-gray-400">
+                              {getDescription(transaction, original)}
+                            </TableCell>
+                            <TableCell
+                              className={`text-right ${
+                                effect > 0
+                                  ? 'text-green-600 dark:text-green-400'
+                                  : effect < 0
+                                  ? 'text-red-600 dark:text-red-400'
+                                  : 'text-gray-500 dark:text-gray-400'
+                              }`}
+                            >
+                              {formatEffect(effect)}
+                            </TableCell>
+                            <TableCell className="text-right font-medium">
+                              <span
+                                className={
+                                  balance < 0
+                                    ? 'text-red-600 dark:text-red-400'
+                                    : 'text-gray-900 dark:text-gray-100'
+                                }
+                              >
+                                {balance}
+                              </span>
+                              {balance < 0 && (
+                                <span className="ml-2 rounded bg-red-100 px-1.5 py-0.5 text-xs text-red-800 dark:bg-red-900 dark:text-red-300">
+                                  Negatif
+                                </span>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        )
+                      )
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+}
@@ -1,7 +1,15 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getSuppliers,
+  getCustomers,
+  getLocations,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
 import {
   SidebarInset,
   SidebarProvider,
@@ -25,6 +33,8 @@ import {
   FormMessage,
 } from '@/components/ui/form';
 import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
 import { Button } from '@/components/ui/button';
 import {
   Dialog,
@@ -39,32 +49,261 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
 import { AppSidebar } from '@/components/app-sidebar';
 import { Skeleton } from '@/components/ui/skeleton';
+import { ShipmentDialog } from '@/components/shipment-dialog';
+import { getCurrentDateTime } from '@/lib/utils';
+import {
+  AGING_WARNING_DAYS,
+  getAgingBreakdown,
+  getLotAgeInDays,
+} from '@/lib/lots';
+import {
+  THRESHOLD_STATUS,
+  getSkuKey,
+  getThresholdStatus,
+} from '@/lib/thresholds';
+import {
+  STOCK_CHECKED_TRANSACTION_TYPES,
+  getInventoryErrorMessage,
+} from '@/lib/inventory';
+import {
+  bucketWeights,
+  compareWeightClasses,
+  parseWeights,
+} from '@/lib/weight-classes';
+
+// Form schema
+const formSchema = z
+  .object({
+    lobsterType: z.string().min(1, 'Jenis lobster wajib diisi'),
+    weightClass: z.string(),
+    quantity: z.number().min(1, 'Jumlah harus minimal 1').int(),
+    weighMode: z.boolean(),
+    weights: z.string().optional(),
+    transactionType: z.enum([
+      'ADD',
+      'DISTRIBUTE',
+      'DEATH',
+      'DAMAGED',
+      'TRANSFER',
+      'RECLASSIFY',
+    ]),
+    toWeightClassId: z.string().optional(),
+    locationId: z.string().min(1, 'Lokasi wajib dipilih'),
+    toLocationId: z.string().optional(),
+    destination: z.string().optional(),
+    supplierId: z.string().optional(),
+    customerId: z.string().optional(),
+    note: z.string().optional(),
+    transactionDate: z
+      .string()
+      .min(1, 'Tanggal transaksi wajib diisi')
+      .refine((val) => !isNaN(Date.parse(val)), {
+        message: 'Format tanggal tidak valid',
+      }),
+  })
+  .superRefine((values, ctx) => {
+    if (values.transactionType === 'DISTRIBUTE' && !values.customerId) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['customerId'],
+        message: 'Pelanggan wajib dipilih',
+      });
+    }
+
+    if (values.transactionType === 'TRANSFER') {
+      if (!values.toLocationId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['toLocationId'],
+          message: 'Lokasi tujuan wajib dipilih',
+        });
+      } else if (values.toLocationId === values.locationId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['toLocationId'],
+          message: 'Lokasi tujuan harus berbeda dari lokasi asal',
+        });
+      }
+    }
+
+    if (values.transactionType === 'RECLASSIFY' && !values.toWeightClassId) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['toWeightClassId'],
+        message: 'Kelas berat baru wajib dipilih',
+      });
+    }
 
-// Format current date/time for datetime-local
-const getCurrentDateTime = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
-    2,
-    '0'
-  )}-${String(now.getDate()).padStart(2, '0')}T${String(
-    now.getHours()
-  ).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    if (!values.weighMode) {
+      if (!values.weightClass) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['weightClass'],
+          message: 'Kelas berat wajib diisi',
+        });
+      }
+      return;
+    }
+
+    const { weights, invalid } = parseWeights(values.weights);
+    if (invalid.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['weights'],
+        message: `Berat tidak valid: ${invalid.join(', ')}`,
+      });
+    } else if (weights.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['weights'],
+        message: 'Masukkan minimal satu berat',
+      });
+    }
+  });
+
+// Select value for an ADD without a registered supplier
+const NO_SUPPLIER = 'none';
+
+// Only incoming stock is linked to a supplier
+const getSupplierId = (transactionType, supplierId) =>
+  transactionType === 'ADD' && supplierId && supplierId !== NO_SUPPLIER
+    ? supplierId
+    : null;
+
+// Only distributions are linked to a customer
+const getCustomerId = (transactionType, customerId) =>
+  transactionType === 'DISTRIBUTE' && customerId ? customerId : null;
+
+// Only reclassifications have a receiving weight class
+const getToWeightClassId = (transactionType, toWeightClassId) =>
+  transactionType === 'RECLASSIFY' && toWeightClassId ? toWeightClassId : null;
+
+// Only transfers have a receiving location
+const getToLocationId = (transactionType, toLocationId) =>
+  transactionType === 'TRANSFER' && toLocationId ? toLocationId : null;
+
+// Sum quantities per location name, ordered like the location list
+const addLocationQuantity = (locations, row) => {
+  // Empty SKUs shown for their threshold are held at no location
+  if (!row.location_id) return;
+  const name = row.locations?.name || 'Tidak Diketahui';
+  const existing = locations.find((location) => location.name === name);
+  if (existing) {
+    existing.quantity += row.quantity || 0;
+  } else {
+    locations.push({
+      name,
+      sort_order: row.locations?.sort_order ?? 0,
+      quantity: row.quantity || 0,
+    });
+  }
 };
 
-// Form schema
-const formSchema = z.object({
-  lobsterType: z.string().min(1, 'Jenis lobster wajib diisi'),
-  weightClass: z.string().min(1, 'Kelas berat wajib diisi'),
-  quantity: z.number().min(1, 'Jumlah harus minimal 1').int(),
-  transactionType: z.enum(['ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED']),
-  destination: z.string().optional(),
-  note: z.string().optional(),
-  transactionDate: z
-    .string()
-    .min(1, 'Tanggal transaksi wajib diisi')
-    .refine((val) => !isNaN(Date.parse(val)), {
-      message: 'Format tanggal tidak valid',
-    }),
+const compareLocations = (a, b) =>
+  a.sort_order - b.sort_order || a.name.localeCompare(b.name);
+
+// Stock rows held right now
+const fetchCurrentStock = () =>
+  supabase
+    .from('inventory')
+    .select(
+      `
+      type_id,
+      weight_class_id,
+      location_id,
+      quantity,
+      lobster_types!inner(name),
+      locations!inner(name, sort_order),
+      weight_classes!inner(weight_range, min_grams, max_grams)
+    `
+    )
+    .gt('quantity', 0);
+
+// Lots still holding stock, for the aging breakdown
+const fetchHeldLots = () =>
+  supabase
+    .from('lots')
+    .select('type_id, weight_class_id, received_at, remaining_quantity')
+    .gt('remaining_quantity', 0);
+
+const fetchThresholds = () =>
+  supabase.from('stock_thresholds').select(
+    `
+      type_id,
+      weight_class_id,
+      min_quantity,
+      max_quantity,
+      lobster_types!inner(name, archived_at),
+      weight_classes!inner(weight_range, min_grams, max_grams, archived_at)
+    `
+  );
+
+// Inventory only lists SKUs that hold stock, so a SKU that ran out would
+// drop off the cards just when its minimum is breached. Add an empty row for
+// every active SKU with a minimum and no stock left.
+const addEmptyThresholdSkus = (rows, thresholdRows) => {
+  const stocked = new Set(
+    rows.map((row) => getSkuKey(row.type_id, row.weight_class_id))
+  );
+  const empty = thresholdRows
+    .filter(
+      (threshold) =>
+        threshold.min_quantity > 0 &&
+        !threshold.lobster_types.archived_at &&
+        !threshold.weight_classes.archived_at &&
+        !stocked.has(getSkuKey(threshold.type_id, threshold.weight_class_id))
+    )
+    .map((threshold) => ({
+      type_id: threshold.type_id,
+      weight_class_id: threshold.weight_class_id,
+      location_id: null,
+      quantity: 0,
+      lobster_types: threshold.lobster_types,
+      weight_classes: threshold.weight_classes,
+    }));
+  return [...rows, ...empty];
+};
+
+// Stock rows at the end of a past day, rebuilt from the transactions and
+// shaped like the inventory query
+const fetchStockAsOf = async (date) => {
+  const [{ data, error }, lobsterTypes, weightClasses, locations] =
+    await Promise.all([
+      supabase.rpc('stock_as_of', {
+        p_as_of: new Date(`${date}T23:59:59.999`).toISOString(),
+      }),
+      getLobsterTypes(supabase),
+      getWeightClasses(supabase),
+      getLocations(supabase),
+    ]);
+  if (error) return { data: null, error };
+
+  return {
+    data: (data || []).map((row) => ({
+      ...row,
+      lobster_types: lobsterTypes.find((type) => type.id === row.type_id),
+      weight_classes: weightClasses.find((wc) => wc.id === row.weight_class_id),
+      locations: locations.find((location) => location.id === row.location_id),
+    })),
+    error: null,
+  };
+};
+
+const defaultFormValues = (locationId = '') => ({
+  lobsterType: '',
+  weightClass: '',
+  quantity: 1,
+  weighMode: false,
+  weights: '',
+  transactionType: 'ADD',
+  toWeightClassId: '',
+  locationId,
+  toLocationId: '',
+  destination: '',
+  supplierId: NO_SUPPLIER,
+  customerId: '',
+  note: '',
+  transactionDate: getCurrentDateTime(),
 });
 
 export default function Stock() {
@@ -72,7 +311,12 @@ export default function Stock() {
   const [stockData, setStockData] = useState([]);
   const [lobsterTypes, setLobsterTypes] = useState([]);
   const [weightClasses, setWeightClasses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [asOfDate, setAsOfDate] = useState('');
   const [availableStock, setAvailableStock] = useState(null);
+  const [typeStock, setTypeStock] = useState({});
   const [loading, setLoading] = useState(true);
   const [stockLoading, setStockLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -83,15 +327,7 @@ export default function Stock() {
   // Form setup
   const form = useForm({
     resolver: zodResolver(formSchema),
-    defaultValues: {
-      lobsterType: '',
-      weightClass: '',
-      quantity: 1,
-      transactionType: 'ADD',
-      destination: '',
-      note: '',
-      transactionDate: getCurrentDateTime(),
-    },
+    defaultValues: defaultFormValues(),
   });
 
   // Check authentication
@@ -112,22 +348,29 @@ export default function Stock() {
   const fetchStockData = useCallback(async () => {
     try {
       setStockLoading(true);
-      const { data, error } = await supabase
-        .from('inventory')
-        .select(
-          `
-          type_id,
-          weight_class_id,
-          quantity,
-          lobster_types!inner(name),
-          weight_classes!inner(weight_range)
-        `
-        )
-        .gt('quantity', 0);
+      // Ages and threshold breaches are only shown for the stock held today
+      const [
+        { data, error },
+        { data: heldLots, error: lotsError },
+        { data: thresholdRows, error: thresholdsError },
+      ] = await Promise.all([
+        asOfDate ? fetchStockAsOf(asOfDate) : fetchCurrentStock(),
+        asOfDate ? { data: [] } : fetchHeldLots(),
+        asOfDate ? { data: [] } : fetchThresholds(),
+      ]);
       if (error) throw error;
+      if (lotsError) throw lotsError;
+      if (thresholdsError) throw thresholdsError;
+      const thresholds = Object.fromEntries(
+        thresholdRows.map((row) => [
+          getSkuKey(row.type_id, row.weight_class_id),
+          row,
+        ])
+      );
 
       // Group by lobster type
-      const grouped = data.reduce((acc, row) => {
+      const rows = addEmptyThresholdSkus(data, thresholdRows);
+      const grouped = rows.reduce((acc, row) => {
         const typeName = row.lobster_types?.name;
         const weightRange =
           row.weight_classes?.weight_range || 'Tidak Diketahui';
@@ -136,34 +379,65 @@ export default function Stock() {
         if (!acc[typeName]) {
           acc[typeName] = {
             lobster_type: typeName,
+            type_id: row.type_id,
             total_quantity: 0,
+            locations: [],
             weight_classes: [],
           };
         }
 
         acc[typeName].total_quantity += row.quantity || 0;
+        addLocationQuantity(acc[typeName].locations, row);
         const existingWeight = acc[typeName].weight_classes.find(
           (wc) => wc.weight_range === weightRange
         );
         if (existingWeight) {
           existingWeight.quantity += row.quantity || 0;
+          addLocationQuantity(existingWeight.locations, row);
         } else {
-          acc[typeName].weight_classes.push({
+          const weightClass = {
             weight_range: weightRange,
+            weight_class_id: row.weight_class_id,
+            min_grams: row.weight_classes?.min_grams ?? null,
+            max_grams: row.weight_classes?.max_grams ?? null,
             quantity: row.quantity || 0,
-          });
+            locations: [],
+          };
+          addLocationQuantity(weightClass.locations, row);
+          acc[typeName].weight_classes.push(weightClass);
         }
 
         return acc;
       }, {});
 
+      const now = new Date();
       const stockArray = Object.values(grouped)
-        .map((item) => ({
-          ...item,
-          weight_classes: item.weight_classes.sort((a, b) =>
-            a.weight_range.localeCompare(b.weight_range)
-          ),
-        }))
+        .map((item) => {
+          const typeLots = heldLots.filter(
+            (lot) => lot.type_id === item.type_id
+          );
+          return {
+            ...item,
+            aging: asOfDate ? null : getAgingBreakdown(typeLots, now),
+            locations: item.locations.sort(compareLocations),
+            weight_classes: item.weight_classes
+              .map((wc) => {
+                const ages = typeLots
+                  .filter((lot) => lot.weight_class_id === wc.weight_class_id)
+                  .map((lot) => getLotAgeInDays(lot.received_at, now));
+                return {
+                  ...wc,
+                  oldest_days: ages.length ? Math.max(...ages) : null,
+                  threshold_status: getThresholdStatus(
+                    wc.quantity,
+                    thresholds[getSkuKey(item.type_id, wc.weight_class_id)]
+                  ),
+                  locations: wc.locations.sort(compareLocations),
+                };
+              })
+              .sort(compareWeightClasses),
+          };
+        })
         .sort((a, b) => a.lobster_type.localeCompare(b.lobster_type));
 
       setStockData(stockArray);
@@ -173,36 +447,232 @@ export default function Stock() {
     } finally {
       setStockLoading(false);
     }
-  }, []);
+  }, [asOfDate]);
 
   // Fetch form options
   const fetchFormOptions = useCallback(async () => {
     try {
-      const { data: typesData, error: typesError } = await supabase
-        .from('lobster_types')
-        .select('id, name');
-      if (typesError) throw typesError;
-
-      const { data: weightClassesData, error: weightError } = await supabase
-        .from('weight_classes')
-        .select('id, weight_range');
-      if (weightError) throw weightError;
+      const [
+        typesData,
+        weightClassesData,
+        suppliersData,
+        customersData,
+        locationsData,
+      ] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getSuppliers(supabase),
+        getCustomers(supabase),
+        getLocations(supabase),
+      ]);
 
-      setLobsterTypes(typesData);
-      setWeightClasses(weightClassesData);
+      // Archived master data stays readable but cannot be picked
+      setLobsterTypes(typesData.filter((type) => !type.archived_at));
+      setWeightClasses(weightClassesData.filter((wc) => !wc.archived_at));
+      setSuppliers(suppliersData.filter((supplier) => !supplier.archived_at));
+      setCustomers(customersData.filter((customer) => !customer.archived_at));
+      const activeLocations = locationsData.filter(
+        (location) => !location.archived_at
+      );
+      setLocations(activeLocations);
+      if (!form.getValues('locationId') && activeLocations.length > 0) {
+        form.setValue('locationId', activeLocations[0].id);
+      }
     } catch (error) {
       setError(error.message);
       toast.error('Gagal Memuat Opsi Form', { description: error.message });
     }
-  }, []);
+  }, [form]);
 
   // Fetch available stock for form
-  const fetchAvailableStock = useCallback(async (lobsterType, weightClass) => {
-    if (!lobsterType || !weightClass) {
-      setAvailableStock(null);
+  const fetchAvailableStock = useCallback(
+    async (lobsterType, weightClass, locationId) => {
+      if (!lobsterType || !weightClass || !locationId) {
+        setAvailableStock(null);
+        return;
+      }
+      try {
+        const [typeData, weightClassData] = await Promise.all([
+          supabase
+            .from('lobster_types')
+            .select('id')
+            .eq('name', lobsterType)
+            .single(),
+          supabase
+            .from('weight_classes')
+            .select('id')
+            .eq('weight_range', weightClass)
+            .single(),
+        ]);
+        if (typeData.error || weightClassData.error)
+          throw new Error('Jenis atau kelas berat tidak valid');
+
+        const { data: inventoryData, error } = await supabase
+          .from('inventory')
+          .select('quantity')
+          .eq('type_id', typeData.data.id)
+          .eq('weight_class_id', weightClassData.data.id)
+          .eq('location_id', locationId)
+          .single();
+        if (error && error.code !== 'PGRST116') throw error;
+
+        setAvailableStock(inventoryData?.quantity || 0);
+      } catch (error) {
+        setAvailableStock(0);
+        toast.error('Gagal Memuat Stok Tersedia', {
+          description: error.message,
+        });
+      }
+    },
+    []
+  );
+
+  // Fetch stock per weight class of one lobster type, for the weighing mode
+  const fetchTypeStock = useCallback(async (lobsterType, locationId) => {
+    if (!lobsterType || !locationId) {
+      setTypeStock({});
       return;
     }
     try {
+      const { data: typeData, error: typeError } = await supabase
+        .from('lobster_types')
+        .select('id')
+        .eq('name', lobsterType)
+        .single();
+      if (typeError) throw new Error('Jenis lobster tidak valid');
+
+      const { data, error } = await supabase
+        .from('inventory')
+        .select('weight_class_id, quantity')
+        .eq('type_id', typeData.id)
+        .eq('location_id', locationId);
+      if (error) throw error;
+
+      setTypeStock(
+        Object.fromEntries(
+          (data || []).map((row) => [row.weight_class_id, row.quantity || 0])
+        )
+      );
+    } catch (error) {
+      setTypeStock({});
+      toast.error('Gagal Memuat Stok Tersedia', { description: error.message });
+    }
+  }, []);
+
+  const getLocationName = useCallback(
+    (locationId) =>
+      locations.find((location) => location.id === locationId)?.name ||
+      'Tidak Diketahui',
+    [locations]
+  );
+
+  // Submit individually weighed lobsters, one movement per weight class
+  const submitWeighedTransaction = useCallback(
+    async (values) => {
+      const {
+        lobsterType,
+        weights: weightsText,
+        transactionType,
+        locationId,
+        toLocationId,
+        destination,
+        supplierId,
+        customerId,
+        note,
+        transactionDate,
+      } = values;
+
+      const { data: typeData, error: typeError } = await supabase
+        .from('lobster_types')
+        .select('id')
+        .eq('name', lobsterType)
+        .single();
+      if (typeError) throw new Error('Jenis lobster tidak valid');
+
+      const { weights } = parseWeights(weightsText);
+      const { buckets, unmatched } = bucketWeights(weightClasses, weights);
+      if (unmatched.length > 0) {
+        throw new Error(
+          `Berat di luar semua kelas berat: ${unmatched.join(', ')} gram`
+        );
+      }
+
+      if (STOCK_CHECKED_TRANSACTION_TYPES.includes(transactionType)) {
+        const { data: inventoryData, error } = await supabase
+          .from('inventory')
+          .select('weight_class_id, quantity')
+          .eq('type_id', typeData.id)
+          .eq('location_id', locationId)
+          .in(
+            'weight_class_id',
+            buckets.map(({ weightClass }) => weightClass.id)
+          );
+        if (error) throw error;
+
+        for (const { weightClass, quantity } of buckets) {
+          const currentStock =
+            inventoryData?.find((row) => row.weight_class_id === weightClass.id)
+              ?.quantity || 0;
+          if (currentStock < quantity) {
+            throw new Error(
+              `Stok tidak cukup: hanya ${currentStock} ${lobsterType} (${
+                weightClass.weight_range
+              }) tersedia di ${getLocationName(locationId)}`
+            );
+          }
+        }
+      }
+
+      const { error: batchError } = await supabase.rpc(
+        'manage_inventory_batch',
+        {
+          p_lines: buckets.map(({ weightClass, quantity }) => ({
+            type_id: typeData.id,
+            weight_class_id: weightClass.id,
+            quantity,
+          })),
+          p_transaction_type: transactionType,
+          p_destination: destination || null,
+          p_notes: note ? { note } : null,
+          p_transaction_date: new Date(transactionDate).toISOString(),
+          p_supplier_id: getSupplierId(transactionType, supplierId),
+          p_customer_id: getCustomerId(transactionType, customerId),
+          p_location_id: locationId,
+          p_to_location_id: getToLocationId(transactionType, toLocationId),
+        }
+      );
+      if (batchError) {
+        throw new Error(getInventoryErrorMessage(batchError, lobsterType));
+      }
+
+      return buckets
+        .map(
+          ({ weightClass, quantity }) =>
+            `${quantity} ${lobsterType} (${weightClass.weight_range})`
+        )
+        .join(', ');
+    },
+    [weightClasses, getLocationName]
+  );
+
+  // Submit a single movement for one weight class
+  const submitSingleTransaction = useCallback(
+    async (values) => {
+      const {
+        lobsterType,
+        weightClass,
+        quantity,
+        transactionType,
+        toWeightClassId,
+        locationId,
+        toLocationId,
+        destination,
+        supplierId,
+        customerId,
+        note,
+        transactionDate,
+      } = values;
+
       const [typeData, weightClassData] = await Promise.all([
         supabase
           .from('lobster_types')
@@ -218,20 +688,63 @@ export default function Stock() {
       if (typeData.error || weightClassData.error)
         throw new Error('Jenis atau kelas berat tidak valid');
 
-      const { data: inventoryData, error } = await supabase
-        .from('inventory')
-        .select('quantity')
-        .eq('type_id', typeData.data.id)
-        .eq('weight_class_id', weightClassData.data.id)
-        .single();
-      if (error && error.code !== 'PGRST116') throw error;
+      if (STOCK_CHECKED_TRANSACTION_TYPES.includes(transactionType)) {
+        const { data: inventoryData, error } = await supabase
+          .from('inventory')
+          .select('quantity')
+          .eq('type_id', typeData.data.id)
+          .eq('weight_class_id', weightClassData.data.id)
+          .eq('location_id', locationId)
+          .single();
+        if (error && error.code !== 'PGRST116') throw error;
 
-      setAvailableStock(inventoryData?.quantity || 0);
-    } catch (error) {
-      setAvailableStock(0);
-      toast.error('Gagal Memuat Stok Tersedia', { description: error.message });
-    }
-  }, []);
+        if (!inventoryData && error?.code === 'PGRST116') {
+          throw new Error(
+            `Tidak ada stok untuk ${lobsterType} (${weightClass}) di ${getLocationName(
+              locationId
+            )}`
+          );
+        }
+        const currentStock = inventoryData?.quantity || 0;
+        if (currentStock < quantity) {
+          throw new Error(
+            `Stok tidak cukup: hanya ${currentStock} ${lobsterType} (${weightClass}) tersedia di ${getLocationName(
+              locationId
+            )}`
+          );
+        }
+      }
+
+      const { error: manageError } = await supabase.rpc('manage_inventory', {
+        p_type_id: typeData.data.id,
+        p_weight_class_id: weightClassData.data.id,
+        p_quantity: quantity,
+        p_transaction_type: transactionType,
+        p_destination: destination || null,
+        p_notes: note ? { note } : null,
+        p_transaction_date: new Date(transactionDate).toISOString(),
+        p_supplier_id: getSupplierId(transactionType, supplierId),
+        p_customer_id: getCustomerId(transactionType, customerId),
+        p_location_id: locationId,
+        p_to_location_id: getToLocationId(transactionType, toLocationId),
+        p_to_weight_class_id: getToWeightClassId(
+          transactionType,
+          toWeightClassId
+        ),
+      });
+      if (manageError) {
+        throw new Error(
+          getInventoryErrorMessage(
+            manageError,
+            `${lobsterType} (${weightClass})`
+          )
+        );
+      }
+
+      return `${quantity} ${lobsterType} (${weightClass})`;
+    },
+    [getLocationName]
+  );
 
   // Submit transaction
   const submitTransaction = useCallback(
@@ -240,97 +753,39 @@ export default function Stock() {
         setFormError(null);
         setIsSubmitting(true);
         const {
-          lobsterType,
-          weightClass,
-          quantity,
+          weighMode,
           transactionType,
-          destination,
-          note,
+          toWeightClassId,
+          toLocationId,
           transactionDate,
         } = values;
 
-        const [typeData, weightClassData] = await Promise.all([
-          supabase
-            .from('lobster_types')
-            .select('id')
-            .eq('name', lobsterType)
-            .single(),
-          supabase
-            .from('weight_classes')
-            .select('id')
-            .eq('weight_range', weightClass)
-            .single(),
-        ]);
-        if (typeData.error || weightClassData.error)
-          throw new Error('Jenis atau kelas berat tidak valid');
-
-        if (['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(transactionType)) {
-          const { data: inventoryData, error } = await supabase
-            .from('inventory')
-            .select('quantity')
-            .eq('type_id', typeData.data.id)
-            .eq('weight_class_id', weightClassData.data.id)
-            .single();
-          if (error && error.code !== 'PGRST116') throw error;
-
-          if (!inventoryData && error?.code === 'PGRST116') {
-            throw new Error(
-              `Tidak ada stok untuk ${lobsterType} (${weightClass})`
-            );
-          }
-          const currentStock = inventoryData?.quantity || 0;
-          if (currentStock < quantity) {
-            throw new Error(
-              `Stok tidak cukup: hanya ${currentStock} ${lobsterType} (${weightClass}) tersedia`
-            );
-          }
-        }
-
-        const { error: manageError } = await supabase.rpc('manage_inventory', {
-          p_type_id: typeData.data.id,
-          p_weight_class_id: weightClassData.data.id,
-          p_quantity: quantity,
-          p_transaction_type: transactionType,
-          p_destination: destination || null,
-          p_notes: note ? { note } : null,
-          p_transaction_date: new Date(transactionDate).toISOString(),
-        });
-        if (manageError) {
-          if (manageError.message.includes('Jumlah harus bilangan positif')) {
-            throw new Error('Jumlah harus bilangan positif');
-          }
-          if (manageError.message.includes('Jenis transaksi tidak valid')) {
-            throw new Error('Jenis transaksi tidak valid');
-          }
-          if (manageError.message.includes('Stok tidak cukup')) {
-            const available = manageError.message.match(/\d+/)?.[0] || '0';
-            throw new Error(
-              `Stok tidak cukup: hanya ${available} ${lobsterType} (${weightClass}) tersedia`
-            );
-          }
-          throw new Error(manageError.message || 'Gagal memproses transaksi');
+        let summary;
+        if (weighMode) {
+          summary = await submitWeighedTransaction(values);
+        } else {
+          summary = await submitSingleTransaction(values);
         }
 
         await fetchStockData();
-        form.reset({
-          lobsterType: '',
-          weightClass: '',
-          quantity: 1,
-          transactionType: 'ADD',
-          destination: '',
-          note: '',
-          transactionDate: getCurrentDateTime(),
-        });
+        form.reset(defaultFormValues(values.locationId));
         setIsModalOpen(false);
         setAvailableStock(null);
         toast.success('Transaksi Berhasil', {
-          description: `${quantity} ${lobsterType} (${weightClass}) ${
+          description: `${summary} ${
             transactionType === 'ADD'
               ? 'ditambahkan'
               : transactionType === 'DISTRIBUTE'
               ? 'didistribusikan'
               : transactionType === 'DEATH'
               ? 'dicatat sebagai mati'
+              : transactionType === 'TRANSFER'
+              ? `dipindahkan ke ${getLocationName(toLocationId)}`
+              : transactionType === 'RECLASSIFY'
+              ? `dipindahkan ke kelas berat ${
+                  weightClasses.find((wc) => wc.id === toWeightClassId)
+                    ?.weight_range
+                }`
               : 'dicatat sebagai rusak'
           } pada ${new Date(transactionDate).toLocaleString('id-ID', {
             dateStyle: 'medium',
@@ -348,20 +803,68 @@ export default function Stock() {
         setIsSubmitting(false);
       }
     },
-    [fetchStockData]
+    [
+      fetchStockData,
+      getLocationName,
+      submitSingleTransaction,
+      submitWeighedTransaction,
+      weightClasses,
+    ]
   );
 
   // Watch form changes
   useEffect(() => {
-    const subscription = form.watch((value) => {
-      if (value.lobsterType && value.weightClass) {
-        fetchAvailableStock(value.lobsterType, value.weightClass);
+    const subscription = form.watch((value, { name }) => {
+      // Reclassification moves a counted quantity between two chosen classes
+      if (
+        name === 'transactionType' &&
+        value.transactionType === 'RECLASSIFY' &&
+        value.weighMode
+      ) {
+        form.setValue('weighMode', false);
+        return;
+      }
+      if (value.lobsterType && value.weightClass && value.locationId) {
+        fetchAvailableStock(
+          value.lobsterType,
+          value.weightClass,
+          value.locationId
+        );
       } else {
         setAvailableStock(null);
       }
+      if (['lobsterType', 'weighMode', 'locationId'].includes(name)) {
+        if (value.weighMode && value.lobsterType && value.locationId) {
+          fetchTypeStock(value.lobsterType, value.locationId);
+        } else {
+          setTypeStock({});
+        }
+      }
     });
     return () => subscription.unsubscribe();
-  }, [form, fetchAvailableStock]);
+  }, [form, fetchAvailableStock, fetchTypeStock]);
+
+  // Preview of measured weights bucketed into weight classes
+  const weighMode = form.watch('weighMode');
+  const weightsText = form.watch('weights');
+  const weighPreview = useMemo(() => {
+    if (!weighMode) return null;
+    const { weights, invalid } = parseWeights(weightsText);
+    return { ...bucketWeights(weightClasses, weights), invalid };
+  }, [weighMode, weightsText, weightClasses]);
+  const transactionType = form.watch('transactionType');
+  const supplierId = form.watch('supplierId');
+  const checksStock = STOCK_CHECKED_TRANSACTION_TYPES.includes(transactionType);
+  const weighBlocked =
+    !weighPreview ||
+    weighPreview.invalid.length > 0 ||
+    weighPreview.unmatched.length > 0 ||
+    weighPreview.buckets.length === 0 ||
+    (checksStock &&
+      weighPreview.buckets.some(
+        ({ weightClass, quantity }) =>
+          (typeStock[weightClass.id] || 0) < quantity
+      ));
 
   // Initial fetch and real-time subscriptions
   useEffect(() => {
@@ -396,9 +899,15 @@ export default function Stock() {
         )
         .subscribe();
 
+      const unsubscribeReference = subscribeToReferenceChanges(supabase, () => {
+        fetchFormOptions();
+        fetchStockData();
+      });
+
       return () => {
         supabase.removeChannel(inventorySubscription);
         supabase.removeChannel(transactionsSubscription);
+        unsubscribeReference();
       };
     }
   }, [user, fetchStockData, fetchFormOptions]);
@@ -493,227 +1002,572 @@ export default function Stock() {
             <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
               Manajemen Stok
             </h2>
-            <Dialog open={isModalOpen} onOpenChange={setIsModalOpen}>
-              <DialogTrigger asChild>
-                <Button className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md">
-                  Tambah Transaksi
-                </Button>
-              </DialogTrigger>
-              <DialogContent className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 max-w-lg">
-                <DialogHeader>
-                  <DialogTitle className="text-xl font-semibold">
+            <div className="flex gap-3">
+              <Dialog open={isModalOpen} onOpenChange={setIsModalOpen}>
+                <DialogTrigger asChild>
+                  <Button className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white font-semibold px-6 py-2 rounded-md">
                     Tambah Transaksi
-                  </DialogTitle>
-                </DialogHeader>
-                <Form {...form}>
-                  <form
-                    onSubmit={form.handleSubmit(submitTransaction)}
-                    className="space-y-6"
-                  >
-                    <FormField
-                      control={form.control}
-                      name="lobsterType"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Jenis Lobster</FormLabel>
-                          <Select
-                            onValueChange={field.onChange}
-                            value={field.value}
-                          >
-                            <FormControl>
-                              <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
-                                <SelectValue placeholder="Pilih jenis lobster" />
-                              </SelectTrigger>
-                            </FormControl>
-                            <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                              {lobsterTypes.map((type) => (
-                                <SelectItem key={type.id} value={type.name}>
-                                  {type.name}
-                                </SelectItem>
-                              ))}
-                            </SelectContent>
-                          </Select>
-                          <FormMessage />
-                        </FormItem>
+                  </Button>
+                </DialogTrigger>
+                <DialogContent className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 max-w-lg max-h-[90vh] overflow-y-auto">
+                  <DialogHeader>
+                    <DialogTitle className="text-xl font-semibold">
+                      Tambah Transaksi
+                    </DialogTitle>
+                  </DialogHeader>
+                  <Form {...form}>
+                    <form
+                      onSubmit={form.handleSubmit(submitTransaction)}
+                      className="space-y-6"
+                    >
+                      <FormField
+                        control={form.control}
+                        name="lobsterType"
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>Jenis Lobster</FormLabel>
+                            <Select
+                              onValueChange={field.onChange}
+                              value={field.value}
+                            >
+                              <FormControl>
+                                <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                  <SelectValue placeholder="Pilih jenis lobster" />
+                                </SelectTrigger>
+                              </FormControl>
+                              <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                {lobsterTypes.map((type) => (
+                                  <SelectItem key={type.id} value={type.name}>
+                                    {type.name}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      {transactionType !== 'RECLASSIFY' && (
+                        <FormField
+                          control={form.control}
+                          name="weighMode"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Cara Input</FormLabel>
+                              <div className="grid grid-cols-2 gap-2">
+                                <Button
+                                  type="button"
+                                  variant={field.value ? 'outline' : 'default'}
+                                  onClick={() => field.onChange(false)}
+                                  className="rounded-md"
+                                >
+                                  Pilih Kelas Berat
+                                </Button>
+                                <Button
+                                  type="button"
+                                  variant={field.value ? 'default' : 'outline'}
+                                  onClick={() => field.onChange(true)}
+                                  className="rounded-md"
+                                >
+                                  Timbang per Ekor
+                                </Button>
+                              </div>
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="weightClass"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Kelas Berat</FormLabel>
-                          <Select
-                            onValueChange={field.onChange}
-                            value={field.value}
-                          >
-                            <FormControl>
-                              <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
-                                <SelectValue placeholder="Pilih kelas berat" />
-                              </SelectTrigger>
-                            </FormControl>
-                            <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                              {weightClasses.map((wc) => (
-                                <SelectItem key={wc.id} value={wc.weight_range}>
-                                  {wc.weight_range}
+                      {weighMode ? (
+                        <>
+                          <FormField
+                            control={form.control}
+                            name="weights"
+                            render={({ field }) => (
+                              <FormItem>
+                                <FormLabel>Berat per Ekor (gram)</FormLabel>
+                                <FormControl>
+                                  <Textarea
+                                    className="min-h-[120px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md font-mono"
+                                    placeholder={
+                                      'Satu berat per baris, misalnya:\n152\n187,5\n230'
+                                    }
+                                    {...field}
+                                  />
+                                </FormControl>
+                                <FormMessage />
+                              </FormItem>
+                            )}
+                          />
+                          {weighPreview && weighPreview.buckets.length > 0 && (
+                            <div className="rounded-md border border-gray-200 dark:border-gray-700 p-3 text-sm">
+                              <div className="mb-2 flex justify-between font-medium">
+                                <span>Kelas Berat</span>
+                                <span>Jumlah</span>
+                              </div>
+                              {weighPreview.buckets.map(
+                                ({ weightClass, quantity }) => {
+                                  const available =
+                                    typeStock[weightClass.id] || 0;
+                                  const short =
+                                    checksStock && available < quantity;
+                                  return (
+                                    <div
+                                      key={weightClass.id}
+                                      className="flex justify-between py-1 border-t border-gray-100 dark:border-gray-700"
+                                    >
+                                      <span>{weightClass.weight_range}</span>
+                                      <span
+                                        className={
+                                          short
+                                            ? 'text-red-500 dark:text-red-400'
+                                            : ''
+                                        }
+                                      >
+                                        {quantity} Ekor
+                                        {checksStock &&
+                                          ` (Tersedia: ${available})`}
+                                      </span>
+                                    </div>
+                                  );
+                                }
+                              )}
+                            </div>
+                          )}
+                          {weighPreview?.unmatched.length > 0 && (
+                            <p className="text-red-500 dark:text-red-400 text-sm">
+                              Berat di luar semua kelas berat:{' '}
+                              {weighPreview.unmatched.join(', ')} gram
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <>
+                          <FormField
+                            control={form.control}
+                            name="weightClass"
+                            render={({ field }) => (
+                              <FormItem>
+                                <FormLabel>
+                                  {transactionType === 'RECLASSIFY'
+                                    ? 'Kelas Berat Asal'
+                                    : 'Kelas Berat'}
+                                </FormLabel>
+                                <Select
+                                  onValueChange={field.onChange}
+                                  value={field.value}
+                                >
+                                  <FormControl>
+                                    <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                      <SelectValue placeholder="Pilih kelas berat" />
+                                    </SelectTrigger>
+                                  </FormControl>
+                                  <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                    {weightClasses.map((wc) => (
+                                      <SelectItem
+                                        key={wc.id}
+                                        value={wc.weight_range}
+                                      >
+                                        {wc.weight_range}
+                                      </SelectItem>
+                                    ))}
+                                  </SelectContent>
+                                </Select>
+                                <FormMessage />
+                              </FormItem>
+                            )}
+                          />
+                          <FormField
+                            control={form.control}
+                            name="quantity"
+                            render={({ field }) => (
+                              <FormItem>
+                                <FormLabel>
+                                  Jumlah{' '}
+                                  {availableStock !== null && checksStock && (
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                                      (Tersedia: {availableStock} Ekor)
+                                    </span>
+                                  )}
+                                </FormLabel>
+                                <FormControl>
+                                  <Input
+                                    type="number"
+                                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                                    {...field}
+                                    onChange={(e) =>
+                                      field.onChange(
+                                        parseInt(e.target.value) || 1
+                                      )
+                                    }
+                                    min="1"
+                                  />
+                                </FormControl>
+                                <FormMessage />
+                              </FormItem>
+                            )}
+                          />
+                        </>
+                      )}
+                      <FormField
+                        control={form.control}
+                        name="transactionType"
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>Jenis Transaksi</FormLabel>
+                            <Select
+                              onValueChange={field.onChange}
+                              value={field.value}
+                            >
+                              <FormControl>
+                                <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                  <SelectValue placeholder="Pilih jenis transaksi" />
+                                </SelectTrigger>
+                              </FormControl>
+                              <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                <SelectItem value="ADD">Penambahan</SelectItem>
+                                <SelectItem value="DISTRIBUTE">
+                                  Distribusi
+                                </SelectItem>
+                                <SelectItem value="DEATH">Kematian</SelectItem>
+                                <SelectItem value="DAMAGED">
+                                  Kerusakan
                                 </SelectItem>
-                              ))}
-                            </SelectContent>
-                          </Select>
-                          <FormMessage />
-                        </FormItem>
+                                <SelectItem value="TRANSFER">
+                                  Transfer
+                                </SelectItem>
+                                <SelectItem value="RECLASSIFY">
+                                  Reklasifikasi
+                                </SelectItem>
+                              </SelectContent>
+                            </Select>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      {transactionType === 'RECLASSIFY' && (
+                        <FormField
+                          control={form.control}
+                          name="toWeightClassId"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Kelas Berat Baru</FormLabel>
+                              <Select
+                                onValueChange={field.onChange}
+                                value={field.value}
+                              >
+                                <FormControl>
+                                  <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                    <SelectValue placeholder="Pilih kelas berat baru" />
+                                  </SelectTrigger>
+                                </FormControl>
+                                <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                  {weightClasses
+                                    .filter(
+                                      (wc) =>
+                                        wc.weight_range !==
+                                        form.watch('weightClass')
+                                    )
+                                    .map((wc) => (
+                                      <SelectItem key={wc.id} value={wc.id}>
+                                        {wc.weight_range}
+                                      </SelectItem>
+                                    ))}
+                                </SelectContent>
+                              </Select>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="quantity"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>
-                            Jumlah{' '}
-                            {availableStock !== null &&
-                              ['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(
-                                form.watch('transactionType')
-                              ) && (
-                                <span className="text-sm text-gray-500 dark:text-gray-400">
-                                  (Tersedia: {availableStock} Ekor)
-                                </span>
-                              )}
-                          </FormLabel>
-                          <FormControl>
-                            <Input
-                              type="number"
-                              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
-                              {...field}
-                              onChange={(e) =>
-                                field.onChange(parseInt(e.target.value) || 1)
-                              }
-                              min="1"
-                            />
-                          </FormControl>
-                          <FormMessage />
-                        </FormItem>
+                      <FormField
+                        control={form.control}
+                        name="locationId"
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>
+                              {transactionType === 'TRANSFER'
+                                ? 'Dari Lokasi'
+                                : 'Lokasi'}
+                            </FormLabel>
+                            <Select
+                              onValueChange={field.onChange}
+                              value={field.value}
+                            >
+                              <FormControl>
+                                <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                  <SelectValue placeholder="Pilih lokasi" />
+                                </SelectTrigger>
+                              </FormControl>
+                              <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                {locations.map((location) => (
+                                  <SelectItem
+                                    key={location.id}
+                                    value={location.id}
+                                  >
+                                    {location.name}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      {transactionType === 'TRANSFER' && (
+                        <FormField
+                          control={form.control}
+                          name="toLocationId"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Ke Lokasi</FormLabel>
+                              <Select
+                                onValueChange={field.onChange}
+                                value={field.value}
+                              >
+                                <FormControl>
+                                  <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                    <SelectValue placeholder="Pilih lokasi tujuan" />
+                                  </SelectTrigger>
+                                </FormControl>
+                                <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                  {locations
+                                    .filter(
+                                      (location) =>
+                                        location.id !== form.watch('locationId')
+                                    )
+                                    .map((location) => (
+                                      <SelectItem
+                                        key={location.id}
+                                        value={location.id}
+                                      >
+                                        {location.name}
+                                      </SelectItem>
+                                    ))}
+                                </SelectContent>
+                              </Select>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="transactionType"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Jenis Transaksi</FormLabel>
-                          <Select
-                            onValueChange={field.onChange}
-                            value={field.value}
-                          >
-                            <FormControl>
-                              <SelectTrigger className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
-                                <SelectValue placeholder="Pilih jenis transaksi" />
-                              </SelectTrigger>
-                            </FormControl>
-                            <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                              <SelectItem value="ADD">Penambahan</SelectItem>
-                              <SelectItem value="DISTRIBUTE">
-                                Distribusi
-                              </SelectItem>
-                              <SelectItem value="DEATH">Kematian</SelectItem>
-                              <SelectItem value="DAMAGED">Kerusakan</SelectItem>
-                            </SelectContent>
-                          </Select>
-                          <FormMessage />
-                        </FormItem>
+                      {transactionType === 'ADD' && (
+                        <FormField
+                          control={form.control}
+                          name="supplierId"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Pemasok</FormLabel>
+                              <Select
+                                onValueChange={field.onChange}
+                                value={field.value}
+                              >
+                                <FormControl>
+                                  <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                    <SelectValue placeholder="Pilih pemasok" />
+                                  </SelectTrigger>
+                                </FormControl>
+                                <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                  <SelectItem value={NO_SUPPLIER}>
+                                    Tanpa pemasok terdaftar
+                                  </SelectItem>
+                                  {suppliers.map((supplier) => (
+                                    <SelectItem
+                                      key={supplier.id}
+                                      value={supplier.id}
+                                    >
+                                      {supplier.name}
+                                    </SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="destination"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Tujuan/Asal (Opsional)</FormLabel>
-                          <FormControl>
-                            <Input
-                              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
-                              placeholder="Masukkan tujuan atau asal (misalnya, Pasar, Restoran)"
-                              {...field}
-                            />
-                          </FormControl>
-                          <FormMessage />
-                        </FormItem>
+                      {transactionType === 'DISTRIBUTE' && (
+                        <FormField
+                          control={form.control}
+                          name="customerId"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>Pelanggan</FormLabel>
+                              <Select
+                                onValueChange={field.onChange}
+                                value={field.value}
+                              >
+                                <FormControl>
+                                  <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md">
+                                    <SelectValue placeholder="Pilih pelanggan" />
+                                  </SelectTrigger>
+                                </FormControl>
+                                <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                  {customers.map((customer) => (
+                                    <SelectItem
+                                      key={customer.id}
+                                      value={customer.id}
+                                    >
+                                      {customer.name}
+                                    </SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="transactionDate"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Tanggal Transaksi</FormLabel>
-                          <FormControl>
-                            <Input
-                              type="datetime-local"
-                              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
-                              {...field}
-                            />
-                          </FormControl>
-                          <FormMessage />
-                        </FormItem>
+                      {(transactionType === 'ADD'
+                        ? supplierId === NO_SUPPLIER
+                        : !['DISTRIBUTE', 'TRANSFER', 'RECLASSIFY'].includes(
+                            transactionType
+                          )) && (
+                        <FormField
+                          control={form.control}
+                          name="destination"
+                          render={({ field }) => (
+                            <FormItem>
+                              <FormLabel>
+                                {transactionType === 'ADD'
+                                  ? 'Asal (Opsional)'
+                                  : 'Tujuan (Opsional)'}
+                              </FormLabel>
+                              <FormControl>
+                                <Input
+                                  className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                                  placeholder="Masukkan tujuan atau asal (misalnya, Pasar, Restoran)"
+                                  {...field}
+                                />
+                              </FormControl>
+                              <FormMessage />
+                            </FormItem>
+                          )}
+                        />
                       )}
-                    />
-                    <FormField
-                      control={form.control}
-                      name="note"
-                      render={({ field }) => (
-                        <FormItem>
-                          <FormLabel>Catatan (Opsional)</FormLabel>
-                          <FormControl>
-                            <Input
-                              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
-                              {...field}
-                            />
-                          </FormControl>
-                          <FormMessage />
-                        </FormItem>
+                      <FormField
+                        control={form.control}
+                        name="transactionDate"
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>Tanggal Transaksi</FormLabel>
+                            <FormControl>
+                              <Input
+                                type="datetime-local"
+                                className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                                {...field}
+                              />
+                            </FormControl>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      <FormField
+                        control={form.control}
+                        name="note"
+                        render={({ field }) => (
+                          <FormItem>
+                            <FormLabel>Catatan (Opsional)</FormLabel>
+                            <FormControl>
+                              <Input
+                                className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                                {...field}
+                              />
+                            </FormControl>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      {formError && (
+                        <p className="text-red-500 dark:text-red-400 text-sm">
+                          {formError}
+                        </p>
                       )}
-                    />
-                    {formError && (
-                      <p className="text-red-500 dark:text-red-400 text-sm">
-                        {formError}
-                      </p>
-                    )}
-                    <div className="flex justify-end gap-3">
-                      <Button
-                        type="button"
-                        variant="outline"
-                        className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
-                        onClick={() => setIsModalOpen(false)}
-                        disabled={isSubmitting}
-                      >
-                        Batal
-                      </Button>
-                      <Button
-                        type="submit"
-                        className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white rounded-md"
-                        disabled={
-                          isSubmitting ||
-                          (['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(
-                            form.watch('transactionType')
-                          ) &&
-                            availableStock !== null &&
-                            availableStock < form.watch('quantity'))
-                        }
-                      >
-                        {isSubmitting ? 'Mengirim...' : 'Kirim Transaksi'}
-                      </Button>
-                    </div>
-                  </form>
-                </Form>
-              </DialogContent>
-            </Dialog>
+                      <div className="flex justify-end gap-3">
+                        <Button
+                          type="button"
+                          variant="outline"
+                          className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+                          onClick={() => setIsModalOpen(false)}
+                          disabled={isSubmitting}
+                        >
+                          Batal
+                        </Button>
+                        <Button
+                          type="submit"
+                          className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white rounded-md"
+                          disabled={
+                            isSubmitting ||
+                            (weighMode
+                              ? weighBlocked
+                              : checksStock &&
+                                availableStock !== null &&
+                                availableStock < form.watch('quantity'))
+                          }
+                        >
+                          {isSubmitting ? 'Mengirim...' : 'Kirim Transaksi'}
+                        </Button>
+                      </div>
+                    </form>
+                  </Form>
+                </DialogContent>
+              </Dialog>
+              <ShipmentDialog
+                lobsterTypes={lobsterTypes}
+                weightClasses={weightClasses}
+                customers={customers}
+                locations={locations}
+                onCreated={fetchStockData}
+              />
+              <Button
+                variant="outline"
+                asChild
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 font-semibold px-6 py-2 rounded-md"
+              >
+                <a href="/opname">Stok Opname</a>
+              </Button>
+            </div>
+          </div>
+
+          {/* Point-in-time view */}
+          <div className="flex flex-wrap items-center gap-3">
+            <Label
+              htmlFor="stock-as-of"
+              className="text-gray-700 dark:text-gray-300"
+            >
+              Stok per Tanggal
+            </Label>
+            <Input
+              id="stock-as-of"
+              type="date"
+              value={asOfDate}
+              max={getCurrentDateTime().split('T')[0]}
+              onChange={(e) => setAsOfDate(e.target.value)}
+              className="w-auto bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+            />
+            {asOfDate && (
+              <>
+                <Button
+                  variant="outline"
+                  onClick={() => setAsOfDate('')}
+                  className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+                >
+                  Stok Saat Ini
+                </Button>
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  Dihitung ulang dari transaksi hingga akhir hari tersebut.
+                </span>
+              </>
+            )}
           </div>
 
           {/* Total Stock Summary */}
           <Card className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
             <CardHeader>
               <CardTitle className="text-lg font-semibold text-gray-900 dark:text-gray-100">
-                Total Stok
+                {asOfDate
+                  ? `Total Stok per ${new Date(
+                      `${asOfDate}T00:00`
+                    ).toLocaleDateString('id-ID', { dateStyle: 'long' })}`
+                  : 'Total Stok'}
               </CardTitle>
             </CardHeader>
             <CardContent>
@@ -748,8 +1602,9 @@ export default function Stock() {
               </div>
             ) : stockData.length === 0 ? (
               <p className="text-gray-500 dark:text-gray-400">
-                Tidak ada data inventaris. Tambah lobster menggunakan tombol di
-                atas.
+                {asOfDate
+                  ? 'Tidak ada stok pada akhir tanggal tersebut.'
+                  : 'Tidak ada data inventaris. Tambah lobster menggunakan tombol di atas.'}
               </p>
             ) : (
               <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
@@ -772,20 +1627,89 @@ export default function Stock() {
                           {type.total_quantity} Ekor
                         </span>
                       </div>
+                      {type.locations.length > 0 && (
+                        <div className="mb-4 flex flex-wrap gap-2">
+                          {type.locations.map((location) => (
+                            <span
+                              key={location.name}
+                              className="rounded-full bg-gray-100 dark:bg-gray-700 px-2.5 py-0.5 text-xs text-gray-700 dark:text-gray-300"
+                            >
+                              {location.name}: {location.quantity} Ekor
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {type.aging && (
+                        <div className="mb-4 grid grid-cols-4 gap-1 text-center">
+                          {type.aging.map((bucket) => (
+                            <div
+                              key={bucket.label}
+                              className={`rounded px-1 py-1 text-xs ${
+                                bucket.quantity > 0
+                                  ? bucket.className
+                                  : 'bg-gray-50 text-gray-400 dark:bg-gray-900 dark:text-gray-500'
+                              }`}
+                            >
+                              <div>{bucket.label}</div>
+                              <div className="font-semibold">
+                                {bucket.quantity}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                       <div className="space-y-3">
                         {type.weight_classes.length > 0 ? (
                           type.weight_classes.map((wc) => (
-                            <div
+                            <a
                               key={wc.weight_range}
-                              className="flex items-center justify-between py-2 border-t border-gray-100 dark:border-gray-700"
+                              href={`/stok/${type.type_id}/${wc.weight_class_id}`}
+                              title="Lihat buku stok"
+                              className="block py-2 border-t border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
                             >
-                              <span className="text-sm text-gray-600 dark:text-gray-400">
-                                {wc.weight_range}
-                              </span>
-                              <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
-                                {wc.quantity} Ekor
-                              </span>
-                            </div>
+                              <div className="flex items-center justify-between">
+                                <span className="text-sm text-gray-600 dark:text-gray-400">
+                                  {wc.weight_range}
+                                  {wc.oldest_days !== null && (
+                                    <span
+                                      className={`ml-2 text-xs ${
+                                        wc.oldest_days >= AGING_WARNING_DAYS
+                                          ? 'text-red-600 dark:text-red-400'
+                                          : 'text-gray-400 dark:text-gray-500'
+                                      }`}
+                                    >
+                                      tertua {wc.oldest_days} hari
+                                    </span>
+                                  )}
+                                </span>
+                                <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                                  {wc.threshold_status && (
+                                    <span
+                                      className={`mr-2 rounded px-1.5 py-0.5 text-xs font-normal ${
+                                        THRESHOLD_STATUS[wc.threshold_status]
+                                          .className
+                                      }`}
+                                    >
+                                      {
+                                        THRESHOLD_STATUS[wc.threshold_status]
+                                          .label
+                                      }
+                                    </span>
+                                  )}
+                                  {wc.quantity} Ekor
+                                </span>
+                              </div>
+                              {type.locations.length > 1 && (
+                                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                  {wc.locations
+                                    .map(
+                                      (location) =>
+                                        `${location.name}: ${location.quantity}`
+                                    )
+                                    .join(' · ')}
+                                </p>
+                              )}
+                            </a>
                           ))
                         ) : (
                           <p className="text-sm text-gray-500 dark:text-gray-400">
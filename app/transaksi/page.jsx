@@ -1,7 +1,14 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
 import { supabase } from '@/lib/supabase';
+import {
+  getLobsterTypes,
+  getWeightClasses,
+  getSuppliers,
+  getCustomers,
+  subscribeToReferenceChanges,
+} from '@/lib/cache';
 import { AppSidebar } from '@/components/app-sidebar';
 import {
   SidebarInset,
@@ -33,6 +40,11 @@ import { format } from 'date-fns';
 import { id } from 'date-fns/locale';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import {
+  createDeliveryNotePDF,
+  createGoodsReceiptPDF,
+  getDocumentFilename,
+} from '@/lib/documents';
 import {
   Dialog,
   DialogContent,
@@ -42,17 +54,33 @@ import {
 } from '@/components/ui/dialog';
 import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
+import { TransactionHistory } from '@/components/transaction-history';
+import {
+  ADJUSTMENT_TRANSACTION_TYPES,
+  OUTGOING_TRANSACTION_TYPES,
+  getInventoryEffect,
+  getInventoryErrorMessage,
+} from '@/lib/inventory';
+import { compareWeightClasses } from '@/lib/weight-classes';
+import { LOT_CONSUMING_TRANSACTION_TYPES } from '@/lib/lots';
+import { hasPermission } from '@/lib/roles';
+import { useUserRole } from '@/hooks/use-user-role';
 
 export default function Transaksi() {
+  const role = useUserRole();
   const [user, setUser] = useState(null);
   const [transactions, setTransactions] = useState([]);
   const [lobsterTypes, setLobsterTypes] = useState([]);
   const [weightClasses, setWeightClasses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [customers, setCustomers] = useState([]);
   const [filters, setFilters] = useState({
     startDate: '',
     endDate: '',
     lobsterType: 'all',
     transactionType: 'all',
+    supplier: 'all',
+    customer: 'all',
     page: 1,
   });
   const [itemsPerPage, setItemsPerPage] = useState(10);
@@ -64,6 +92,17 @@ export default function Transaksi() {
   const [error, setError] = useState(null);
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null);
+  const [voidModalOpen, setVoidModalOpen] = useState(false);
+  // Transaction whose audit history is shown read-only, for rows that
+  // cannot be opened in the edit dialog
+  const [historyTransaction, setHistoryTransaction] = useState(null);
+  const [voidingTransaction, setVoidingTransaction] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+  const [isVoiding, setIsVoiding] = useState(false);
+  const [printingNoteId, setPrintingNoteId] = useState(null);
+  const [lotTransaction, setLotTransaction] = useState(null);
+  const [lotOptions, setLotOptions] = useState([]);
+  const [isSavingLots, setIsSavingLots] = useState(false);
   const [editForm, setEditForm] = useState({
     transaction_type: '',
     type_id: '',
@@ -75,6 +114,13 @@ export default function Transaksi() {
   });
 
   const transactionTypes = ['ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED'];
+  const filterTransactionTypes = [
+    ...transactionTypes,
+    'TRANSFER',
+    'RECLASSIFY',
+    ...ADJUSTMENT_TRANSACTION_TYPES,
+    'VOID',
+  ];
 
   // Check authentication
   useEffect(() => {
@@ -100,19 +146,22 @@ export default function Transaksi() {
   // Fetch lobster types and weight classes
   const fetchReferenceData = async () => {
     try {
-      const [lobsterTypesRes, weightClassesRes] = await Promise.all([
-        supabase.from('lobster_types').select('id, name').order('name'),
-        supabase
-          .from('weight_classes')
-          .select('id, weight_range')
-          .order('weight_range'),
+      const [
+        lobsterTypesData,
+        weightClassesData,
+        suppliersData,
+        customersData,
+      ] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+        getSuppliers(supabase),
+        getCustomers(supabase),
       ]);
 
-      if (lobsterTypesRes.error) throw lobsterTypesRes.error;
-      if (weightClassesRes.error) throw weightClassesRes.error;
-
-      setLobsterTypes(lobsterTypesRes.data);
-      setWeightClasses(weightClassesRes.data);
+      setLobsterTypes(lobsterTypesData);
+      setWeightClasses(weightClassesData);
+      setSuppliers(suppliersData);
+      setCustomers(customersData);
     } catch (error) {
       toast.error('Gagal Memuat Data Referensi', {
         description: error.message,
@@ -147,16 +196,32 @@ export default function Transaksi() {
           destination,
           type_id,
           weight_class_id,
+          reversal_of,
+          voided_at,
+          shipment_id,
+          supplier_id,
+          customer_id,
+          location_id,
+          batch_id,
+          has_goods_receipt,
+          shipments (id, destination, shipment_date),
+          suppliers (name),
+          customers (name),
+          location:locations!location_id (name),
+          to_location:locations!to_location_id (name),
           lobster_types (name),
-          weight_classes (weight_range)
+          weight_classes!weight_class_id (weight_range),
+          to_weight_class:weight_classes!to_weight_class_id (weight_range)
         `
         )
         .order('transaction_date', { ascending: false })
+        .order('shipment_id', { ascending: true })
         .range(from, to);
 
       const stockQuery = supabase
         .from('transactions')
-        .select('transaction_type, quantity');
+        .select('transaction_type, quantity')
+        .is('voided_at', null);
 
       if (filters.startDate) {
         const startISO =
@@ -196,6 +261,16 @@ export default function Transaksi() {
         query.eq('transaction_type', filters.transactionType);
         countQuery.eq('transaction_type', filters.transactionType);
       }
+      if (filters.supplier !== 'all') {
+        query.eq('supplier_id', filters.supplier);
+        countQuery.eq('supplier_id', filters.supplier);
+        stockQuery.eq('supplier_id', filters.supplier);
+      }
+      if (filters.customer !== 'all') {
+        query.eq('customer_id', filters.customer);
+        countQuery.eq('customer_id', filters.customer);
+        stockQuery.eq('customer_id', filters.customer);
+      }
 
       const [
         { data, error },
@@ -213,7 +288,7 @@ export default function Transaksi() {
       }, 0);
 
       const outgoing = (stockData || []).reduce((sum, t) => {
-        if (['DISTRIBUTE', 'DEATH', 'DAMAGED'].includes(t.transaction_type)) {
+        if (OUTGOING_TRANSACTION_TYPES.includes(t.transaction_type)) {
           return sum + Math.abs(t.quantity || 0);
         }
         return sum;
@@ -247,53 +322,178 @@ export default function Transaksi() {
         .toISOString()
         .split('T')[0],
       destination: transaction.destination || '',
-      notes: transaction.notes || '',
+      notes:
+        typeof transaction.notes === 'object' && transaction.notes !== null
+          ? transaction.notes.note || ''
+          : transaction.notes || '',
     });
     setEditModalOpen(true);
   };
 
+  // Open void modal
+  const openVoidModal = (transaction) => {
+    setVoidingTransaction(transaction);
+    setVoidReason('');
+    setVoidModalOpen(true);
+  };
+
+  // Lots the transaction may take from: the ones it uses now plus every
+  // other lot of the same SKU and location that still has stock
+  const openLotModal = async (transaction) => {
+    try {
+      const [lotsResult, consumptionsResult] = await Promise.all([
+        supabase
+          .from('lots')
+          .select('id, code, received_at, remaining_quantity')
+          .eq('type_id', transaction.type_id)
+          .eq('weight_class_id', transaction.weight_class_id)
+          .eq('location_id', transaction.location_id)
+          .order('received_at')
+          .order('code'),
+        supabase
+          .from('lot_consumptions')
+          .select('lot_id, quantity')
+          .eq('transaction_id', transaction.id),
+      ]);
+      if (lotsResult.error) throw lotsResult.error;
+      if (consumptionsResult.error) throw consumptionsResult.error;
+
+      const used = consumptionsResult.data.reduce((acc, c) => {
+        if (c.lot_id) acc[c.lot_id] = (acc[c.lot_id] || 0) + c.quantity;
+        return acc;
+      }, {});
+      setLotOptions(
+        lotsResult.data
+          .map((lot) => ({
+            ...lot,
+            available: lot.remaining_quantity + (used[lot.id] || 0),
+            quantity: used[lot.id] ? used[lot.id].toString() : '',
+          }))
+          .filter((lot) => lot.available > 0)
+      );
+      setLotTransaction(transaction);
+    } catch (error) {
+      toast.error('Gagal Memuat Lot', { description: error.message });
+    }
+  };
+
+  const lotAllocatedTotal = lotOptions.reduce(
+    (sum, lot) => sum + (parseInt(lot.quantity, 10) || 0),
+    0
+  );
+
+  const handleLotSubmit = async () => {
+    if (!lotTransaction) return;
+
+    try {
+      setIsSavingLots(true);
+      const { error } = await supabase.rpc('allocate_lots', {
+        p_transaction_id: lotTransaction.id,
+        p_allocations: lotOptions
+          .filter((lot) => parseInt(lot.quantity, 10) > 0)
+          .map((lot) => ({
+            lot_id: lot.id,
+            quantity: parseInt(lot.quantity, 10),
+          })),
+      });
+      if (error) throw error;
+
+      toast.success('Pembagian Lot Disimpan');
+      setLotTransaction(null);
+    } catch (error) {
+      toast.error('Gagal Menyimpan Pembagian Lot', {
+        description: error.message,
+      });
+    } finally {
+      setIsSavingLots(false);
+    }
+  };
+
+  // Voided originals and their VOID rows can no longer be changed
+  const isLocked = (transaction) =>
+    Boolean(transaction.voided_at || transaction.reversal_of);
+
+  // Transfers and reclassifications are voided and re-entered rather than
+  // edited; stock opname adjustments and receipts already printed can only be
+  // voided
+  const isEditable = (transaction) =>
+    !isLocked(transaction) &&
+    !transaction.has_goods_receipt &&
+    !['TRANSFER', 'RECLASSIFY', ...ADJUSTMENT_TRANSACTION_TYPES].includes(
+      transaction.transaction_type
+    );
+
+  // Line count and total quantity per shipment on the current page
+  const shipmentSummaries = useMemo(
+    () =>
+      transactions.reduce((acc, t) => {
+        if (!t.shipment_id) return acc;
+        const summary = acc[t.shipment_id] || { lines: 0, total: 0 };
+        summary.lines += 1;
+        summary.total += Math.abs(t.quantity) || 0;
+        acc[t.shipment_id] = summary;
+        return acc;
+      }, {}),
+    [transactions]
+  );
+
+  // First line of a shipment gets the group header row
+  const startsShipmentGroup = (t, index) =>
+    Boolean(t.shipment_id) &&
+    (index === 0 || transactions[index - 1].shipment_id !== t.shipment_id);
+
   // Handle edit form change
   const handleEditFormChange = (field, value) => {
     setEditForm((prev) => ({ ...prev, [field]: value }));
   };
 
-  // Validate stock for ADD transactions
-  const validateStock = async (
-    transactionId,
-    typeId,
-    weightClassId,
-    newQuantity
-  ) => {
+  // Check that the edited transaction leaves enough stock behind
+  const validateEditStock = async (original, updated) => {
     const { data, error } = await supabase
-      .from('transactions')
+      .from('inventory')
       .select('quantity')
-      .eq('type_id', typeId)
-      .eq('weight_class_id', weightClassId)
-      .in('transaction_type', ['DISTRIBUTE', 'DEATH', 'DAMAGED']);
-
+      .eq('type_id', updated.type_id)
+      .eq('weight_class_id', updated.weight_class_id)
+      .eq('location_id', original.location_id)
+      .maybeSingle();
     if (error) throw error;
 
-    const totalOutgoing = (data || []).reduce(
-      (sum, t) => sum + Math.abs(t.quantity),
+    let available = data?.quantity || 0;
+    // The original row's effect is reversed first on the same SKU
+    if (
+      original.type_id === updated.type_id &&
+      original.weight_class_id === updated.weight_class_id
+    ) {
+      available -= getInventoryEffect(
+        original.transaction_type,
+        original.quantity
+      );
+    }
+
+    if (
+      available +
+        getInventoryEffect(updated.transaction_type, updated.quantity) <
       0
-    );
-    const currentAdd = transactions
-      .filter(
-        (t) =>
-          t.id !== transactionId &&
-          t.transaction_type === 'ADD' &&
-          t.type_id === typeId &&
-          t.weight_class_id === weightClassId
-      )
-      .reduce((sum, t) => sum + t.quantity, 0);
-
-    if (newQuantity + currentAdd < totalOutgoing) {
+    ) {
       throw new Error(
-        `Jumlah tidak cukup. Total keluar: ${totalOutgoing}, total masuk lainnya: ${currentAdd}.`
+        `Stok tidak cukup: hanya ${Math.max(available, 0)} ${getSkuLabel(
+          updated.type_id,
+          updated.weight_class_id
+        )} tersedia`
       );
     }
   };
 
+  // Lobster type and weight class label for messages
+  const getSkuLabel = (typeId, weightClassId) => {
+    const typeName =
+      lobsterTypes.find((type) => type.id === typeId)?.name || 'lobster';
+    const weightRange = weightClasses.find(
+      (wc) => wc.id === weightClassId
+    )?.weight_range;
+    return weightRange ? `${typeName} (${weightRange})` : typeName;
+  };
+
   // Submit edit form
   const handleEditSubmit = async () => {
     if (!editingTransaction) return;
@@ -320,30 +520,34 @@ export default function Transaksi() {
         throw new Error('Tanggal transaksi diperlukan');
       }
 
-      // Validate stock for ADD transactions
-      if (editingTransaction.transaction_type === 'ADD') {
-        await validateStock(
-          editingTransaction.id,
-          editForm.type_id,
-          editForm.weight_class_id,
-          Number(editForm.quantity)
-        );
-      }
+      const updated = {
+        transaction_type: editForm.transaction_type,
+        type_id: editForm.type_id,
+        weight_class_id: editForm.weight_class_id,
+        quantity: Number(editForm.quantity),
+      };
+      await validateEditStock(editingTransaction, updated);
 
-      const { error } = await supabase
-        .from('transactions')
-        .update({
-          transaction_type: editForm.transaction_type,
-          type_id: editForm.type_id,
-          weight_class_id: editForm.weight_class_id,
-          quantity: Number(editForm.quantity),
-          transaction_date: new Date(editForm.transaction_date).toISOString(),
-          destination: editForm.destination || null,
-          notes: editForm.notes || null,
-        })
-        .eq('id', editingTransaction.id);
+      // Reverses the original effect on inventory and applies the new one
+      const { error } = await supabase.rpc('edit_transaction', {
+        p_transaction_id: editingTransaction.id,
+        p_type_id: updated.type_id,
+        p_weight_class_id: updated.weight_class_id,
+        p_quantity: updated.quantity,
+        p_transaction_type: updated.transaction_type,
+        p_destination: editForm.destination || null,
+        p_notes: editForm.notes ? { note: editForm.notes } : null,
+        p_transaction_date: new Date(editForm.transaction_date).toISOString(),
+      });
 
-      if (error) throw error;
+      if (error) {
+        throw new Error(
+          getInventoryErrorMessage(
+            error,
+            getSkuLabel(updated.type_id, updated.weight_class_id)
+          )
+        );
+      }
 
       toast.success('Transaksi Berhasil Diperbarui');
       setEditModalOpen(false);
@@ -356,9 +560,68 @@ export default function Transaksi() {
     }
   };
 
-  // Normalize destination
-  const getDestinationDisplay = useCallback((destination) => {
-    return destination || 'Tidak Ada';
+  // Void a transaction with a compensating entry
+  const handleVoidSubmit = async () => {
+    if (!voidingTransaction) return;
+
+    try {
+      setIsVoiding(true);
+      const { error } = await supabase.rpc('void_transaction', {
+        p_transaction_id: voidingTransaction.id,
+        p_reason: voidReason || null,
+      });
+
+      if (error) {
+        throw new Error(
+          getInventoryErrorMessage(
+            error,
+            getSkuLabel(
+              voidingTransaction.type_id,
+              voidingTransaction.weight_class_id
+            )
+          )
+        );
+      }
+
+      toast.success('Transaksi Berhasil Dibatalkan');
+      setVoidModalOpen(false);
+      setVoidingTransaction(null);
+      // Real-time subscription will trigger fetchTransactions
+    } catch (error) {
+      toast.error('Gagal Membatalkan Transaksi', {
+        description: error.message,
+      });
+    } finally {
+      setIsVoiding(false);
+    }
+  };
+
+  // Transfers show their route; otherwise the registered customer or
+  // supplier first, then the free-text destination
+  const getDestinationDisplay = useCallback((transaction) => {
+    if (transaction.transaction_type === 'TRANSFER') {
+      return `${transaction.location?.name || 'Tidak Diketahui'} → ${
+        transaction.to_location?.name || 'Tidak Diketahui'
+      }`;
+    }
+    return (
+      transaction.customers?.name ||
+      transaction.suppliers?.name ||
+      transaction.destination ||
+      'Tidak Ada'
+    );
+  }, []);
+
+  // Reclassifications show the old and the new weight class
+  const getWeightClassDisplay = useCallback((transaction) => {
+    const weightRange = transaction.weight_classes?.weight_range;
+    if (!weightRange) return 'Tidak Ada';
+    if (transaction.transaction_type === 'RECLASSIFY') {
+      return `${weightRange} → ${
+        transaction.to_weight_class?.weight_range || 'Tidak Diketahui'
+      } gram`;
+    }
+    return `${weightRange} gram`;
   }, []);
 
   // Normalize notes
@@ -381,6 +644,16 @@ export default function Transaksi() {
         return 'text-gray-500';
       case 'DAMAGED':
         return 'text-orange-500';
+      case 'TRANSFER':
+        return 'text-blue-500';
+      case 'RECLASSIFY':
+        return 'text-teal-500';
+      case 'ADJUSTMENT_IN':
+        return 'text-green-700 dark:text-green-400';
+      case 'ADJUSTMENT_OUT':
+        return 'text-red-700 dark:text-red-400';
+      case 'VOID':
+        return 'text-purple-500';
       default:
         return 'text-gray-900 dark:text-gray-100';
     }
@@ -392,9 +665,28 @@ export default function Transaksi() {
     DISTRIBUTE: 'Distribusi',
     DEATH: 'Kematian',
     DAMAGED: 'Kerusakan',
+    TRANSFER: 'Transfer',
+    RECLASSIFY: 'Reklasifikasi',
+    ADJUSTMENT_IN: 'Penyesuaian Masuk',
+    ADJUSTMENT_OUT: 'Penyesuaian Keluar',
+    VOID: 'Pembatalan',
     all: 'Semua Jenis Transaksi',
   };
 
+  const getSupplierName = useCallback(
+    (supplierId) =>
+      suppliers.find((supplier) => supplier.id === supplierId)?.name ||
+      'Tidak Diketahui',
+    [suppliers]
+  );
+
+  const getCustomerName = useCallback(
+    (customerId) =>
+      customers.find((customer) => customer.id === customerId)?.name ||
+      'Tidak Diketahui',
+    [customers]
+  );
+
   // Export transactions to PDF
   const exportToPDF = useCallback(async () => {
     if (transactions.length === 0) {
@@ -425,6 +717,12 @@ export default function Transaksi() {
               transactionTypeDisplay[filters.transactionType]
             }`
           : '',
+        filters.supplier !== 'all'
+          ? `Pemasok: ${getSupplierName(filters.supplier)}`
+          : '',
+        filters.customer !== 'all'
+          ? `Pelanggan: ${getCustomerName(filters.customer)}`
+          : '',
         `Lobster Masuk: ${incomingStock} Ekor | Lobster Keluar: ${outgoingStock} Ekor`,
       ]
         .filter(Boolean)
@@ -447,8 +745,14 @@ export default function Transaksi() {
           transaction_date,
           notes,
           destination,
+          voided_at,
+          suppliers (name),
+          customers (name),
+          location:locations!location_id (name),
+          to_location:locations!to_location_id (name),
           lobster_types (name),
-          weight_classes (weight_range)
+          weight_classes!weight_class_id (weight_range, min_grams, max_grams),
+          to_weight_class:weight_classes!to_weight_class_id (weight_range)
         `
         )
         .order('transaction_date', { ascending: false });
@@ -480,10 +784,24 @@ export default function Transaksi() {
       if (filters.transactionType !== 'all') {
         query.eq('transaction_type', filters.transactionType);
       }
+      if (filters.supplier !== 'all') {
+        query.eq('supplier_id', filters.supplier);
+      }
+      if (filters.customer !== 'all') {
+        query.eq('customer_id', filters.customer);
+      }
 
       const { data, error } = await query;
       if (error) throw error;
 
+      // Newest first; rows posted at the same moment list weight classes
+      // from light to heavy
+      const rows = (data || []).sort(
+        (a, b) =>
+          new Date(b.transaction_date) - new Date(a.transaction_date) ||
+          compareWeightClasses(a.weight_classes, b.weight_classes)
+      );
+
       autoTable(doc, {
         startY: 27 + wrappedText.length * 5 + 7,
         head: [
@@ -497,12 +815,14 @@ export default function Transaksi() {
             'Tanggal',
           ],
         ],
-        body: (data || []).map((t) => [
-          transactionTypeDisplay[t.transaction_type] || 'Tidak Diketahui',
+        body: rows.map((t) => [
+          `${transactionTypeDisplay[t.transaction_type] || 'Tidak Diketahui'}${
+            t.voided_at ? ' (Dibatalkan)' : ''
+          }`,
           t.lobster_types?.name || 'Tidak Ada',
-          `${t.weight_classes?.weight_range} gram` || 'Tidak Ada',
+          getWeightClassDisplay(t),
           `${Math.abs(t.quantity) ?? 0} Ekor`,
-          getDestinationDisplay(t.destination),
+          getDestinationDisplay(t),
           getNotesDisplay(t.notes),
           t.transaction_date
             ? format(new Date(t.transaction_date), 'dd MMMM yyyy', {
@@ -549,6 +869,20 @@ export default function Transaksi() {
       } else {
         filenameParts.push('SemuaTransaksi');
       }
+      if (filters.supplier !== 'all') {
+        filenameParts.push(
+          getSupplierName(filters.supplier)
+            .replace(/\s+/g, '_')
+            .replace(/[^a-zA-Z0-9_-]/g, '')
+        );
+      }
+      if (filters.customer !== 'all') {
+        filenameParts.push(
+          getCustomerName(filters.customer)
+            .replace(/\s+/g, '_')
+            .replace(/[^a-zA-Z0-9_-]/g, '')
+        );
+      }
       const filename = `${filenameParts.join('_')}.pdf`;
 
       doc.save(filename);
@@ -562,13 +896,95 @@ export default function Transaksi() {
     }
   }, [
     filters,
+    getSupplierName,
+    getCustomerName,
     incomingStock,
     outgoingStock,
     transactions,
     getDestinationDisplay,
+    getWeightClassDisplay,
     getNotesDisplay,
   ]);
 
+  // Print the delivery note for a shipment or a standalone distribution.
+  // The number is issued once and reused on every reprint.
+  const printDeliveryNote = async (t) => {
+    try {
+      setPrintingNoteId(t.shipment_id || t.id);
+      const { data: note, error: noteError } = await supabase.rpc(
+        'issue_delivery_note',
+        t.shipment_id
+          ? { p_shipment_id: t.shipment_id }
+          : { p_transaction_id: t.id }
+      );
+      if (noteError) throw noteError;
+
+      let lines = [t];
+      if (t.shipment_id) {
+        const { data, error } = await supabase
+          .from('transactions')
+          .select(
+            'quantity, lobster_types (name), weight_classes!weight_class_id (weight_range, min_grams, max_grams)'
+          )
+          .eq('shipment_id', t.shipment_id)
+          .is('voided_at', null);
+        if (error) throw error;
+        lines = data || [];
+      }
+
+      const doc = createDeliveryNotePDF({
+        note,
+        destination: t.shipments?.destination || t.destination,
+        date: t.shipments?.shipment_date || t.transaction_date,
+        notes: getNotesDisplay(t.notes),
+        lines,
+      });
+      const filename = getDocumentFilename(note.number);
+      doc.save(filename);
+      toast.success('Surat Jalan Berhasil Dicetak', {
+        description: `Surat jalan ${note.number} disimpan sebagai ${filename}`,
+      });
+    } catch (error) {
+      toast.error('Gagal Mencetak Surat Jalan', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setPrintingNoteId(null);
+    }
+  };
+
+  // Download the goods receipt of an ADD transaction
+  const printGoodsReceipt = async (t) => {
+    try {
+      setPrintingNoteId(t.id);
+      const { data: receipt, error } = await supabase.rpc(
+        'issue_goods_receipt',
+        { p_transaction_id: t.id }
+      );
+      if (error) throw error;
+
+      const filename = getDocumentFilename(receipt.number);
+      createGoodsReceiptPDF(receipt).save(filename);
+      // The receipt covers the whole batch, which can no longer be edited
+      setTransactions((prev) =>
+        prev.map((row) =>
+          row.id === t.id || (t.batch_id && row.batch_id === t.batch_id)
+            ? { ...row, has_goods_receipt: true }
+            : row
+        )
+      );
+      toast.success('Bukti Penerimaan Berhasil Dicetak', {
+        description: `Bukti penerimaan ${receipt.number} disimpan sebagai ${filename}`,
+      });
+    } catch (error) {
+      toast.error('Gagal Mencetak Bukti Penerimaan', {
+        description: error.message || 'Terjadi kesalahan tak terduga.',
+      });
+    } finally {
+      setPrintingNoteId(null);
+    }
+  };
+
   // Clear all filters
   const clearFilters = useCallback(() => {
     console.log('Clearing filters');
@@ -577,6 +993,8 @@ export default function Transaksi() {
       endDate: '',
       lobsterType: 'all',
       transactionType: 'all',
+      supplier: 'all',
+      customer: 'all',
       page: 1,
     });
     setTransactions([]);
@@ -612,10 +1030,34 @@ export default function Transaksi() {
         )
         .subscribe();
 
-      return () => supabase.removeChannel(subscription);
+      const unsubscribeReference = subscribeToReferenceChanges(
+        supabase,
+        fetchReferenceData
+      );
+
+      return () => {
+        supabase.removeChannel(subscription);
+        unsubscribeReference();
+      };
     }
   }, [user, error, fetchTransactions]);
 
+  // Apply supplier or customer filters passed in the URL, e.g. from the
+  // supplier list or a customer detail page
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const supplier = params.get('supplier');
+    const customer = params.get('customer');
+    if (supplier || customer) {
+      setFilters((prev) => ({
+        ...prev,
+        supplier: supplier || 'all',
+        customer: customer || 'all',
+        page: 1,
+      }));
+    }
+  }, []);
+
   // Fetch transactions when filters or itemsPerPage change
   useEffect(() => {
     if (user && !error) {
@@ -777,13 +1219,49 @@ export default function Transaksi() {
               </SelectTrigger>
               <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
                 <SelectItem value="all">Semua Jenis Transaksi</SelectItem>
-                {transactionTypes.map((type) => (
+                {filterTransactionTypes.map((type) => (
                   <SelectItem key={type} value={type}>
                     {transactionTypeDisplay[type]}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+            <Select
+              value={filters.supplier}
+              onValueChange={(value) =>
+                setFilters((prev) => ({ ...prev, supplier: value, page: 1 }))
+              }
+            >
+              <SelectTrigger className="w-[180px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                <SelectValue placeholder="Pilih Pemasok" />
+              </SelectTrigger>
+              <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                <SelectItem value="all">Semua Pemasok</SelectItem>
+                {suppliers.map((supplier) => (
+                  <SelectItem key={supplier.id} value={supplier.id}>
+                    {supplier.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select
+              value={filters.customer}
+              onValueChange={(value) =>
+                setFilters((prev) => ({ ...prev, customer: value, page: 1 }))
+              }
+            >
+              <SelectTrigger className="w-[180px] bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                <SelectValue placeholder="Pilih Pelanggan" />
+              </SelectTrigger>
+              <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                <SelectItem value="all">Semua Pelanggan</SelectItem>
+                {customers.map((customer) => (
+                  <SelectItem key={customer.id} value={customer.id}>
+                    {customer.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
             <Button
               variant="outline"
               onClick={clearFilters}
@@ -867,54 +1345,167 @@ export default function Transaksi() {
                     </TableCell>
                   </TableRow>
                 ) : (
-                  transactions.map((t) => (
-                    <TableRow
-                      key={`${t.id}`}
-                      className="hover:bg-gray-50 dark:hover:bg-gray-700"
-                    >
-                      <TableCell className="font-medium">
-                        {transactionTypeDisplay[t.transaction_type] ||
-                          'Tidak Diketahui'}
-                      </TableCell>
-                      <TableCell>
-                        {t.lobster_types?.name || 'Tidak Ada'}
-                      </TableCell>
-                      <TableCell>
-                        {`${t.weight_classes?.weight_range} gram` ||
-                          'Tidak Ada'}
-                      </TableCell>
-                      <TableCell
-                        className={getTransactionColor(t.transaction_type)}
-                      >
-                        {Math.abs(t.quantity) ?? 0} Ekor
-                      </TableCell>
-                      <TableCell>
-                        {getDestinationDisplay(t.destination)}
-                      </TableCell>
-                      <TableCell>{getNotesDisplay(t.notes)}</TableCell>
-                      <TableCell className="text-right">
-                        {t.transaction_date
-                          ? format(
-                              new Date(t.transaction_date),
-                              'dd MMMM yyyy',
-                              {
-                                locale: id,
+                  transactions.map((t, index) => (
+                    <Fragment key={`${t.id}`}>
+                      {startsShipmentGroup(t, index) && (
+                        <TableRow className="bg-blue-50 hover:bg-blue-50 dark:bg-gray-900 dark:hover:bg-gray-900">
+                          <TableCell
+                            colSpan={8}
+                            className="font-semibold text-blue-700 dark:text-blue-300"
+                          >
+                            Pengiriman ke{' '}
+                            {t.shipments?.destination || t.destination}
+                            <span className="ml-2 font-normal text-gray-600 dark:text-gray-400">
+                              {format(
+                                new Date(
+                                  t.shipments?.shipment_date ||
+                                    t.transaction_date
+                                ),
+                                'dd MMMM yyyy',
+                                { locale: id }
+                              )}{' '}
+                              · {shipmentSummaries[t.shipment_id].lines} baris ·{' '}
+                              {shipmentSummaries[t.shipment_id].total} Ekor
+                            </span>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => printDeliveryNote(t)}
+                              className="float-right border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                              disabled={
+                                tableLoading || printingNoteId === t.shipment_id
                               }
-                            )
-                          : 'Tidak Ada'}
-                      </TableCell>
-                      <TableCell className="text-right">
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => openEditModal(t)}
-                          className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
-                          disabled={tableLoading}
+                            >
+                              Surat Jalan
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                      <TableRow
+                        className={`hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                          t.voided_at ? 'text-gray-400 dark:text-gray-500' : ''
+                        }`}
+                      >
+                        <TableCell
+                          className={`font-medium ${
+                            t.shipment_id ? 'pl-6' : ''
+                          }`}
                         >
-                          Edit
-                        </Button>
-                      </TableCell>
-                    </TableRow>
+                          <span className={t.voided_at ? 'line-through' : ''}>
+                            {transactionTypeDisplay[t.transaction_type] ||
+                              'Tidak Diketahui'}
+                          </span>
+                          {t.voided_at && (
+                            <span className="ml-2 rounded bg-purple-100 px-1.5 py-0.5 text-xs text-purple-700 dark:bg-purple-900 dark:text-purple-300">
+                              Dibatalkan
+                            </span>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {t.lobster_types?.name || 'Tidak Ada'}
+                        </TableCell>
+                        <TableCell>{getWeightClassDisplay(t)}</TableCell>
+                        <TableCell
+                          className={getTransactionColor(t.transaction_type)}
+                        >
+                          {Math.abs(t.quantity) ?? 0} Ekor
+                        </TableCell>
+                        <TableCell>{getDestinationDisplay(t)}</TableCell>
+                        <TableCell>{getNotesDisplay(t.notes)}</TableCell>
+                        <TableCell className="text-right">
+                          {t.transaction_date
+                            ? format(
+                                new Date(t.transaction_date),
+                                'dd MMMM yyyy',
+                                {
+                                  locale: id,
+                                }
+                              )
+                            : 'Tidak Ada'}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          <div className="flex justify-end gap-2">
+                            {t.transaction_type === 'ADD' && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => printGoodsReceipt(t)}
+                                className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                disabled={
+                                  tableLoading || printingNoteId === t.id
+                                }
+                              >
+                                Bukti Terima
+                              </Button>
+                            )}
+                            {t.transaction_type === 'DISTRIBUTE' &&
+                              !t.shipment_id &&
+                              !t.voided_at && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => printDeliveryNote(t)}
+                                  className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                  disabled={
+                                    tableLoading || printingNoteId === t.id
+                                  }
+                                >
+                                  Surat Jalan
+                                </Button>
+                              )}
+                            {hasPermission(role, 'postMovement') &&
+                              LOT_CONSUMING_TRANSACTION_TYPES.includes(
+                                t.transaction_type
+                              ) &&
+                              !isLocked(t) && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => openLotModal(t)}
+                                  className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                  disabled={tableLoading}
+                                >
+                                  Lot
+                                </Button>
+                              )}
+                            {(!hasPermission(role, 'editTransaction') ||
+                              !isEditable(t)) && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setHistoryTransaction(t)}
+                                className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                disabled={tableLoading}
+                              >
+                                Riwayat
+                              </Button>
+                            )}
+                            {hasPermission(role, 'editTransaction') && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => openEditModal(t)}
+                                className="border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900"
+                                disabled={tableLoading || !isEditable(t)}
+                              >
+                                Edit
+                              </Button>
+                            )}
+                            {hasPermission(role, 'voidTransaction') && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => openVoidModal(t)}
+                                className="border-gray-300 dark:border-gray-600 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900"
+                                disabled={tableLoading || isLocked(t)}
+                              >
+                                Batalkan
+                              </Button>
+                            )}
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    </Fragment>
                   ))
                 )}
               </TableBody>
@@ -968,7 +1559,7 @@ export default function Transaksi() {
 
         {/* Edit Transaction Modal */}
         <Dialog open={editModalOpen} onOpenChange={setEditModalOpen}>
-          <DialogContent className="sm:max-w-[600px] bg-white dark:bg-gray-800">
+          <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800">
             <DialogHeader>
               <DialogTitle className="text-gray-900 dark:text-gray-100">
                 Edit Transaksi
@@ -1021,11 +1612,16 @@ export default function Transaksi() {
                     <SelectValue placeholder="Pilih Jenis Lobster" />
                   </SelectTrigger>
                   <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                    {lobsterTypes.map((type) => (
-                      <SelectItem key={type.id} value={type.id}>
-                        {type.name}
-                      </SelectItem>
-                    ))}
+                    {lobsterTypes
+                      .filter(
+                        (type) =>
+                          !type.archived_at || type.id === editForm.type_id
+                      )
+                      .map((type) => (
+                        <SelectItem key={type.id} value={type.id}>
+                          {type.name}
+                        </SelectItem>
+                      ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -1048,11 +1644,16 @@ export default function Transaksi() {
                     <SelectValue placeholder="Pilih Kelas Berat" />
                   </SelectTrigger>
                   <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                    {weightClasses.map((wc) => (
-                      <SelectItem key={wc.id} value={wc.id}>
-                        {wc.weight_range} gram
-                      </SelectItem>
-                    ))}
+                    {weightClasses
+                      .filter(
+                        (wc) =>
+                          !wc.archived_at || wc.id === editForm.weight_class_id
+                      )
+                      .map((wc) => (
+                        <SelectItem key={wc.id} value={wc.id}>
+                          {wc.weight_range} gram
+                        </SelectItem>
+                      ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -1105,6 +1706,10 @@ export default function Transaksi() {
                     handleEditFormChange('destination', e.target.value)
                   }
                   className="col-span-3 bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                  disabled={Boolean(
+                    editingTransaction?.customer_id ||
+                      editingTransaction?.supplier_id
+                  )}
                   placeholder="Opsional"
                 />
               </div>
@@ -1126,6 +1731,19 @@ export default function Transaksi() {
                 />
               </div>
             </div>
+            {editingTransaction && (
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+                <h3 className="mb-3 text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  Riwayat Perubahan
+                </h3>
+                <TransactionHistory
+                  transactionId={editingTransaction.id}
+                  lobsterTypes={lobsterTypes}
+                  weightClasses={weightClasses}
+                  transactionTypeDisplay={transactionTypeDisplay}
+                />
+              </div>
+            )}
             <DialogFooter>
               <Button
                 variant="outline"
@@ -1143,6 +1761,192 @@ export default function Transaksi() {
             </DialogFooter>
           </DialogContent>
         </Dialog>
+
+        {/* Lot Allocation Modal */}
+        <Dialog
+          open={Boolean(lotTransaction)}
+          onOpenChange={(open) => !open && setLotTransaction(null)}
+        >
+          <DialogContent className="sm:max-w-[500px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Atur Lot
+              </DialogTitle>
+            </DialogHeader>
+            {lotTransaction && (
+              <div className="grid gap-4 py-4">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {transactionTypeDisplay[lotTransaction.transaction_type]}{' '}
+                  {Math.abs(lotTransaction.quantity)} Ekor{' '}
+                  {lotTransaction.lobster_types?.name} (
+                  {lotTransaction.weight_classes?.weight_range} gram). Secara
+                  bawaan diambil dari lot terlama; ubah jumlah per lot untuk
+                  memilih sendiri.
+                </p>
+                {lotOptions.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Tidak ada lot dengan stok di lokasi ini.
+                  </p>
+                ) : (
+                  lotOptions.map((lot, index) => (
+                    <div
+                      key={lot.id}
+                      className="grid grid-cols-[1fr_96px] items-center gap-3"
+                    >
+                      <Label
+                        htmlFor={`lot-${lot.id}`}
+                        className="text-gray-900 dark:text-gray-100"
+                      >
+                        <span className="font-mono">{lot.code}</span>
+                        <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">
+                          Diterima{' '}
+                          {format(new Date(lot.received_at), 'dd MMM yyyy', {
+                            locale: id,
+                          })}{' '}
+                          · tersedia {lot.available} Ekor
+                        </span>
+                      </Label>
+                      <Input
+                        id={`lot-${lot.id}`}
+                        type="number"
+                        min="0"
+                        max={lot.available}
+                        value={lot.quantity}
+                        onChange={(e) =>
+                          setLotOptions((prev) =>
+                            prev.map((option, i) =>
+                              i === index
+                                ? { ...option, quantity: e.target.value }
+                                : option
+                            )
+                          )
+                        }
+                        className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                      />
+                    </div>
+                  ))
+                )}
+                <p
+                  className={`text-sm ${
+                    lotAllocatedTotal === Math.abs(lotTransaction.quantity)
+                      ? 'text-gray-600 dark:text-gray-400'
+                      : 'text-red-500 dark:text-red-400'
+                  }`}
+                >
+                  Terbagi {lotAllocatedTotal} dari{' '}
+                  {Math.abs(lotTransaction.quantity)} Ekor
+                </p>
+              </div>
+            )}
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setLotTransaction(null)}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+                disabled={isSavingLots}
+              >
+                Batal
+              </Button>
+              <Button
+                onClick={handleLotSubmit}
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+                disabled={
+                  isSavingLots ||
+                  !lotTransaction ||
+                  lotAllocatedTotal !== Math.abs(lotTransaction.quantity)
+                }
+              >
+                {isSavingLots ? 'Menyimpan...' : 'Simpan'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+
+        {/* Read-only History Modal */}
+        <Dialog
+          open={!!historyTransaction}
+          onOpenChange={(open) => !open && setHistoryTransaction(null)}
+        >
+          <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Riwayat Perubahan
+              </DialogTitle>
+            </DialogHeader>
+            {historyTransaction && (
+              <TransactionHistory
+                transactionId={historyTransaction.id}
+                lobsterTypes={lobsterTypes}
+                weightClasses={weightClasses}
+                transactionTypeDisplay={transactionTypeDisplay}
+              />
+            )}
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setHistoryTransaction(null)}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+              >
+                Tutup
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+
+        {/* Void Transaction Modal */}
+        <Dialog open={voidModalOpen} onOpenChange={setVoidModalOpen}>
+          <DialogContent className="sm:max-w-[500px] bg-white dark:bg-gray-800">
+            <DialogHeader>
+              <DialogTitle className="text-gray-900 dark:text-gray-100">
+                Batalkan Transaksi
+              </DialogTitle>
+            </DialogHeader>
+            {voidingTransaction && (
+              <div className="grid gap-4 py-4">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {transactionTypeDisplay[voidingTransaction.transaction_type]}{' '}
+                  {Math.abs(voidingTransaction.quantity)} Ekor{' '}
+                  {voidingTransaction.lobster_types?.name} (
+                  {voidingTransaction.weight_classes?.weight_range} gram) akan
+                  dibatalkan. Transaksi pembatalan akan dicatat dan stok
+                  dikembalikan. Kedua transaksi tidak dapat diubah setelahnya.
+                </p>
+                <div className="grid gap-2">
+                  <Label
+                    htmlFor="void_reason"
+                    className="text-gray-900 dark:text-gray-100"
+                  >
+                    Alasan (Opsional)
+                  </Label>
+                  <Textarea
+                    id="void_reason"
+                    value={voidReason}
+                    onChange={(e) => setVoidReason(e.target.value)}
+                    className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600"
+                    placeholder="Misalnya, salah input jumlah"
+                  />
+                </div>
+              </div>
+            )}
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setVoidModalOpen(false)}
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100"
+                disabled={isVoiding}
+              >
+                Kembali
+              </Button>
+              <Button
+                onClick={handleVoidSubmit}
+                className="bg-red-600 hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 text-white"
+                disabled={isVoiding}
+              >
+                {isVoiding ? 'Membatalkan...' : 'Batalkan Transaksi'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
       </SidebarInset>
     </SidebarProvider>
   );
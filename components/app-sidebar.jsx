@@ -3,15 +3,21 @@
 import * as React from 'react';
 import {
   BookOpen,
+  Boxes,
   Bot,
+  ClipboardCheck,
   Command,
+  Fish,
   Frame,
   LifeBuoy,
   Map,
   PieChart,
+  Scale,
   Send,
   Settings2,
+  ShieldCheck,
   SquareTerminal,
+  Users,
 } from 'lucide-react';
 
 import { NavMain } from '@/components/nav-main';
@@ -27,13 +33,10 @@ import {
   SidebarMenuButton,
   SidebarMenuItem,
 } from '@/components/ui/sidebar';
+import { useProfile } from '@/hooks/use-profile';
+import { DEFAULT_ROLE, canAccessRoute } from '@/lib/roles';
 
 const data = {
-  user: {
-    name: 'admin',
-    email: 'm@example.com',
-    avatar: '/avatars/shadcn.jpg',
-  },
   navMain: [
     {
       title: 'Dashboard',
@@ -51,10 +54,51 @@ const data = {
       url: '/transaksi',
       icon: BookOpen,
     },
+    {
+      title: 'Stok Opname',
+      url: '/opname',
+      icon: ClipboardCheck,
+    },
+    {
+      title: 'Lot',
+      url: '/lot',
+      icon: Boxes,
+    },
+    {
+      title: 'Rekonsiliasi',
+      url: '/rekonsiliasi',
+      icon: Scale,
+    },
+    {
+      title: 'Pemasok',
+      url: '/pemasok',
+      icon: Fish,
+    },
+    {
+      title: 'Pelanggan',
+      url: '/pelanggan',
+      icon: Users,
+    },
+    {
+      title: 'Data Master',
+      url: '/master',
+      icon: Settings2,
+    },
+    {
+      title: 'Pengguna',
+      url: '/pengguna',
+      icon: ShieldCheck,
+    },
   ],
 };
 
 export function AppSidebar({ ...props }) {
+  const profile = useProfile();
+  const role = profile?.role || DEFAULT_ROLE;
+  const navItems = data.navMain.filter((item) =>
+    canAccessRoute(role, item.url)
+  );
+
   return (
     <Sidebar variant="inset" {...props}>
       <SidebarHeader>
@@ -75,10 +119,10 @@ export function AppSidebar({ ...props }) {
         </SidebarMenu>
       </SidebarHeader>
       <SidebarContent>
-        <NavMain items={data.navMain} />
+        <NavMain items={navItems} />
       </SidebarContent>
       <SidebarFooter>
-        <NavUser user={data.user} />
+        <NavUser profile={profile} />
       </SidebarFooter>
     </Sidebar>
   );
@@ -0,0 +1,155 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { usePathname } from 'next/navigation';
+import { supabase } from '@/lib/supabase';
+import { signOut } from '@/app/login/actions';
+import {
+  IDLE_TIMEOUT_MS,
+  IDLE_WARNING_MS,
+  LAST_ACTIVITY_COOKIE,
+  LAST_ACTIVITY_COOKIE_OPTIONS,
+} from '@/lib/session';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+// Input that counts as the user being present
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+
+// Activity is written at most this often, to keep cookie writes cheap
+const ACTIVITY_WRITE_INTERVAL_MS = 10 * 1000;
+
+// Pages that work without a session
+const PUBLIC_PATHS = ['/login', '/auth', '/error'];
+
+function readLastActivity() {
+  const match = document.cookie.match(
+    new RegExp(`(?:^|; )${LAST_ACTIVITY_COOKIE}=(\\d+)`)
+  );
+  return match ? Number(match[1]) : null;
+}
+
+function writeLastActivity(time = Date.now()) {
+  const { path, sameSite, maxAge } = LAST_ACTIVITY_COOKIE_OPTIONS;
+  document.cookie = `${LAST_ACTIVITY_COOKIE}=${time}; path=${path}; samesite=${sameSite}; max-age=${maxAge}`;
+}
+
+// Signs the user out after a period without activity, with a warning
+// beforehand. All tabs share the last-activity cookie, so activity in one
+// tab keeps the others signed in and the warning closes everywhere at once.
+// The middleware enforces the same timeout on the next request.
+export function IdleTimeout() {
+  const pathname = usePathname();
+  const [signedIn, setSignedIn] = useState(false);
+  const [remainingMs, setRemainingMs] = useState(null);
+
+  useEffect(() => {
+    supabase.auth
+      .getSession()
+      .then(({ data: { session } }) => setSignedIn(!!session));
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => setSignedIn(!!session)
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  const isPublicPath = PUBLIC_PATHS.some((path) => pathname.startsWith(path));
+  const active = signedIn && !isPublicPath;
+  const warning = remainingMs !== null && remainingMs <= IDLE_WARNING_MS;
+
+  const stayActive = useCallback(() => {
+    writeLastActivity();
+    setRemainingMs(null);
+  }, []);
+
+  // Record activity, except while the warning is open: then only the
+  // dialog's button keeps the session
+  useEffect(() => {
+    if (!active || warning) return;
+
+    const handleActivity = () => {
+      if (
+        Date.now() - (readLastActivity() || 0) >=
+        ACTIVITY_WRITE_INTERVAL_MS
+      ) {
+        writeLastActivity();
+      }
+    };
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true })
+    );
+    return () =>
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, handleActivity)
+      );
+  }, [active, warning]);
+
+  useEffect(() => {
+    if (!active) {
+      setRemainingMs(null);
+      return;
+    }
+
+    const check = () => {
+      const lastActivity = readLastActivity();
+      if (!lastActivity) {
+        writeLastActivity();
+        return;
+      }
+      const remaining = lastActivity + IDLE_TIMEOUT_MS - Date.now();
+      if (remaining <= 0) {
+        // The middleware sees the expired cookie, ends the session and shows
+        // the login page with the reason
+        window.location.assign('/login?reason=idle');
+        return;
+      }
+      setRemainingMs(remaining);
+    };
+    check();
+    const interval = setInterval(check, 1000);
+    return () => clearInterval(interval);
+  }, [active]);
+
+  return (
+    <Dialog
+      open={active && warning}
+      onOpenChange={(open) => !open && stayActive()}
+    >
+      <DialogContent className="sm:max-w-[420px] bg-white dark:bg-gray-800">
+        <DialogHeader>
+          <DialogTitle className="text-gray-900 dark:text-gray-100">
+            Sesi Akan Berakhir
+          </DialogTitle>
+          <DialogDescription>
+            Tidak ada aktivitas. Anda akan keluar otomatis dalam{' '}
+            {Math.max(0, Math.ceil((remainingMs || 0) / 1000))} detik.
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => signOut()}
+            className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            Keluar Sekarang
+          </Button>
+          <Button
+            onClick={stayActive}
+            className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white"
+          >
+            Tetap Masuk
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
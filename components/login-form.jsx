@@ -1,5 +1,6 @@
 'use client';
 import React, { useState } from 'react';
+import { unstable_rethrow } from 'next/navigation';
 import { cn } from '@/lib/utils';
 import { Button } from '@/components/ui/button';
 import {
@@ -11,23 +12,30 @@ import {
 } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { login } from '@/app/login/actions'; // assuming this is a client-safe function
+import { login } from '@/app/login/actions';
 
-export function LoginForm({ className, ...props }) {
+export function LoginForm({ className, notice, ...props }) {
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
 
   async function handleSubmit(e) {
     e.preventDefault();
     setIsLoading(true);
+    setError(null);
 
     const formData = new FormData(e.currentTarget);
     const email = formData.get('email');
     const password = formData.get('password');
 
     try {
-      await login({ email, password }); // make sure `login` accepts these parameters
-    } catch (err) {
-      console.error(err);
+      // On success the action redirects to the dashboard and never returns
+      const result = await login({ email, password });
+      if (result?.error) setError(result.error);
+    } catch (error) {
+      // The redirect after a successful sign-in arrives as an error too and
+      // must reach Next.js; anything else is a failed request
+      unstable_rethrow(error);
+      setError('Gagal masuk, silakan coba lagi');
     } finally {
       setIsLoading(false);
     }
@@ -37,14 +45,19 @@ export function LoginForm({ className, ...props }) {
     <div className={cn('flex flex-col gap-6', className)} {...props}>
       <Card>
         <CardHeader className="text-center">
-          <CardTitle className="text-xl">Welcome back</CardTitle>
+          <CardTitle className="text-xl">Selamat Datang</CardTitle>
           <CardDescription>
-            Enter your credentials to access your account
+            Masuk dengan email dan kata sandi Anda
           </CardDescription>
         </CardHeader>
         <CardContent>
           <form onSubmit={handleSubmit}>
             <div className="grid gap-6">
+              {notice && !error && (
+                <p className="rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-200">
+                  {notice}
+                </p>
+              )}
               <div className="grid gap-2">
                 <Label htmlFor="email">Email</Label>
                 <Input
@@ -57,18 +70,33 @@ export function LoginForm({ className, ...props }) {
               </div>
               <div className="grid gap-2">
                 <div className="flex items-center">
-                  <Label htmlFor="password">Password</Label>
+                  <Label htmlFor="password">Kata Sandi</Label>
                   <a
-                    href="#"
+                    href="/auth/reset-password"
                     className="ml-auto text-sm underline-offset-4 hover:underline"
                   >
-                    Forgot your password?
+                    Lupa kata sandi?
                   </a>
                 </div>
-                <Input id="password" type="password" name="password" required />
+                <Input
+                  id="password"
+                  type="password"
+                  name="password"
+                  autoComplete="current-password"
+                  aria-invalid={!!error}
+                  required
+                />
               </div>
+              {error && (
+                <p
+                  role="alert"
+                  className="text-red-500 dark:text-red-400 text-sm"
+                >
+                  {error}
+                </p>
+              )}
               <Button type="submit" disabled={isLoading} className="w-full">
-                {isLoading ? 'Loading...' : 'Login'}
+                {isLoading ? 'Memproses...' : 'Masuk'}
               </Button>
             </div>
           </form>
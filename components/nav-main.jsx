@@ -19,7 +19,6 @@ import {
   SidebarMenuSubItem,
 } from '@/components/ui/sidebar';
 import Link from 'next/link';
-import { ModeToggle } from './theme-toggle';
 
 export function NavMain({ items }) {
   return (
@@ -60,7 +59,6 @@ export function NavMain({ items }) {
             </SidebarMenuItem>
           </Collapsible>
         ))}
-        <ModeToggle />
       </SidebarMenu>
     </SidebarGroup>
   );
@@ -1,14 +1,6 @@
 'use client';
-import { createClient } from '@/utils/supabase/client';
 import { useRouter } from 'next/navigation';
-import {
-  BadgeCheck,
-  Bell,
-  ChevronsUpDown,
-  CreditCard,
-  LogOut,
-  Sparkles,
-} from 'lucide-react';
+import { ChevronsUpDown, LogOut, UserRound } from 'lucide-react';
 
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import {
@@ -26,18 +18,23 @@ import {
   SidebarMenuItem,
   useSidebar,
 } from '@/components/ui/sidebar';
-import { redirect } from 'next/navigation';
+import { ModeToggle } from '@/components/toggle-mode';
+import { getDisplayName, getInitials } from '@/lib/profiles';
+import { ROLES } from '@/lib/roles';
+import { signOut } from '@/app/login/actions';
 
-export function NavUser({ user }) {
+export function NavUser({ profile }) {
   const { isMobile } = useSidebar();
-  const supabase = createClient();
   const router = useRouter();
 
+  // Signs out on the server so the session cookies are cleared as well
   const handleLogout = async () => {
-    await supabase.auth.signOut();
-    router.push('/login');
+    await signOut();
   };
 
+  const name = profile ? getDisplayName(profile) : '';
+  const initials = profile ? getInitials(profile) : '';
+
   return (
     <SidebarMenu>
       <SidebarMenuItem>
@@ -48,12 +45,17 @@ export function NavUser({ user }) {
               className="data-[state=open]:bg-sidebar-accent data-[state=open]:text-sidebar-accent-foreground"
             >
               <Avatar className="h-8 w-8 rounded-lg">
-                <AvatarImage src={user.avatar} alt={user.name} />
-                <AvatarFallback className="rounded-lg">CN</AvatarFallback>
+                <AvatarImage
+                  src={profile?.avatar_url || undefined}
+                  alt={name}
+                />
+                <AvatarFallback className="rounded-lg">
+                  {initials}
+                </AvatarFallback>
               </Avatar>
               <div className="grid flex-1 text-left text-sm leading-tight">
-                <span className="truncate font-medium">{user.name}</span>
-                <span className="truncate text-xs">{user.email}</span>
+                <span className="truncate font-medium">{name}</span>
+                <span className="truncate text-xs">{profile?.email}</span>
               </div>
               <ChevronsUpDown className="ml-auto size-4" />
             </SidebarMenuButton>
@@ -67,18 +69,40 @@ export function NavUser({ user }) {
             <DropdownMenuLabel className="p-0 font-normal">
               <div className="flex items-center gap-2 px-1 py-1.5 text-left text-sm">
                 <Avatar className="h-8 w-8 rounded-lg">
-                  <AvatarImage src={user.avatar} alt={user.name} />
-                  <AvatarFallback className="rounded-lg">CN</AvatarFallback>
+                  <AvatarImage
+                    src={profile?.avatar_url || undefined}
+                    alt={name}
+                  />
+                  <AvatarFallback className="rounded-lg">
+                    {initials}
+                  </AvatarFallback>
                 </Avatar>
                 <div className="grid flex-1 text-left text-sm leading-tight">
-                  <span className="truncate font-medium">{user.name}</span>
-                  <span className="truncate text-xs">{user.email}</span>
+                  <span className="truncate font-medium">{name}</span>
+                  <span className="truncate text-xs">{profile?.email}</span>
                 </div>
               </div>
             </DropdownMenuLabel>
+            {profile?.role && (
+              <DropdownMenuLabel className="pt-0 text-xs font-normal text-muted-foreground">
+                Peran: {ROLES[profile.role]?.label}
+              </DropdownMenuLabel>
+            )}
+            <DropdownMenuSeparator />
+            <DropdownMenuGroup>
+              <DropdownMenuItem onClick={() => router.push('/profil')}>
+                <UserRound />
+                Profil Saya
+              </DropdownMenuItem>
+            </DropdownMenuGroup>
+            <div className="flex items-center justify-between px-2 py-1 text-sm">
+              Tema
+              <ModeToggle />
+            </div>
+            <DropdownMenuSeparator />
             <DropdownMenuItem onClick={handleLogout}>
               <LogOut />
-              Log out
+              Keluar
             </DropdownMenuItem>
           </DropdownMenuContent>
         </DropdownMenu>
@@ -0,0 +1,95 @@
+'use client';
+import React, { useState } from 'react';
+import { cn } from '@/lib/utils';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { requestPasswordReset } from '@/app/auth/actions';
+
+export function ResetPasswordForm({ className, ...props }) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentTo, setSentTo] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsLoading(true);
+    setError(null);
+
+    const email = new FormData(e.currentTarget).get('email');
+    const result = await requestPasswordReset({ email });
+    setIsLoading(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setSentTo(email);
+  }
+
+  return (
+    <div className={cn('flex flex-col gap-6', className)} {...props}>
+      <Card>
+        <CardHeader className="text-center">
+          <CardTitle className="text-xl">Lupa Kata Sandi</CardTitle>
+          <CardDescription>
+            Kami akan mengirim tautan untuk membuat kata sandi baru
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {sentTo ? (
+            <div className="grid gap-6 text-center text-sm">
+              <p>
+                Jika <span className="font-medium">{sentTo}</span> terdaftar,
+                tautan reset kata sandi sudah dikirim. Periksa kotak masuk email
+                Anda.
+              </p>
+              <a href="/login" className="underline-offset-4 hover:underline">
+                Kembali ke halaman masuk
+              </a>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <div className="grid gap-6">
+                <div className="grid gap-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="m@example.com"
+                    name="email"
+                    autoComplete="email"
+                    required
+                  />
+                </div>
+                {error && (
+                  <p
+                    role="alert"
+                    className="text-red-500 dark:text-red-400 text-sm"
+                  >
+                    {error}
+                  </p>
+                )}
+                <Button type="submit" disabled={isLoading} className="w-full">
+                  {isLoading ? 'Mengirim...' : 'Kirim Tautan Reset'}
+                </Button>
+                <a
+                  href="/login"
+                  className="text-center text-sm underline-offset-4 hover:underline"
+                >
+                  Kembali ke halaman masuk
+                </a>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+'use client';
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { cn } from '@/lib/utils';
+import { supabase } from '@/lib/supabase';
+import { MIN_PASSWORD_LENGTH } from '@/lib/profiles';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+
+// Password form for invited users and for password resets. Both arrive
+// here through /auth/confirm, which has already signed them in.
+export function SetPasswordForm({ className, ...props }) {
+  const router = useRouter();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const formData = new FormData(e.currentTarget);
+    const password = formData.get('password');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Kata sandi minimal ${MIN_PASSWORD_LENGTH} karakter`);
+      return;
+    }
+    if (password !== formData.get('confirmPassword')) {
+      setError('Konfirmasi kata sandi tidak cocok');
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    const { error } = await supabase.auth.updateUser({ password });
+    setIsLoading(false);
+    if (error) {
+      setError(
+        error.name === 'AuthSessionMissingError'
+          ? 'Tautan sudah tidak berlaku. Minta tautan baru dari halaman lupa kata sandi.'
+          : error.message
+      );
+      return;
+    }
+
+    toast.success('Kata Sandi Disimpan');
+    router.replace('/');
+    router.refresh();
+  }
+
+  return (
+    <div className={cn('flex flex-col gap-6', className)} {...props}>
+      <Card>
+        <CardHeader className="text-center">
+          <CardTitle className="text-xl">Atur Kata Sandi</CardTitle>
+          <CardDescription>
+            Buat kata sandi untuk masuk ke akun Anda
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit}>
+            <div className="grid gap-6">
+              <div className="grid gap-2">
+                <Label htmlFor="password">Kata Sandi Baru</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  name="password"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="confirmPassword">Ulangi Kata Sandi</Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  name="confirmPassword"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              {error && (
+                <p className="text-red-500 dark:text-red-400 text-sm">
+                  {error}
+                </p>
+              )}
+              <Button type="submit" disabled={isLoading} className="w-full">
+                {isLoading ? 'Menyimpan...' : 'Simpan Kata Sandi'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,469 @@
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { supabase } from '@/lib/supabase';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { toast } from 'sonner';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '@/components/ui/form';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { getInventoryErrorMessage } from '@/lib/inventory';
+import { getCurrentDateTime } from '@/lib/utils';
+
+const shipmentSchema = z.object({
+  customerId: z.string().min(1, 'Pelanggan wajib dipilih'),
+  locationId: z.string().min(1, 'Lokasi wajib dipilih'),
+  note: z.string().optional(),
+  shipmentDate: z
+    .string()
+    .min(1, 'Tanggal pengiriman wajib diisi')
+    .refine((val) => !isNaN(Date.parse(val)), {
+      message: 'Format tanggal tidak valid',
+    }),
+  lines: z
+    .array(
+      z.object({
+        typeId: z.string().min(1, 'Jenis lobster wajib diisi'),
+        weightClassId: z.string().min(1, 'Kelas berat wajib diisi'),
+        quantity: z.number().min(1, 'Jumlah harus minimal 1').int(),
+      })
+    )
+    .min(1, 'Tambahkan minimal satu baris'),
+});
+
+const emptyLine = { typeId: '', weightClassId: '', quantity: 1 };
+
+const defaultShipmentValues = () => ({
+  customerId: '',
+  locationId: '',
+  note: '',
+  shipmentDate: getCurrentDateTime(),
+  lines: [emptyLine],
+});
+
+const skuKey = (typeId, weightClassId) => `${typeId}:${weightClassId}`;
+
+export function ShipmentDialog({
+  lobsterTypes,
+  weightClasses,
+  customers,
+  locations,
+  onCreated,
+}) {
+  const [open, setOpen] = useState(false);
+  const [inventory, setInventory] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const form = useForm({
+    resolver: zodResolver(shipmentSchema),
+    defaultValues: defaultShipmentValues(),
+  });
+  const { fields, append, remove } = useFieldArray({
+    control: form.control,
+    name: 'lines',
+  });
+
+  // Fetch current stock for every type and weight class in one location
+  const fetchInventory = useCallback(async (locationId) => {
+    if (!locationId) {
+      setInventory({});
+      return {};
+    }
+    try {
+      const { data, error } = await supabase
+        .from('inventory')
+        .select('type_id, weight_class_id, quantity')
+        .eq('location_id', locationId);
+      if (error) throw error;
+      const stock = Object.fromEntries(
+        (data || []).map((row) => [
+          skuKey(row.type_id, row.weight_class_id),
+          row.quantity || 0,
+        ])
+      );
+      setInventory(stock);
+      return stock;
+    } catch (error) {
+      toast.error('Gagal Memuat Stok Tersedia', { description: error.message });
+      return null;
+    }
+  }, []);
+
+  // Ship from the first location unless another one is picked
+  useEffect(() => {
+    if (open && !form.getValues('locationId') && locations.length > 0) {
+      form.setValue('locationId', locations[0].id);
+    }
+  }, [open, form, locations]);
+
+  const locationId = form.watch('locationId');
+  useEffect(() => {
+    if (open) fetchInventory(locationId);
+  }, [open, locationId, fetchInventory]);
+
+  // Requested quantity per SKU across all lines
+  const lines = form.watch('lines');
+  const requested = useMemo(
+    () =>
+      (lines || []).reduce((acc, line) => {
+        if (!line.typeId || !line.weightClassId) return acc;
+        const key = skuKey(line.typeId, line.weightClassId);
+        acc[key] = (acc[key] || 0) + (line.quantity || 0);
+        return acc;
+      }, {}),
+    [lines]
+  );
+  const shortages = Object.entries(requested).filter(
+    ([key, quantity]) => (inventory[key] || 0) < quantity
+  );
+
+  const getSkuLabel = (typeId, weightClassId) => {
+    const typeName = lobsterTypes.find((type) => type.id === typeId)?.name;
+    const weightRange = weightClasses.find(
+      (wc) => wc.id === weightClassId
+    )?.weight_range;
+    return `${typeName} (${weightRange})`;
+  };
+
+  const submitShipment = async (values) => {
+    try {
+      setFormError(null);
+      setIsSubmitting(true);
+
+      // Lines of the same SKU are checked against stock together
+      const stock = (await fetchInventory(values.locationId)) || inventory;
+      for (const [key, quantity] of Object.entries(requested)) {
+        const available = stock[key] || 0;
+        if (available < quantity) {
+          const [typeId, weightClassId] = key.split(':');
+          throw new Error(
+            `Stok tidak cukup: hanya ${available} ${getSkuLabel(
+              typeId,
+              weightClassId
+            )} tersedia di ${
+              locations.find((location) => location.id === values.locationId)
+                ?.name
+            }`
+          );
+        }
+      }
+
+      const { error } = await supabase.rpc('create_shipment', {
+        p_destination: null,
+        p_customer_id: values.customerId,
+        p_lines: values.lines.map((line) => ({
+          type_id: line.typeId,
+          weight_class_id: line.weightClassId,
+          quantity: line.quantity,
+        })),
+        p_notes: values.note ? { note: values.note } : null,
+        p_shipment_date: new Date(values.shipmentDate).toISOString(),
+        p_location_id: values.locationId,
+      });
+      if (error) throw new Error(getInventoryErrorMessage(error, 'lobster'));
+
+      const total = values.lines.reduce((sum, line) => sum + line.quantity, 0);
+      form.reset({
+        ...defaultShipmentValues(),
+        locationId: values.locationId,
+      });
+      setOpen(false);
+      onCreated?.();
+      toast.success('Pengiriman Berhasil', {
+        description: `${total} Ekor dalam ${
+          values.lines.length
+        } baris dikirim ke ${
+          customers.find((customer) => customer.id === values.customerId)?.name
+        }.`,
+        action: {
+          label: 'Lihat Transaksi',
+          onClick: () => (window.location.href = '/transaksi'),
+        },
+      });
+    } catch (error) {
+      setFormError(error.message);
+      toast.error('Pengiriman Gagal', { description: error.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          className="border-blue-600 text-blue-600 hover:bg-blue-50 dark:border-blue-500 dark:text-blue-400 dark:hover:bg-gray-700 font-semibold px-6 py-2 rounded-md"
+        >
+          Buat Pengiriman
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-semibold">
+            Buat Pengiriman
+          </DialogTitle>
+        </DialogHeader>
+        <Form {...form}>
+          <form
+            onSubmit={form.handleSubmit(submitShipment)}
+            className="space-y-6"
+          >
+            <div className="grid gap-4 sm:grid-cols-2">
+              <FormField
+                control={form.control}
+                name="customerId"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Pelanggan</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                          <SelectValue placeholder="Pilih pelanggan" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                        {customers.map((customer) => (
+                          <SelectItem key={customer.id} value={customer.id}>
+                            {customer.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="locationId"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Dari Lokasi</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                          <SelectValue placeholder="Pilih lokasi" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                        {locations.map((location) => (
+                          <SelectItem key={location.id} value={location.id}>
+                            {location.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="shipmentDate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Tanggal Pengiriman</FormLabel>
+                    <FormControl>
+                      <Input
+                        type="datetime-local"
+                        className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                        {...field}
+                      />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            <div className="space-y-3">
+              <FormLabel>Baris Pengiriman</FormLabel>
+              {fields.map((item, index) => {
+                const line = lines?.[index] || {};
+                const key = skuKey(line.typeId, line.weightClassId);
+                const hasSku = line.typeId && line.weightClassId;
+                const available = inventory[key] || 0;
+                return (
+                  <div
+                    key={item.id}
+                    className="grid grid-cols-[1fr_1fr_90px_auto] items-start gap-2"
+                  >
+                    <FormField
+                      control={form.control}
+                      name={`lines.${index}.typeId`}
+                      render={({ field }) => (
+                        <FormItem>
+                          <Select
+                            onValueChange={field.onChange}
+                            value={field.value}
+                          >
+                            <FormControl>
+                              <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                <SelectValue placeholder="Jenis" />
+                              </SelectTrigger>
+                            </FormControl>
+                            <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                              {lobsterTypes.map((type) => (
+                                <SelectItem key={type.id} value={type.id}>
+                                  {type.name}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <FormField
+                      control={form.control}
+                      name={`lines.${index}.weightClassId`}
+                      render={({ field }) => (
+                        <FormItem>
+                          <Select
+                            onValueChange={field.onChange}
+                            value={field.value}
+                          >
+                            <FormControl>
+                              <SelectTrigger className="w-full bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                <SelectValue placeholder="Kelas berat" />
+                              </SelectTrigger>
+                            </FormControl>
+                            <SelectContent className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                              {weightClasses.map((wc) => (
+                                <SelectItem key={wc.id} value={wc.id}>
+                                  {wc.weight_range}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          {hasSku && (
+                            <p
+                              className={`text-xs ${
+                                available < requested[key]
+                                  ? 'text-red-500 dark:text-red-400'
+                                  : 'text-gray-500 dark:text-gray-400'
+                              }`}
+                            >
+                              Tersedia: {available} Ekor
+                            </p>
+                          )}
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <FormField
+                      control={form.control}
+                      name={`lines.${index}.quantity`}
+                      render={({ field }) => (
+                        <FormItem>
+                          <FormControl>
+                            <Input
+                              type="number"
+                              min="1"
+                              className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                              {...field}
+                              onChange={(e) =>
+                                field.onChange(parseInt(e.target.value) || 1)
+                              }
+                            />
+                          </FormControl>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => remove(index)}
+                      disabled={fields.length === 1}
+                      title="Hapus baris"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                );
+              })}
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => append(emptyLine)}
+                className="border-gray-300 dark:border-gray-600 rounded-md"
+              >
+                <Plus className="h-4 w-4" />
+                Tambah Baris
+              </Button>
+            </div>
+
+            <FormField
+              control={form.control}
+              name="note"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Catatan (Opsional)</FormLabel>
+                  <FormControl>
+                    <Input
+                      className="bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-md"
+                      {...field}
+                    />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            {formError && (
+              <p className="text-red-500 dark:text-red-400 text-sm">
+                {formError}
+              </p>
+            )}
+            <div className="flex justify-end gap-3">
+              <Button
+                type="button"
+                variant="outline"
+                className="border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+                onClick={() => setOpen(false)}
+                disabled={isSubmitting}
+              >
+                Batal
+              </Button>
+              <Button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 text-white rounded-md"
+                disabled={isSubmitting || shortages.length > 0}
+              >
+                {isSubmitting ? 'Mengirim...' : 'Kirim Pengiriman'}
+              </Button>
+            </div>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,120 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { supabase } from '@/lib/supabase';
+import { getLobsterTypes, getWeightClasses } from '@/lib/cache';
+import { getSkuKey } from '@/lib/thresholds';
+import { toast } from 'sonner';
+
+// Raises an alert whenever an inventory change pushes a lobster type and
+// weight class past its minimum or maximum stock
+export function StockAlerts() {
+  const [user, setUser] = useState(null);
+  // Last known breach per SKU with a threshold; null while within bounds
+  const statuses = useRef(new Map());
+
+  useEffect(() => {
+    supabase.auth
+      .getSession()
+      .then(({ data: { session } }) => setUser(session?.user || null));
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => setUser(session?.user || null)
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+
+    // Breaches that already exist are shown on the dashboard, not alerted
+    const loadStatuses = async () => {
+      const { data, error } = await supabase
+        .from('stock_threshold_status')
+        .select('type_id, weight_class_id, status');
+      if (error) return;
+      statuses.current = new Map(
+        data.map((row) => [
+          getSkuKey(row.type_id, row.weight_class_id),
+          row.status === 'OK' ? null : row.status,
+        ])
+      );
+    };
+
+    const checkSku = async (typeId, weightClassId) => {
+      const key = getSkuKey(typeId, weightClassId);
+      if (!statuses.current.has(key)) return;
+
+      const { data, error } = await supabase
+        .from('stock_threshold_status')
+        .select('*')
+        .eq('type_id', typeId)
+        .eq('weight_class_id', weightClassId)
+        .maybeSingle();
+      if (error || !data) return;
+
+      const status = data.status === 'OK' ? null : data.status;
+      const previous = statuses.current.get(key);
+      statuses.current.set(key, status);
+      if (!status || status === previous) return;
+
+      const [lobsterTypes, weightClasses] = await Promise.all([
+        getLobsterTypes(supabase),
+        getWeightClasses(supabase),
+      ]);
+      const label = `${
+        lobsterTypes.find((type) => type.id === typeId)?.name ||
+        'Tidak Diketahui'
+      } ${
+        weightClasses.find((wc) => wc.id === weightClassId)?.weight_range ||
+        'Tidak Diketahui'
+      } gram`;
+      const options = {
+        // One alert per SKU even when a transfer updates several rows
+        id: `stock-alert-${key}`,
+        duration: 10000,
+        action: {
+          label: 'Buku Stok',
+          onClick: () =>
+            (window.location.href = `/stok/${typeId}/${weightClassId}`),
+        },
+      };
+
+      if (status === 'LOW') {
+        toast.warning(`Stok Rendah: ${label}`, {
+          ...options,
+          description: `Tersisa ${data.quantity} Ekor, di bawah minimum ${data.min_quantity} Ekor.`,
+        });
+      } else {
+        toast.warning(`Stok Berlebih: ${label}`, {
+          ...options,
+          description: `Ada ${data.quantity} Ekor, di atas maksimum ${data.max_quantity} Ekor.`,
+        });
+      }
+    };
+
+    loadStatuses();
+
+    const subscription = supabase
+      .channel('stock-alerts')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'inventory' },
+        (payload) => {
+          const row = payload.new?.type_id ? payload.new : payload.old;
+          if (row?.type_id) checkSku(row.type_id, row.weight_class_id);
+        }
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'stock_thresholds' },
+        () => loadStatuses()
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [user]);
+
+  return null;
+}
@@ -0,0 +1,179 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { supabase } from '@/lib/supabase';
+import { format } from 'date-fns';
+import { id } from 'date-fns/locale';
+import { Skeleton } from '@/components/ui/skeleton';
+
+const fieldLabels = {
+  transaction_type: 'Jenis Transaksi',
+  type_id: 'Jenis Lobster',
+  weight_class_id: 'Kelas Berat',
+  quantity: 'Jumlah',
+  transaction_date: 'Tanggal',
+  destination: 'Tujuan/Asal',
+  notes: 'Catatan',
+  voided_at: 'Dibatalkan',
+};
+
+const actionLabels = {
+  INSERT: 'Dibuat',
+  UPDATE: 'Diubah',
+  VOID: 'Dibatalkan',
+};
+
+// Field-level differences between two snapshots of a transaction
+function getAuditDiff(oldData, newData) {
+  return Object.keys(fieldLabels)
+    .filter(
+      (field) =>
+        JSON.stringify(oldData?.[field] ?? null) !==
+        JSON.stringify(newData?.[field] ?? null)
+    )
+    .map((field) => ({
+      field,
+      before: oldData?.[field] ?? null,
+      after: newData?.[field] ?? null,
+    }));
+}
+
+export function TransactionHistory({
+  transactionId,
+  lobsterTypes,
+  weightClasses,
+  transactionTypeDisplay,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!transactionId) return;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const { data, error } = await supabase
+          .from('transaction_audit_log')
+          .select('id, action, actor_email, changed_at, old_data, new_data')
+          .eq('transaction_id', transactionId)
+          .order('changed_at', { ascending: false });
+        if (error) throw error;
+        setEntries(data || []);
+        setError(null);
+      } catch (error) {
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [transactionId]);
+
+  // Human-readable value for a logged field
+  const formatValue = (field, value) => {
+    if (value === null || value === '') return 'Tidak Ada';
+    switch (field) {
+      case 'transaction_type':
+        return transactionTypeDisplay[value] || value;
+      case 'type_id':
+        return lobsterTypes.find((type) => type.id === value)?.name || value;
+      case 'weight_class_id':
+        return (
+          weightClasses.find((wc) => wc.id === value)?.weight_range || value
+        );
+      case 'quantity':
+        return `${Math.abs(value)} Ekor`;
+      case 'transaction_date':
+      case 'voided_at':
+        return format(new Date(value), 'dd MMMM yyyy HH:mm', { locale: id });
+      case 'notes':
+        return typeof value === 'object'
+          ? value.note || JSON.stringify(value)
+          : value;
+      default:
+        return String(value);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="space-y-2">
+        <Skeleton className="h-4 w-3/4" />
+        <Skeleton className="h-4 w-1/2" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <p className="text-sm text-red-500 dark:text-red-400">
+        Gagal memuat riwayat: {error}
+      </p>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Belum ada riwayat perubahan.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="max-h-64 space-y-3 overflow-y-auto pr-1">
+      {entries.map((entry) => {
+        const diff =
+          entry.action === 'INSERT'
+            ? []
+            : getAuditDiff(entry.old_data, entry.new_data);
+        return (
+          <li
+            key={entry.id}
+            className="rounded-md border border-gray-200 dark:border-gray-700 p-3 text-sm"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="font-medium text-gray-900 dark:text-gray-100">
+                {actionLabels[entry.action] || entry.action}
+              </span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {entry.actor_email || 'Sistem'} ·{' '}
+                {format(new Date(entry.changed_at), 'dd MMMM yyyy HH:mm', {
+                  locale: id,
+                })}
+              </span>
+            </div>
+            {diff.length > 0 && (
+              <table className="mt-2 w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="py-1 pr-2 font-normal">Kolom</th>
+                    <th className="py-1 pr-2 font-normal">Sebelum</th>
+                    <th className="py-1 font-normal">Sesudah</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.map(({ field, before, after }) => (
+                    <tr key={field}>
+                      <td className="py-1 pr-2 text-gray-700 dark:text-gray-300">
+                        {fieldLabels[field]}
+                      </td>
+                      <td className="py-1 pr-2 text-red-600 dark:text-red-400 line-through">
+                        {formatValue(field, before)}
+                      </td>
+                      <td className="py-1 text-green-600 dark:text-green-400">
+                        {formatValue(field, after)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
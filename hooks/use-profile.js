@@ -0,0 +1,59 @@
+import { useEffect, useId, useState } from 'react';
+import { supabase } from '@/lib/supabase';
+
+// Profile of the signed-in user, kept in sync with the profiles table.
+// Null while loading and when signed out.
+export function useProfile() {
+  const [profile, setProfile] = useState(null);
+  const [userId, setUserId] = useState(null);
+  // Several components on a page may use this hook; each needs its own
+  // channel
+  const channelId = useId();
+
+  useEffect(() => {
+    supabase.auth
+      .getSession()
+      .then(({ data: { session } }) => setUserId(session?.user?.id || null));
+
+    const { data: authListener } = supabase.auth.onAuthStateChange(
+      (_, session) => setUserId(session?.user?.id || null)
+    );
+
+    return () => authListener.subscription?.unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!userId) {
+      setProfile(null);
+      return;
+    }
+
+    const fetchProfile = async () => {
+      const { data } = await supabase
+        .from('profiles')
+        .select('id, email, role, display_name, avatar_url')
+        .eq('id', userId)
+        .maybeSingle();
+      setProfile(data);
+    };
+    fetchProfile();
+
+    const subscription = supabase
+      .channel(`profile-${userId}-${channelId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'profiles',
+          filter: `id=eq.${userId}`,
+        },
+        (payload) => setProfile(payload.new)
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(subscription);
+  }, [userId, channelId]);
+
+  return profile;
+}
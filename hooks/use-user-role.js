@@ -0,0 +1,9 @@
+import { DEFAULT_ROLE } from '@/lib/roles';
+import { useProfile } from '@/hooks/use-profile';
+
+// Role of the signed-in user, kept in sync with their profile. Until it is
+// loaded the least-privileged role is assumed, so restricted actions stay
+// hidden rather than flash in.
+export function useUserRole() {
+  return useProfile()?.role || DEFAULT_ROLE;
+}
@@ -1,13 +1,19 @@
+import { compareWeightClasses } from '@/lib/weight-classes';
+
 const cache = {
   lobsterTypes: null,
   weightClasses: null,
+  suppliers: null,
+  customers: null,
+  locations: null,
 };
 
 export async function getLobsterTypes(supabase) {
   if (cache.lobsterTypes) return cache.lobsterTypes;
   const { data, error } = await supabase
     .from('lobster_types')
-    .select('id, name')
+    .select('id, name, sort_order, archived_at')
+    .order('sort_order')
     .order('name');
   if (error) throw error;
   cache.lobsterTypes = data || [];
@@ -18,14 +24,90 @@ export async function getWeightClasses(supabase) {
   if (cache.weightClasses) return cache.weightClasses;
   const { data, error } = await supabase
     .from('weight_classes')
-    .select('id, weight_range')
-    .order('weight_range');
+    .select('id, weight_range, min_grams, max_grams, sort_order, archived_at')
+    .order('min_grams', { nullsFirst: false });
   if (error) throw error;
-  cache.weightClasses = data || [];
+  cache.weightClasses = (data || []).sort(compareWeightClasses);
   return cache.weightClasses;
 }
 
+export async function getSuppliers(supabase) {
+  if (cache.suppliers) return cache.suppliers;
+  const { data, error } = await supabase
+    .from('suppliers')
+    .select('id, name, category, archived_at')
+    .order('name');
+  if (error) throw error;
+  cache.suppliers = data || [];
+  return cache.suppliers;
+}
+
+export async function getCustomers(supabase) {
+  if (cache.customers) return cache.customers;
+  const { data, error } = await supabase
+    .from('customers')
+    .select('id, name, archived_at')
+    .order('name');
+  if (error) throw error;
+  cache.customers = data || [];
+  return cache.customers;
+}
+
+export async function getLocations(supabase) {
+  if (cache.locations) return cache.locations;
+  const { data, error } = await supabase
+    .from('locations')
+    .select('id, name, sort_order, archived_at')
+    .order('sort_order')
+    .order('name');
+  if (error) throw error;
+  cache.locations = data || [];
+  return cache.locations;
+}
+
 export function clearCache() {
   cache.lobsterTypes = null;
   cache.weightClasses = null;
+  cache.suppliers = null;
+  cache.customers = null;
+  cache.locations = null;
+}
+
+// Clear the cache whenever master data changes on any client
+export function subscribeToReferenceChanges(supabase, onChange) {
+  const handleChange = () => {
+    clearCache();
+    onChange?.();
+  };
+
+  const channel = supabase
+    .channel('reference-data')
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'lobster_types' },
+      handleChange
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'weight_classes' },
+      handleChange
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'suppliers' },
+      handleChange
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'customers' },
+      handleChange
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'locations' },
+      handleChange
+    )
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
 }
@@ -0,0 +1,132 @@
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { format } from 'date-fns';
+import { id } from 'date-fns/locale';
+import { compareWeightClasses } from '@/lib/weight-classes';
+
+const COMPANY_NAME = 'MPA Minatama';
+
+const formatDocumentDate = (date) =>
+  format(new Date(date), 'dd MMMM yyyy HH:mm', { locale: id });
+
+// Lines grouped by lobster type, light to heavy within a type
+const sortDocumentLines = (lines) =>
+  [...lines].sort(
+    (a, b) =>
+      (a.lobster_types?.name || '').localeCompare(
+        b.lobster_types?.name || ''
+      ) || compareWeightClasses(a.weight_classes, b.weight_classes)
+  );
+
+// Document title, number and key/value details; returns the next free y
+function drawDocumentHeader(doc, title, number, details) {
+  doc.setFontSize(16);
+  doc.text(COMPANY_NAME, 14, 18);
+  doc.setFontSize(13);
+  doc.text(title, 14, 27);
+  doc.setFontSize(10);
+  doc.text(`No: ${number}`, 196, 27, { align: 'right' });
+
+  let y = 37;
+  details.forEach(([label, value]) => {
+    doc.text(`${label}`, 14, y);
+    const wrapped = doc.splitTextToSize(`: ${value || '-'}`, 140);
+    doc.text(wrapped, 50, y);
+    y += wrapped.length * 5;
+  });
+  return y + 3;
+}
+
+// Type/weight/quantity table with a total row; returns the next free y
+function drawLinesTable(doc, startY, lines) {
+  const total = lines.reduce((sum, line) => sum + Math.abs(line.quantity), 0);
+  autoTable(doc, {
+    startY,
+    head: [['No', 'Jenis Lobster', 'Berat', 'Jumlah']],
+    body: sortDocumentLines(lines).map((line, index) => [
+      index + 1,
+      line.lobster_types?.name || 'Tidak Ada',
+      line.weight_classes?.weight_range
+        ? `${line.weight_classes.weight_range} gram`
+        : 'Tidak Ada',
+      `${Math.abs(line.quantity)} Ekor`,
+    ]),
+    foot: [['', '', 'Total', `${total} Ekor`]],
+    styles: { fontSize: 10, cellPadding: 2, textColor: [33, 33, 33] },
+    headStyles: { fillColor: [59, 130, 246], textColor: [255, 255, 255] },
+    footStyles: { fillColor: [243, 244, 246], textColor: [33, 33, 33] },
+    columnStyles: { 0: { cellWidth: 12 }, 3: { halign: 'right' } },
+  });
+  return doc.lastAutoTable.finalY + 10;
+}
+
+// Equal-width signature boxes across the page
+function drawSignatureBlocks(doc, startY, roles) {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let y = startY;
+  if (y + 40 > pageHeight - 10) {
+    doc.addPage();
+    y = 20;
+  }
+  const width = 182 / roles.length;
+  roles.forEach((role, index) => {
+    const x = 14 + index * width;
+    doc.text(role, x + width / 2, y, { align: 'center' });
+    doc.line(x + 8, y + 28, x + width - 8, y + 28);
+    doc.text('Nama & Tanda Tangan', x + width / 2, y + 33, {
+      align: 'center',
+    });
+  });
+}
+
+// Delivery note (surat jalan) for a DISTRIBUTE transaction or shipment.
+// `note` is the issued delivery_notes row; `lines` are transactions with
+// lobster_types and weight_classes joined.
+export function createDeliveryNotePDF({
+  note,
+  destination,
+  date,
+  notes,
+  lines,
+}) {
+  const doc = new jsPDF();
+  const y = drawDocumentHeader(doc, 'SURAT JALAN', note.number, [
+    ['Tujuan', destination],
+    ['Tanggal Kirim', formatDocumentDate(date)],
+    ['Tanggal Cetak', formatDocumentDate(note.issued_at)],
+    ['Catatan', notes],
+  ]);
+  const signatureY = drawLinesTable(doc, y, lines);
+  drawSignatureBlocks(doc, signatureY, ['Pengirim', 'Sopir', 'Penerima']);
+  return doc;
+}
+
+// Goods receipt for an ADD transaction or a batch of them, built only from
+// the issued goods_receipts snapshot so every reprint is identical.
+export function createGoodsReceiptPDF(receipt) {
+  const doc = new jsPDF();
+  const y = drawDocumentHeader(doc, 'BUKTI PENERIMAAN BARANG', receipt.number, [
+    ['Pemasok/Asal', receipt.origin],
+    ['Tanggal Terima', formatDocumentDate(receipt.received_at)],
+    ['Dicatat Oleh', receipt.operator_email || 'Tidak Diketahui'],
+    ['Tanggal Cetak', formatDocumentDate(receipt.issued_at)],
+    ['Catatan', receipt.notes?.note],
+  ]);
+  const lines = (receipt.lines || []).map((line) => ({
+    quantity: line.quantity,
+    lobster_types: { name: line.type_name },
+    weight_classes: {
+      weight_range: line.weight_range,
+      min_grams: line.min_grams,
+      max_grams: line.max_grams,
+    },
+  }));
+  const signatureY = drawLinesTable(doc, y, lines);
+  drawSignatureBlocks(doc, signatureY, ['Diserahkan Oleh', 'Diterima Oleh']);
+  return doc;
+}
+
+// File name safe form of a document number, e.g. SJ/2026/10/00001
+export function getDocumentFilename(number) {
+  return `${number.replace(/[^a-zA-Z0-9_-]+/g, '_')}.pdf`;
+}
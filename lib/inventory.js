@@ -0,0 +1,83 @@
+// Transaction types that take lobsters out of the inventory
+export const OUTGOING_TRANSACTION_TYPES = ['DISTRIBUTE', 'DEATH', 'DAMAGED'];
+
+// Transaction types that need enough stock in their source location
+export const STOCK_CHECKED_TRANSACTION_TYPES = [
+  ...OUTGOING_TRANSACTION_TYPES,
+  'TRANSFER',
+  'RECLASSIFY',
+];
+
+// Corrections posted when a stock opname is approved
+export const ADJUSTMENT_TRANSACTION_TYPES = ['ADJUSTMENT_IN', 'ADJUSTMENT_OUT'];
+
+// Signed effect of a transaction on the inventory quantity
+export function getInventoryEffect(transactionType, quantity) {
+  const amount = Math.abs(quantity || 0);
+  if (transactionType === 'ADD' || transactionType === 'ADJUSTMENT_IN') {
+    return amount;
+  }
+  if (
+    OUTGOING_TRANSACTION_TYPES.includes(transactionType) ||
+    transactionType === 'ADJUSTMENT_OUT'
+  ) {
+    return -amount;
+  }
+  return 0;
+}
+
+// Signed effect of a transaction on one weight class of its lobster type,
+// across every location or only the given one. A VOID row reverses the
+// original transaction it points to.
+export function getLedgerEffect(
+  transaction,
+  original,
+  weightClassId,
+  locationId = null
+) {
+  const isVoid = transaction.transaction_type === 'VOID';
+  const transactionType = isVoid
+    ? original?.transaction_type
+    : transaction.transaction_type;
+  const amount = Math.abs(transaction.quantity || 0);
+  const atLocation = (id) => !locationId || id === locationId;
+
+  let effect = 0;
+  if (transactionType === 'TRANSFER') {
+    // Moving between tanks only changes the balance of a single tank
+    if (locationId && transaction.weight_class_id === weightClassId) {
+      if (transaction.location_id === locationId) effect -= amount;
+      if (transaction.to_location_id === locationId) effect += amount;
+    }
+  } else if (transactionType === 'RECLASSIFY') {
+    if (atLocation(transaction.location_id)) {
+      if (transaction.weight_class_id === weightClassId) effect -= amount;
+      if (transaction.to_weight_class_id === weightClassId) effect += amount;
+    }
+  } else if (
+    transaction.weight_class_id === weightClassId &&
+    atLocation(transaction.location_id)
+  ) {
+    effect = getInventoryEffect(transactionType, amount);
+  }
+  return isVoid ? -effect : effect;
+}
+
+// Map errors raised by the inventory RPCs to user-facing messages
+export function getInventoryErrorMessage(error, label) {
+  const message = error?.message || '';
+  if (message.includes('Jumlah harus bilangan positif')) {
+    return 'Jumlah harus bilangan positif';
+  }
+  if (message.includes('Jenis transaksi tidak valid')) {
+    return 'Jenis transaksi tidak valid';
+  }
+  if (message.includes('Stok tidak cukup')) {
+    const [, available = '0', location] =
+      message.match(/tersedia (\d+)(?: di (.+))?/) || [];
+    return `Stok tidak cukup: hanya ${available} ${label} tersedia${
+      location ? ` di ${location}` : ''
+    }`;
+  }
+  return message || 'Gagal memproses transaksi';
+}
@@ -0,0 +1,71 @@
+import { differenceInCalendarDays } from 'date-fns';
+
+// Labels of where a lot came from
+export const LOT_ORIGIN = {
+  ADD: 'Penerimaan',
+  ADJUSTMENT_IN: 'Stok Opname',
+  OPENING: 'Saldo Awal',
+  CORRECTION: 'Koreksi Stok',
+};
+
+// Transaction types that take their quantity out of lots
+export const LOT_CONSUMING_TRANSACTION_TYPES = [
+  'DISTRIBUTE',
+  'DEATH',
+  'DAMAGED',
+  'ADJUSTMENT_OUT',
+  'TRANSFER',
+  'RECLASSIFY',
+];
+
+// Share of a lot that died, in percent with one decimal
+export function getMortalityRate(lot) {
+  if (!lot?.received_quantity) return 0;
+  return Math.round((lot.death_quantity / lot.received_quantity) * 1000) / 10;
+}
+
+// Days-in-holding buckets of the stock aging breakdown, youngest first
+export const AGING_BUCKETS = [
+  {
+    label: '0–3 hari',
+    maxDays: 3,
+    className:
+      'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  },
+  {
+    label: '4–7 hari',
+    maxDays: 7,
+    className:
+      'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  },
+  {
+    label: '8–14 hari',
+    maxDays: 14,
+    className:
+      'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
+  },
+  {
+    label: '15+ hari',
+    maxDays: Infinity,
+    className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  },
+];
+
+// Stock held this long falls in the last bucket and is flagged
+export const AGING_WARNING_DAYS = 15;
+
+// Whole days since a lot was received
+export function getLotAgeInDays(receivedAt, now = new Date()) {
+  return Math.max(0, differenceInCalendarDays(now, new Date(receivedAt)));
+}
+
+// Remaining quantity of the lots per aging bucket
+export function getAgingBreakdown(lots, now = new Date()) {
+  const buckets = AGING_BUCKETS.map((bucket) => ({ ...bucket, quantity: 0 }));
+  (lots || []).forEach((lot) => {
+    const age = getLotAgeInDays(lot.received_at, now);
+    const bucket = buckets.find((b) => age <= b.maxDays);
+    bucket.quantity += lot.remaining_quantity;
+  });
+  return buckets;
+}
@@ -0,0 +1,22 @@
+// Shortest password accepted when setting or changing one
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Largest avatar image accepted for upload, in bytes
+export const MAX_AVATAR_SIZE = 2 * 1024 * 1024;
+
+// Name to show for a profile, falling back to the part of the email before @
+export function getDisplayName(profile) {
+  return (
+    profile?.display_name?.trim() || profile?.email?.split('@')[0] || 'Pengguna'
+  );
+}
+
+// Up to two initials for the avatar fallback: "Budi Santoso" → "BS"
+export function getInitials(profile) {
+  const words = getDisplayName(profile)
+    .split(/[\s._-]+/)
+    .filter(Boolean);
+  const initials =
+    words.length > 1 ? words[0][0] + words[1][0] : words[0]?.slice(0, 2) || '';
+  return initials.toUpperCase();
+}
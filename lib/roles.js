@@ -0,0 +1,55 @@
+// Roles a user can hold, from most to least access
+export const ROLES = {
+  admin: {
+    label: 'Admin',
+    description: 'Semua akses, termasuk data master dan pengguna',
+  },
+  operator: {
+    label: 'Operator',
+    description: 'Mencatat pergerakan stok',
+  },
+  viewer: {
+    label: 'Viewer',
+    description: 'Hanya melihat dashboard',
+  },
+};
+
+// Role assumed until the profile is loaded or when it is missing
+export const DEFAULT_ROLE = 'viewer';
+
+// Actions in the UI and the roles allowed to perform them. The database
+// enforces the same rules on every write.
+export const PERMISSIONS = {
+  postMovement: ['admin', 'operator'],
+  editTransaction: ['admin'],
+  voidTransaction: ['admin'],
+  approveStockTake: ['admin'],
+  correctInventory: ['admin'],
+  manageMasterData: ['admin'],
+  manageUsers: ['admin'],
+};
+
+// Route prefixes limited to some roles; the first match wins
+const ROUTE_ROLES = [
+  { prefix: '/master', roles: ['admin'] },
+  { prefix: '/rekonsiliasi', roles: ['admin'] },
+  { prefix: '/pengguna', roles: ['admin'] },
+  { prefix: '/stok', roles: ['admin', 'operator'] },
+  { prefix: '/transaksi', roles: ['admin', 'operator'] },
+  { prefix: '/opname', roles: ['admin', 'operator'] },
+  { prefix: '/lot', roles: ['admin', 'operator'] },
+  { prefix: '/pemasok', roles: ['admin', 'operator'] },
+  { prefix: '/pelanggan', roles: ['admin', 'operator'] },
+];
+
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Whether a role may open a page; unlisted routes are open to everyone
+export function canAccessRoute(role, pathname) {
+  const rule = ROUTE_ROLES.find(
+    ({ prefix }) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+  return !rule || rule.roles.includes(role);
+}
@@ -0,0 +1,22 @@
+// Minutes without activity before a signed-in user is signed out, set per
+// deployment; shared tablets may want a shorter period
+export const IDLE_TIMEOUT_MS =
+  (Number(process.env.NEXT_PUBLIC_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// How long before the sign-out the warning dialog appears
+export const IDLE_WARNING_MS = 60 * 1000;
+
+// Time of the last activity in milliseconds. A cookie rather than storage so
+// that every tab and the middleware read the same value.
+export const LAST_ACTIVITY_COOKIE = 'last-activity';
+
+export const LAST_ACTIVITY_COOKIE_OPTIONS = {
+  path: '/',
+  sameSite: 'lax',
+  maxAge: 60 * 60 * 24 * 7,
+};
+
+// Whether the session has been idle for the whole timeout
+export function isIdleExpired(lastActivity, now = Date.now()) {
+  return Boolean(lastActivity) && now - lastActivity >= IDLE_TIMEOUT_MS;
+}
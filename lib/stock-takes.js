@@ -0,0 +1,42 @@
+// Labels and badge colors of the stock take statuses
+export const STOCK_TAKE_STATUS = {
+  DRAFT: {
+    label: 'Draf',
+    className:
+      'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  },
+  APPROVED: {
+    label: 'Disetujui',
+    className:
+      'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  },
+  CANCELLED: {
+    label: 'Dibatalkan',
+    className: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  },
+};
+
+// Counted minus expected, or null while the line is not counted
+export function getStockTakeVariance(expectedQuantity, countedQuantity) {
+  if (countedQuantity === null || countedQuantity === undefined) return null;
+  return countedQuantity - expectedQuantity;
+}
+
+// Counted lines and the total surplus and shortage of a stock take
+export function getStockTakeSummary(lines) {
+  return (lines || []).reduce(
+    (summary, line) => {
+      const variance = getStockTakeVariance(
+        line.expected_quantity,
+        line.counted_quantity
+      );
+      summary.lines += 1;
+      if (variance === null) return summary;
+      summary.counted += 1;
+      if (variance > 0) summary.surplus += variance;
+      if (variance < 0) summary.shortage -= variance;
+      return summary;
+    },
+    { lines: 0, counted: 0, surplus: 0, shortage: 0 }
+  );
+}
@@ -0,0 +1,27 @@
+// Labels and badge colors of a breached stock threshold
+export const THRESHOLD_STATUS = {
+  LOW: {
+    label: 'Stok Rendah',
+    className:
+      'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  },
+  HIGH: {
+    label: 'Stok Berlebih',
+    className:
+      'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300',
+  },
+};
+
+// LOW, HIGH, or null while the quantity is within the threshold
+export function getThresholdStatus(quantity, threshold) {
+  if (!threshold) return null;
+  const { min_quantity: min, max_quantity: max } = threshold;
+  if (min !== null && min !== undefined && quantity < min) return 'LOW';
+  if (max !== null && max !== undefined && quantity > max) return 'HIGH';
+  return null;
+}
+
+// Lookup key of a lobster type and weight class pair
+export function getSkuKey(typeId, weightClassId) {
+  return `${typeId}:${weightClassId}`;
+}
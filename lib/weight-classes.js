@@ -0,0 +1,125 @@
+// Weight classes cover [min_grams, max_grams); a null max_grams is open-ended.
+
+// Numeric order by lower bound, open-ended classes last on ties
+export function compareWeightClasses(a, b) {
+  const minA = a?.min_grams ?? Number.MAX_SAFE_INTEGER;
+  const minB = b?.min_grams ?? Number.MAX_SAFE_INTEGER;
+  if (minA !== minB) return minA - minB;
+  const maxA = a?.max_grams ?? Number.MAX_SAFE_INTEGER;
+  const maxB = b?.max_grams ?? Number.MAX_SAFE_INTEGER;
+  if (maxA !== maxB) return maxA - maxB;
+  return (a?.weight_range || '').localeCompare(b?.weight_range || '');
+}
+
+// Default label for a pair of gram bounds
+export function formatWeightRange(minGrams, maxGrams) {
+  if (maxGrams === null || maxGrams === undefined) return `${minGrams}+`;
+  return `${minGrams}-${maxGrams}`;
+}
+
+// Weight class that a single measured weight falls into
+export function findWeightClass(weightClasses, grams) {
+  return (
+    weightClasses.find(
+      (wc) =>
+        !wc.archived_at &&
+        wc.min_grams !== null &&
+        grams >= wc.min_grams &&
+        (wc.max_grams === null || grams < wc.max_grams)
+    ) || null
+  );
+}
+
+// Overlap or gap between two neighbouring classes on the scale
+function findRangeProblem(previous, current) {
+  if (previous.max_grams === null || current.min_grams < previous.max_grams) {
+    return `Kelas ${previous.weight_range} dan ${current.weight_range} tumpang tindih`;
+  }
+  if (current.min_grams > previous.max_grams) {
+    return `Ada celah antara kelas ${previous.weight_range} dan ${current.weight_range}`;
+  }
+  return null;
+}
+
+// Neighbouring pairs of active classes that have bounds, in scale order.
+// Classes the backfill could not parse have none yet and stay off the scale.
+function getScalePairs(weightClasses) {
+  const scale = weightClasses
+    .filter(
+      (wc) =>
+        !wc.archived_at && wc.min_grams !== null && wc.min_grams !== undefined
+    )
+    .sort(compareWeightClasses);
+  return scale.slice(1).map((current, i) => [scale[i], current]);
+}
+
+const getPairKey = (pair) =>
+  pair.map((wc) => `${wc.id}:${wc.min_grams}:${wc.max_grams}`).join('|');
+
+// Check a change to the weight classes. `weightClasses` is the list after the
+// change and `currentClasses` the list before it; only overlaps and gaps the
+// change introduces are reported, so older ones do not block unrelated edits.
+// Mirrors the validate_weight_class_ranges trigger. Returns an error message,
+// or null when the change is valid.
+export function validateWeightClassRanges(weightClasses, currentClasses = []) {
+  for (const wc of weightClasses) {
+    if (wc.archived_at || wc.min_grams === null || wc.min_grams === undefined) {
+      continue;
+    }
+    if (wc.min_grams < 0) {
+      return `Batas bawah kelas ${wc.weight_range} tidak boleh negatif`;
+    }
+    if (wc.max_grams !== null && wc.max_grams <= wc.min_grams) {
+      return `Batas atas kelas ${wc.weight_range} harus lebih besar dari batas bawah`;
+    }
+  }
+
+  const existingProblems = new Set(
+    getScalePairs(currentClasses)
+      .filter((pair) => findRangeProblem(...pair))
+      .map(getPairKey)
+  );
+  for (const pair of getScalePairs(weightClasses)) {
+    const problem = findRangeProblem(...pair);
+    if (problem && !existingProblems.has(getPairKey(pair))) return problem;
+  }
+
+  return null;
+}
+
+// Parse weights typed or pasted from the scale, one or more per line.
+// A comma inside a number is read as the decimal separator.
+export function parseWeights(text) {
+  const tokens = (text || '').split(/[\s;]+/).filter(Boolean);
+  const weights = [];
+  const invalid = [];
+  for (const token of tokens) {
+    const grams = Number(token.replace(',', '.'));
+    if (Number.isFinite(grams) && grams > 0) {
+      weights.push(grams);
+    } else {
+      invalid.push(token);
+    }
+  }
+  return { weights, invalid };
+}
+
+// Count measured weights per weight class, in numeric class order
+export function bucketWeights(weightClasses, weights) {
+  const counts = new Map();
+  const unmatched = [];
+  for (const grams of weights) {
+    const weightClass = findWeightClass(weightClasses, grams);
+    if (!weightClass) {
+      unmatched.push(grams);
+      continue;
+    }
+    const bucket = counts.get(weightClass.id) || { weightClass, quantity: 0 };
+    bucket.quantity += 1;
+    counts.set(weightClass.id, bucket);
+  }
+  const buckets = [...counts.values()].sort((a, b) =>
+    compareWeightClasses(a.weightClass, b.weightClass)
+  );
+  return { buckets, unmatched };
+}
@@ -0,0 +1,172 @@
+-- Inventory mutations shared by manage_inventory and edit_transaction, so that
+-- every write path applies the same stock rules.
+
+-- Signed effect of a transaction on the inventory quantity. Quantities are
+-- compared by absolute value because older rows stored outgoing movements as
+-- negative numbers.
+create or replace function public.inventory_effect(
+  p_transaction_type text,
+  p_quantity integer
+) returns integer
+language plpgsql
+immutable
+as $$
+begin
+  case p_transaction_type
+    when 'ADD' then
+      return abs(p_quantity);
+    when 'DISTRIBUTE', 'DEATH', 'DAMAGED' then
+      return -abs(p_quantity);
+    else
+      raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end case;
+end;
+$$;
+
+-- Apply a signed delta to one inventory row, refusing to go below zero.
+create or replace function public.apply_inventory_delta(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_delta integer
+) returns integer
+language plpgsql
+as $$
+declare
+  v_current integer;
+begin
+  if p_delta = 0 then
+    select quantity into v_current
+    from inventory
+    where type_id = p_type_id and weight_class_id = p_weight_class_id;
+    return coalesce(v_current, 0);
+  end if;
+
+  select quantity into v_current
+  from inventory
+  where type_id = p_type_id and weight_class_id = p_weight_class_id
+  for update;
+  v_current := coalesce(v_current, 0);
+
+  if v_current + p_delta < 0 then
+    raise exception 'Stok tidak cukup: tersedia %', v_current;
+  end if;
+
+  insert into inventory (type_id, weight_class_id, quantity)
+  values (p_type_id, p_weight_class_id, p_delta)
+  on conflict (type_id, weight_class_id)
+  do update set quantity = inventory.quantity + excluded.quantity;
+
+  return v_current + p_delta;
+end;
+$$;
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  perform apply_inventory_delta(
+    p_type_id,
+    p_weight_class_id,
+    inventory_effect(p_transaction_type, p_quantity)
+  );
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    p_destination,
+    p_notes,
+    coalesce(p_transaction_date, now())
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+-- Replace a transaction in place: the old row's effect on inventory is
+-- reversed and the new values are applied in the same database transaction.
+create or replace function public.edit_transaction(
+  p_transaction_id uuid,
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns void
+language plpgsql
+as $$
+declare
+  v_old transactions%rowtype;
+  v_old_effect integer;
+  v_new_effect integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  select * into v_old
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+
+  v_old_effect := inventory_effect(v_old.transaction_type, v_old.quantity);
+  v_new_effect := inventory_effect(p_transaction_type, p_quantity);
+
+  -- Net the two effects on the same SKU so that correcting a typo never
+  -- trips the stock check halfway through.
+  if v_old.type_id = p_type_id and v_old.weight_class_id = p_weight_class_id then
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_new_effect - v_old_effect
+    );
+  else
+    perform apply_inventory_delta(
+      v_old.type_id,
+      v_old.weight_class_id,
+      -v_old_effect
+    );
+    perform apply_inventory_delta(p_type_id, p_weight_class_id, v_new_effect);
+  end if;
+
+  update transactions
+  set
+    type_id = p_type_id,
+    weight_class_id = p_weight_class_id,
+    quantity = p_quantity,
+    transaction_type = p_transaction_type,
+    destination = p_destination,
+    notes = p_notes,
+    transaction_date = coalesce(p_transaction_date, v_old.transaction_date)
+  where id = p_transaction_id;
+end;
+$$;
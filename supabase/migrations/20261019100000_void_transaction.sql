@@ -0,0 +1,213 @@
+-- Void (Batalkan) a transaction by posting a compensating VOID row instead of
+-- overwriting or deleting the original.
+
+alter table public.transactions
+  add column if not exists reversal_of uuid references public.transactions (id),
+  add column if not exists voided_at timestamptz,
+  add column if not exists voided_by uuid references auth.users (id);
+
+create unique index if not exists transactions_reversal_of_key
+  on public.transactions (reversal_of)
+  where reversal_of is not null;
+
+alter table public.transactions
+  drop constraint if exists transactions_transaction_type_check;
+alter table public.transactions
+  add constraint transactions_transaction_type_check
+  check (transaction_type in ('ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'VOID'));
+
+-- Voided originals and their VOID rows are frozen.
+create or replace function public.protect_voided_transactions()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.voided_at is not null or old.reversal_of is not null then
+    raise exception 'Transaksi yang dibatalkan tidak dapat diubah atau dihapus';
+  end if;
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_voided_transactions on public.transactions;
+create trigger protect_voided_transactions
+  before update or delete on public.transactions
+  for each row execute function public.protect_voided_transactions();
+
+-- manage_inventory gains p_reversal_of; drop the old signature so the RPC
+-- does not resolve to an ambiguous overload.
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_effect integer;
+  v_original transactions%rowtype;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_effect := -inventory_effect(v_original.transaction_type, v_original.quantity);
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  else
+    v_effect := inventory_effect(p_transaction_type, p_quantity);
+  end if;
+
+  perform apply_inventory_delta(p_type_id, p_weight_class_id, v_effect);
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    p_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+create or replace function public.void_transaction(
+  p_transaction_id uuid,
+  p_reason text default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_original transactions%rowtype;
+  v_void_id uuid;
+begin
+  select * into v_original
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_original.voided_at is not null or v_original.reversal_of is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+
+  v_void_id := manage_inventory(
+    v_original.type_id,
+    v_original.weight_class_id,
+    abs(v_original.quantity),
+    'VOID',
+    v_original.destination,
+    case when p_reason is null or p_reason = '' then null
+      else jsonb_build_object('note', p_reason) end,
+    now(),
+    v_original.id
+  );
+
+  update transactions
+  set voided_at = now(), voided_by = auth.uid()
+  where id = v_original.id;
+
+  return v_void_id;
+end;
+$$;
+
+create or replace function public.edit_transaction(
+  p_transaction_id uuid,
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns void
+language plpgsql
+as $$
+declare
+  v_old transactions%rowtype;
+  v_old_effect integer;
+  v_new_effect integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  select * into v_old
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_old.voided_at is not null or v_old.reversal_of is not null then
+    raise exception 'Transaksi yang dibatalkan tidak dapat diubah atau dihapus';
+  end if;
+  if p_transaction_type = 'VOID' then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end if;
+
+  v_old_effect := inventory_effect(v_old.transaction_type, v_old.quantity);
+  v_new_effect := inventory_effect(p_transaction_type, p_quantity);
+
+  -- Net the two effects on the same SKU so that correcting a typo never
+  -- trips the stock check halfway through.
+  if v_old.type_id = p_type_id and v_old.weight_class_id = p_weight_class_id then
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_new_effect - v_old_effect
+    );
+  else
+    perform apply_inventory_delta(
+      v_old.type_id,
+      v_old.weight_class_id,
+      -v_old_effect
+    );
+    perform apply_inventory_delta(p_type_id, p_weight_class_id, v_new_effect);
+  end if;
+
+  update transactions
+  set
+    type_id = p_type_id,
+    weight_class_id = p_weight_class_id,
+    quantity = p_quantity,
+    transaction_type = p_transaction_type,
+    destination = p_destination,
+    notes = p_notes,
+    transaction_date = coalesce(p_transaction_date, v_old.transaction_date)
+  where id = p_transaction_id;
+end;
+$$;
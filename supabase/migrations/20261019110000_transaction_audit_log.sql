@@ -0,0 +1,69 @@
+-- Audit trail for every insert, edit and void of a transactions row.
+
+create table if not exists public.transaction_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  action text not null check (action in ('INSERT', 'UPDATE', 'VOID')),
+  actor_id uuid references auth.users (id),
+  actor_email text,
+  changed_at timestamptz not null default now(),
+  old_data jsonb,
+  new_data jsonb
+);
+
+create index if not exists transaction_audit_log_transaction_id_idx
+  on public.transaction_audit_log (transaction_id, changed_at);
+
+alter table public.transaction_audit_log enable row level security;
+
+drop policy if exists "Authenticated users can read the audit log"
+  on public.transaction_audit_log;
+create policy "Authenticated users can read the audit log"
+  on public.transaction_audit_log
+  for select
+  to authenticated
+  using (true);
+
+-- Runs as the table owner so that writes succeed even though clients have
+-- no insert policy; the acting user still comes from the request JWT.
+create or replace function public.log_transaction_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+begin
+  if tg_op = 'INSERT' then
+    v_action := 'INSERT';
+  elsif old.voided_at is null and new.voided_at is not null then
+    v_action := 'VOID';
+  else
+    v_action := 'UPDATE';
+  end if;
+
+  insert into transaction_audit_log (
+    transaction_id,
+    action,
+    actor_id,
+    actor_email,
+    old_data,
+    new_data
+  ) values (
+    new.id,
+    v_action,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    case when tg_op = 'INSERT' then null else to_jsonb(old) end,
+    to_jsonb(new)
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists log_transaction_change on public.transactions;
+create trigger log_transaction_change
+  after insert or update on public.transactions
+  for each row execute function public.log_transaction_change();
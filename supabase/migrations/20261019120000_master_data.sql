@@ -0,0 +1,78 @@
+-- Ordering and archiving for lobster types and weight classes, managed from
+-- the Data Master page.
+
+alter table public.lobster_types
+  add column if not exists sort_order integer not null default 0,
+  add column if not exists archived_at timestamptz;
+
+alter table public.weight_classes
+  add column if not exists sort_order integer not null default 0,
+  add column if not exists archived_at timestamptz;
+
+update public.lobster_types t
+set sort_order = ordered.position
+from (
+  select id, row_number() over (order by name) as position
+  from public.lobster_types
+) ordered
+where t.id = ordered.id;
+
+update public.weight_classes w
+set sort_order = ordered.position
+from (
+  select id, row_number() over (order by weight_range) as position
+  from public.weight_classes
+) ordered
+where w.id = ordered.id;
+
+-- Block deleting master data that inventory or transactions still refer to.
+-- Empty inventory rows are cleared so that the foreign key does not object.
+create or replace function public.protect_referenced_lobster_type()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from inventory where type_id = old.id and quantity <> 0
+  ) or exists (
+    select 1 from transactions where type_id = old.id
+  ) then
+    raise exception 'Jenis lobster "%" masih digunakan oleh inventaris atau transaksi. Arsipkan saja.', old.name;
+  end if;
+
+  delete from inventory where type_id = old.id;
+  return old;
+end;
+$$;
+
+drop trigger if exists protect_referenced_lobster_type on public.lobster_types;
+create trigger protect_referenced_lobster_type
+  before delete on public.lobster_types
+  for each row execute function public.protect_referenced_lobster_type();
+
+create or replace function public.protect_referenced_weight_class()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from inventory where weight_class_id = old.id and quantity <> 0
+  ) or exists (
+    select 1 from transactions where weight_class_id = old.id
+  ) then
+    raise exception 'Kelas berat "%" masih digunakan oleh inventaris atau transaksi. Arsipkan saja.', old.weight_range;
+  end if;
+
+  delete from inventory where weight_class_id = old.id;
+  return old;
+end;
+$$;
+
+drop trigger if exists protect_referenced_weight_class on public.weight_classes;
+create trigger protect_referenced_weight_class
+  before delete on public.weight_classes
+  for each row execute function public.protect_referenced_weight_class();
+
+-- Clients clear their reference data cache when these tables change.
+alter publication supabase_realtime add table public.lobster_types;
+alter publication supabase_realtime add table public.weight_classes;
@@ -0,0 +1,79 @@
+-- Numeric gram bounds for weight classes. A class covers
+-- [min_grams, max_grams); a null max_grams means "and above".
+
+alter table public.weight_classes
+  add column if not exists min_grams integer,
+  add column if not exists max_grams integer;
+
+-- Backfill from labels such as "100-200", "100-200g", "1000+" and "<100".
+update public.weight_classes
+set
+  min_grams = (regexp_match(weight_range, '^\s*(\d+)\s*-\s*(\d+)'))[1]::integer,
+  max_grams = (regexp_match(weight_range, '^\s*(\d+)\s*-\s*(\d+)'))[2]::integer
+where min_grams is null and weight_range ~ '^\s*\d+\s*-\s*\d+';
+
+update public.weight_classes
+set min_grams = (regexp_match(weight_range, '^\s*(\d+)'))[1]::integer
+where min_grams is null and weight_range ~ '^\s*\d+\s*g?\s*\+';
+
+update public.weight_classes
+set
+  min_grams = 0,
+  max_grams = (regexp_match(weight_range, '<\s*(\d+)'))[1]::integer
+where min_grams is null and weight_range ~ '^\s*<\s*\d+';
+
+alter table public.weight_classes
+  drop constraint if exists weight_classes_bounds_check;
+alter table public.weight_classes
+  add constraint weight_classes_bounds_check
+  check (
+    min_grams >= 0
+    and (max_grams is null or max_grams > min_grams)
+  );
+
+-- Active classes must form one contiguous scale without overlaps or gaps.
+-- Deferred so that several classes can be reshaped in one transaction.
+create or replace function public.validate_weight_class_ranges()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_previous record;
+  v_current record;
+  v_has_previous boolean := false;
+begin
+  for v_current in
+    select id, weight_range, min_grams, max_grams
+    from weight_classes
+    where archived_at is null
+    order by min_grams nulls first, max_grams nulls last
+  loop
+    if v_current.min_grams is null then
+      raise exception 'Batas bawah kelas % wajib diisi', v_current.weight_range;
+    end if;
+
+    if v_has_previous then
+      if v_previous.max_grams is null
+        or v_current.min_grams < v_previous.max_grams then
+        raise exception 'Kelas % dan % tumpang tindih',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+      if v_current.min_grams > v_previous.max_grams then
+        raise exception 'Ada celah antara kelas % dan %',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+    end if;
+
+    v_previous := v_current;
+    v_has_previous := true;
+  end loop;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists validate_weight_class_ranges on public.weight_classes;
+create constraint trigger validate_weight_class_ranges
+  after insert or update or delete on public.weight_classes
+  deferrable initially deferred
+  for each row execute function public.validate_weight_class_ranges();
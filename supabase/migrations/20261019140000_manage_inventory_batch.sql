@@ -0,0 +1,37 @@
+-- Post several manage_inventory movements that share a type, destination and
+-- date in one database transaction: either every line is recorded or none is.
+-- p_lines is a JSON array of {type_id, weight_class_id, quantity}.
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date
+    );
+  end loop;
+
+  return v_ids;
+end;
+$$;
@@ -0,0 +1,169 @@
+-- Shipments: one destination and date with many type/weight class lines,
+-- each line recorded as a DISTRIBUTE transaction.
+
+create table if not exists public.shipments (
+  id uuid primary key default gen_random_uuid(),
+  destination text not null,
+  shipment_date timestamptz not null default now(),
+  notes jsonb,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+alter table public.shipments enable row level security;
+
+drop policy if exists "Authenticated users can read shipments"
+  on public.shipments;
+create policy "Authenticated users can read shipments"
+  on public.shipments
+  for select
+  to authenticated
+  using (true);
+
+alter table public.transactions
+  add column if not exists shipment_id uuid references public.shipments (id);
+
+create index if not exists transactions_shipment_id_idx
+  on public.transactions (shipment_id);
+
+-- manage_inventory and manage_inventory_batch gain p_shipment_id.
+drop function if exists public.manage_inventory_batch(
+  jsonb, text, text, jsonb, timestamptz
+);
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_effect integer;
+  v_original transactions%rowtype;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_effect := -inventory_effect(v_original.transaction_type, v_original.quantity);
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  else
+    v_effect := inventory_effect(p_transaction_type, p_quantity);
+  end if;
+
+  perform apply_inventory_delta(p_type_id, p_weight_class_id, v_effect);
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    p_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_shipment_id uuid default null
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date,
+      null,
+      p_shipment_id
+    );
+  end loop;
+
+  return v_ids;
+end;
+$$;
+
+-- Create a shipment and distribute all of its lines, or nothing at all.
+create or replace function public.create_shipment(
+  p_destination text,
+  p_lines jsonb,
+  p_notes jsonb default null,
+  p_shipment_date timestamptz default now()
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_shipment_id uuid;
+begin
+  if p_destination is null or btrim(p_destination) = '' then
+    raise exception 'Tujuan pengiriman wajib diisi';
+  end if;
+
+  insert into shipments (destination, shipment_date, notes)
+  values (btrim(p_destination), coalesce(p_shipment_date, now()), p_notes)
+  returning id into v_shipment_id;
+
+  perform manage_inventory_batch(
+    p_lines,
+    'DISTRIBUTE',
+    btrim(p_destination),
+    p_notes,
+    coalesce(p_shipment_date, now()),
+    v_shipment_id
+  );
+
+  return v_shipment_id;
+end;
+$$;
@@ -0,0 +1,93 @@
+-- Delivery notes (surat jalan): one sequentially numbered document per
+-- DISTRIBUTE transaction or shipment. Reprints reuse the issued number.
+
+create sequence if not exists public.delivery_note_number_seq;
+
+create table if not exists public.delivery_notes (
+  id uuid primary key default gen_random_uuid(),
+  number text not null unique,
+  transaction_id uuid unique references public.transactions (id),
+  shipment_id uuid unique references public.shipments (id),
+  issued_by uuid references auth.users (id) default auth.uid(),
+  issued_at timestamptz not null default now(),
+  constraint delivery_notes_single_source check (
+    (transaction_id is null) <> (shipment_id is null)
+  )
+);
+
+alter table public.delivery_notes enable row level security;
+
+drop policy if exists "Authenticated users can read delivery notes"
+  on public.delivery_notes;
+create policy "Authenticated users can read delivery notes"
+  on public.delivery_notes
+  for select
+  to authenticated
+  using (true);
+
+-- Return the delivery note for a transaction or shipment, issuing the next
+-- number on first print.
+create or replace function public.issue_delivery_note(
+  p_transaction_id uuid default null,
+  p_shipment_id uuid default null
+) returns public.delivery_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_note delivery_notes%rowtype;
+  v_transaction transactions%rowtype;
+begin
+  if (p_transaction_id is null) = (p_shipment_id is null) then
+    raise exception 'Pilih satu transaksi atau satu pengiriman';
+  end if;
+
+  if p_transaction_id is not null then
+    select * into v_transaction from transactions where id = p_transaction_id;
+    if not found then
+      raise exception 'Transaksi tidak ditemukan';
+    end if;
+    if v_transaction.transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Surat jalan hanya untuk transaksi distribusi';
+    end if;
+    if v_transaction.voided_at is not null then
+      raise exception 'Transaksi sudah dibatalkan';
+    end if;
+    if v_transaction.shipment_id is not null then
+      raise exception 'Transaksi ini bagian dari pengiriman, cetak surat jalan pengirimannya';
+    end if;
+
+    select * into v_note from delivery_notes
+    where transaction_id = p_transaction_id;
+  else
+    perform 1 from shipments where id = p_shipment_id;
+    if not found then
+      raise exception 'Pengiriman tidak ditemukan';
+    end if;
+    perform 1 from transactions
+    where shipment_id = p_shipment_id and voided_at is null;
+    if not found then
+      raise exception 'Semua baris pengiriman sudah dibatalkan';
+    end if;
+
+    select * into v_note from delivery_notes
+    where shipment_id = p_shipment_id;
+  end if;
+
+  if found then
+    return v_note;
+  end if;
+
+  insert into delivery_notes (number, transaction_id, shipment_id)
+  values (
+    'SJ/' || to_char(now(), 'YYYY/MM') || '/' ||
+      lpad(nextval('delivery_note_number_seq')::text, 5, '0'),
+    p_transaction_id,
+    p_shipment_id
+  )
+  returning * into v_note;
+
+  return v_note;
+end;
+$$;
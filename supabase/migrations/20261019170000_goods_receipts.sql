@@ -0,0 +1,100 @@
+-- Goods receipts (bukti penerimaan barang) for ADD transactions. The number,
+-- print date, operator and a snapshot of the received lines are fixed on
+-- first print so reprints produce the same document.
+
+create sequence if not exists public.goods_receipt_number_seq;
+
+create table if not exists public.goods_receipts (
+  id uuid primary key default gen_random_uuid(),
+  number text not null unique,
+  transaction_id uuid not null unique references public.transactions (id),
+  origin text,
+  received_at timestamptz not null,
+  notes jsonb,
+  lines jsonb not null,
+  operator_email text,
+  issued_by uuid references auth.users (id) default auth.uid(),
+  issued_at timestamptz not null default now()
+);
+
+alter table public.goods_receipts enable row level security;
+
+drop policy if exists "Authenticated users can read goods receipts"
+  on public.goods_receipts;
+create policy "Authenticated users can read goods receipts"
+  on public.goods_receipts
+  for select
+  to authenticated
+  using (true);
+
+-- Return the goods receipt for an ADD transaction, issuing the next number
+-- on first print. The operator is whoever created the transaction according
+-- to the audit log.
+create or replace function public.issue_goods_receipt(
+  p_transaction_id uuid
+) returns public.goods_receipts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_receipt goods_receipts%rowtype;
+  v_transaction transactions%rowtype;
+begin
+  select * into v_receipt from goods_receipts
+  where transaction_id = p_transaction_id;
+  if found then
+    return v_receipt;
+  end if;
+
+  select * into v_transaction from transactions where id = p_transaction_id;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_transaction.transaction_type <> 'ADD' then
+    raise exception 'Bukti penerimaan hanya untuk transaksi penambahan';
+  end if;
+  if v_transaction.voided_at is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+
+  insert into goods_receipts (
+    number,
+    transaction_id,
+    origin,
+    received_at,
+    notes,
+    lines,
+    operator_email
+  )
+  values (
+    'BPB/' || to_char(now(), 'YYYY/MM') || '/' ||
+      lpad(nextval('goods_receipt_number_seq')::text, 5, '0'),
+    p_transaction_id,
+    v_transaction.destination,
+    v_transaction.transaction_date,
+    v_transaction.notes,
+    (
+      select jsonb_build_array(jsonb_build_object(
+        'type_name', lt.name,
+        'weight_range', wc.weight_range,
+        'min_grams', wc.min_grams,
+        'max_grams', wc.max_grams,
+        'quantity', abs(v_transaction.quantity)
+      ))
+      from lobster_types lt, weight_classes wc
+      where lt.id = v_transaction.type_id
+        and wc.id = v_transaction.weight_class_id
+    ),
+    (
+      select actor_email from transaction_audit_log
+      where transaction_id = p_transaction_id and action = 'INSERT'
+      order by changed_at
+      limit 1
+    )
+  )
+  returning * into v_receipt;
+
+  return v_receipt;
+end;
+$$;
@@ -0,0 +1,179 @@
+-- Suppliers (fisherman groups, collectors) that incoming stock is bought
+-- from. ADD transactions reference a supplier instead of a free-text origin.
+
+create table if not exists public.suppliers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  category text not null default 'NELAYAN'
+    check (category in ('NELAYAN', 'PENGEPUL', 'LAINNYA')),
+  contact_person text,
+  phone text,
+  address text,
+  notes text,
+  archived_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.suppliers enable row level security;
+
+drop policy if exists "Authenticated users can manage suppliers"
+  on public.suppliers;
+create policy "Authenticated users can manage suppliers"
+  on public.suppliers
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.suppliers;
+
+alter table public.transactions
+  add column if not exists supplier_id uuid references public.suppliers (id);
+
+create index if not exists transactions_supplier_id_idx
+  on public.transactions (supplier_id);
+
+create or replace function public.protect_referenced_supplier()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from transactions where supplier_id = old.id) then
+    raise exception 'Pemasok "%" masih digunakan oleh transaksi. Arsipkan saja.', old.name;
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists protect_referenced_supplier on public.suppliers;
+create trigger protect_referenced_supplier
+  before delete on public.suppliers
+  for each row execute function public.protect_referenced_supplier();
+
+-- manage_inventory and manage_inventory_batch gain p_supplier_id. The
+-- supplier name doubles as the origin so existing displays keep working.
+drop function if exists public.manage_inventory_batch(
+  jsonb, text, text, jsonb, timestamptz, uuid
+);
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_effect integer;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_effect := -inventory_effect(v_original.transaction_type, v_original.quantity);
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  else
+    v_effect := inventory_effect(p_transaction_type, p_quantity);
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  perform apply_inventory_delta(p_type_id, p_weight_class_id, v_effect);
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date,
+      null,
+      p_shipment_id,
+      p_supplier_id
+    );
+  end loop;
+
+  return v_ids;
+end;
+$$;
@@ -0,0 +1,305 @@
+-- Customers (buyers) that DISTRIBUTE transactions and shipments go to,
+-- replacing the free-text destination.
+
+create table if not exists public.customers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  contact_person text,
+  phone text,
+  address text,
+  notes text,
+  archived_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.customers enable row level security;
+
+drop policy if exists "Authenticated users can manage customers"
+  on public.customers;
+create policy "Authenticated users can manage customers"
+  on public.customers
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.customers;
+
+alter table public.transactions
+  add column if not exists customer_id uuid references public.customers (id);
+
+create index if not exists transactions_customer_id_idx
+  on public.transactions (customer_id);
+
+alter table public.shipments
+  add column if not exists customer_id uuid references public.customers (id);
+
+-- Existing free-text destinations become customers. Voided rows are
+-- protected from updates and the backfill is not a user edit, so the
+-- protection and audit triggers are paused while linking.
+insert into public.customers (name)
+select distinct btrim(destination)
+from public.transactions
+where transaction_type = 'DISTRIBUTE'
+  and destination is not null
+  and btrim(destination) <> ''
+on conflict (name) do nothing;
+
+alter table public.transactions disable trigger protect_voided_transactions;
+alter table public.transactions disable trigger log_transaction_change;
+
+update public.transactions t
+set customer_id = c.id
+from public.customers c
+where t.transaction_type = 'DISTRIBUTE'
+  and t.customer_id is null
+  and btrim(t.destination) = c.name;
+
+alter table public.transactions enable trigger log_transaction_change;
+alter table public.transactions enable trigger protect_voided_transactions;
+
+update public.shipments s
+set customer_id = c.id
+from public.customers c
+where s.customer_id is null
+  and btrim(s.destination) = c.name;
+
+create or replace function public.protect_referenced_customer()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from transactions where customer_id = old.id)
+    or exists (select 1 from shipments where customer_id = old.id) then
+    raise exception 'Pelanggan "%" masih digunakan oleh transaksi. Arsipkan saja.', old.name;
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists protect_referenced_customer on public.customers;
+create trigger protect_referenced_customer
+  before delete on public.customers
+  for each row execute function public.protect_referenced_customer();
+
+-- An edit that changes the transaction type drops a supplier or customer
+-- link that no longer applies.
+create or replace function public.clear_stale_partner_links()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.transaction_type <> 'ADD' then
+    new.supplier_id := null;
+  end if;
+  if new.transaction_type <> 'DISTRIBUTE' then
+    new.customer_id := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists clear_stale_partner_links on public.transactions;
+create trigger clear_stale_partner_links
+  before update of transaction_type on public.transactions
+  for each row execute function public.clear_stale_partner_links();
+
+-- manage_inventory, manage_inventory_batch and create_shipment gain
+-- p_customer_id. The customer name doubles as the destination.
+drop function if exists public.create_shipment(
+  text, jsonb, jsonb, timestamptz
+);
+drop function if exists public.manage_inventory_batch(
+  jsonb, text, text, jsonb, timestamptz, uuid, uuid
+);
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_effect integer;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_effect := -inventory_effect(v_original.transaction_type, v_original.quantity);
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  else
+    v_effect := inventory_effect(p_transaction_type, p_quantity);
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_customer_id is not null then
+    if p_transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Pelanggan hanya untuk transaksi distribusi';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  perform apply_inventory_delta(p_type_id, p_weight_class_id, v_effect);
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id,
+    customer_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date,
+      null,
+      p_shipment_id,
+      p_supplier_id,
+      p_customer_id
+    );
+  end loop;
+
+  return v_ids;
+end;
+$$;
+
+-- Create a shipment to a customer and distribute all of its lines, or
+-- nothing at all.
+create or replace function public.create_shipment(
+  p_destination text,
+  p_lines jsonb,
+  p_notes jsonb default null,
+  p_shipment_date timestamptz default now(),
+  p_customer_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_shipment_id uuid;
+  v_destination text := nullif(btrim(p_destination), '');
+begin
+  if p_customer_id is not null then
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if v_destination is null then
+    raise exception 'Tujuan pengiriman wajib diisi';
+  end if;
+
+  insert into shipments (destination, shipment_date, notes, customer_id)
+  values (
+    v_destination,
+    coalesce(p_shipment_date, now()),
+    p_notes,
+    p_customer_id
+  )
+  returning id into v_shipment_id;
+
+  perform manage_inventory_batch(
+    p_lines,
+    'DISTRIBUTE',
+    v_destination,
+    p_notes,
+    coalesce(p_shipment_date, now()),
+    v_shipment_id,
+    null,
+    p_customer_id
+  );
+
+  return v_shipment_id;
+end;
+$$;
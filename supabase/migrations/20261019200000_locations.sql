@@ -0,0 +1,598 @@
+-- Holding locations (tanks/ponds). Inventory is tracked per location and the
+-- TRANSFER transaction moves stock between locations without changing the
+-- total.
+
+create table if not exists public.locations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  sort_order integer not null default 0,
+  archived_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.locations enable row level security;
+
+drop policy if exists "Authenticated users can manage locations"
+  on public.locations;
+create policy "Authenticated users can manage locations"
+  on public.locations
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.locations;
+
+-- All stock held so far lives in one tank.
+insert into public.locations (name, sort_order)
+select 'Bak Utama', 1
+where not exists (select 1 from public.locations);
+
+-- Location used when a caller does not pick one
+create or replace function public.default_location_id()
+returns uuid
+language sql
+stable
+as $$
+  select id from locations
+  where archived_at is null
+  order by sort_order, name
+  limit 1;
+$$;
+
+-- Inventory rows are keyed by type, weight class and location.
+alter table public.inventory
+  add column if not exists location_id uuid references public.locations (id);
+
+update public.inventory
+set location_id = default_location_id()
+where location_id is null;
+
+alter table public.inventory alter column location_id set not null;
+
+do $$
+declare
+  v_constraint record;
+begin
+  for v_constraint in
+    select c.conname
+    from pg_constraint c
+    where c.conrelid = 'public.inventory'::regclass
+      and c.contype in ('p', 'u')
+      and (
+        select array_agg(a.attname::text order by a.attname)
+        from pg_attribute a
+        where a.attrelid = c.conrelid and a.attnum = any (c.conkey)
+      ) = array['type_id', 'weight_class_id']
+  loop
+    execute format(
+      'alter table public.inventory drop constraint %I',
+      v_constraint.conname
+    );
+  end loop;
+end;
+$$;
+
+alter table public.inventory
+  drop constraint if exists inventory_type_weight_class_location_key;
+alter table public.inventory
+  add constraint inventory_type_weight_class_location_key
+  unique (type_id, weight_class_id, location_id);
+
+-- Transactions record the location they happened in; transfers also record
+-- the receiving location.
+alter table public.transactions
+  add column if not exists location_id uuid references public.locations (id),
+  add column if not exists to_location_id uuid references public.locations (id);
+
+alter table public.transactions disable trigger protect_voided_transactions;
+alter table public.transactions disable trigger log_transaction_change;
+
+update public.transactions
+set location_id = default_location_id()
+where location_id is null;
+
+alter table public.transactions enable trigger log_transaction_change;
+alter table public.transactions enable trigger protect_voided_transactions;
+
+alter table public.transactions
+  drop constraint if exists transactions_transaction_type_check;
+alter table public.transactions
+  add constraint transactions_transaction_type_check
+  check (transaction_type in (
+    'ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'VOID', 'TRANSFER'
+  ));
+
+create or replace function public.protect_referenced_location()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from inventory where location_id = old.id and quantity <> 0
+  ) or exists (
+    select 1 from transactions
+    where location_id = old.id or to_location_id = old.id
+  ) then
+    raise exception 'Lokasi "%" masih digunakan oleh inventaris atau transaksi. Arsipkan saja.', old.name;
+  end if;
+
+  delete from inventory where location_id = old.id;
+  return old;
+end;
+$$;
+
+drop trigger if exists protect_referenced_location on public.locations;
+create trigger protect_referenced_location
+  before delete on public.locations
+  for each row execute function public.protect_referenced_location();
+
+-- A transfer leaves the total unchanged.
+create or replace function public.inventory_effect(
+  p_transaction_type text,
+  p_quantity integer
+) returns integer
+language plpgsql
+immutable
+as $$
+begin
+  case p_transaction_type
+    when 'ADD' then
+      return abs(p_quantity);
+    when 'DISTRIBUTE', 'DEATH', 'DAMAGED' then
+      return -abs(p_quantity);
+    when 'TRANSFER' then
+      return 0;
+    else
+      raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end case;
+end;
+$$;
+
+-- Apply a signed delta to one inventory row in one location, refusing to go
+-- below zero.
+drop function if exists public.apply_inventory_delta(uuid, uuid, integer);
+
+create or replace function public.apply_inventory_delta(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_location_id uuid,
+  p_delta integer
+) returns integer
+language plpgsql
+as $$
+declare
+  v_current integer;
+begin
+  if p_delta = 0 then
+    select quantity into v_current
+    from inventory
+    where type_id = p_type_id
+      and weight_class_id = p_weight_class_id
+      and location_id = p_location_id;
+    return coalesce(v_current, 0);
+  end if;
+
+  select quantity into v_current
+  from inventory
+  where type_id = p_type_id
+    and weight_class_id = p_weight_class_id
+    and location_id = p_location_id
+  for update;
+  v_current := coalesce(v_current, 0);
+
+  if v_current + p_delta < 0 then
+    raise exception 'Stok tidak cukup: tersedia % di %',
+      v_current,
+      (select name from locations where id = p_location_id);
+  end if;
+
+  insert into inventory (type_id, weight_class_id, location_id, quantity)
+  values (p_type_id, p_weight_class_id, p_location_id, p_delta)
+  on conflict (type_id, weight_class_id, location_id)
+  do update set quantity = inventory.quantity + excluded.quantity;
+
+  return v_current + p_delta;
+end;
+$$;
+
+-- Resolve a location for a new movement, falling back to the default tank
+create or replace function public.resolve_location(p_location_id uuid)
+returns uuid
+language plpgsql
+stable
+as $$
+declare
+  v_location_id uuid;
+begin
+  if p_location_id is null then
+    v_location_id := default_location_id();
+  else
+    select id into v_location_id
+    from locations
+    where id = p_location_id and archived_at is null;
+  end if;
+
+  if v_location_id is null then
+    raise exception 'Lokasi tidak ditemukan atau sudah diarsipkan';
+  end if;
+  return v_location_id;
+end;
+$$;
+
+-- manage_inventory, manage_inventory_batch and create_shipment gain the
+-- source location and, for transfers, the receiving location.
+drop function if exists public.create_shipment(
+  text, jsonb, jsonb, timestamptz, uuid
+);
+drop function if exists public.manage_inventory_batch(
+  jsonb, text, text, jsonb, timestamptz, uuid, uuid, uuid
+);
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+  v_location_id uuid;
+  v_to_location_id uuid;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_customer_id is not null then
+    if p_transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Pelanggan hanya untuk transaksi distribusi';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_location_id := v_original.location_id;
+    v_to_location_id := v_original.to_location_id;
+
+    if v_original.transaction_type = 'TRANSFER' then
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_to_location_id, -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_location_id, abs(v_original.quantity)
+      );
+    else
+      perform apply_inventory_delta(
+        p_type_id,
+        p_weight_class_id,
+        v_location_id,
+        -inventory_effect(v_original.transaction_type, v_original.quantity)
+      );
+    end if;
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  elsif p_transaction_type = 'TRANSFER' then
+    v_location_id := resolve_location(p_location_id);
+    if p_to_location_id is null then
+      raise exception 'Lokasi tujuan transfer wajib diisi';
+    end if;
+    v_to_location_id := resolve_location(p_to_location_id);
+    if v_to_location_id = v_location_id then
+      raise exception 'Lokasi tujuan transfer harus berbeda dari lokasi asal';
+    end if;
+
+    -- The source tank is checked first, so a short transfer moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_to_location_id, p_quantity
+    );
+  else
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_location_id,
+      inventory_effect(p_transaction_type, p_quantity)
+    );
+  end if;
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id,
+    customer_id,
+    location_id,
+    to_location_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    v_location_id,
+    v_to_location_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date,
+      null,
+      p_shipment_id,
+      p_supplier_id,
+      p_customer_id,
+      p_location_id,
+      p_to_location_id
+    );
+  end loop;
+
+  return v_ids;
+end;
+$$;
+
+-- Create a shipment to a customer from one tank and distribute all of its
+-- lines, or nothing at all.
+create or replace function public.create_shipment(
+  p_destination text,
+  p_lines jsonb,
+  p_notes jsonb default null,
+  p_shipment_date timestamptz default now(),
+  p_customer_id uuid default null,
+  p_location_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_shipment_id uuid;
+  v_destination text := nullif(btrim(p_destination), '');
+begin
+  if p_customer_id is not null then
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if v_destination is null then
+    raise exception 'Tujuan pengiriman wajib diisi';
+  end if;
+
+  insert into shipments (destination, shipment_date, notes, customer_id)
+  values (
+    v_destination,
+    coalesce(p_shipment_date, now()),
+    p_notes,
+    p_customer_id
+  )
+  returning id into v_shipment_id;
+
+  perform manage_inventory_batch(
+    p_lines,
+    'DISTRIBUTE',
+    v_destination,
+    p_notes,
+    coalesce(p_shipment_date, now()),
+    v_shipment_id,
+    null,
+    p_customer_id,
+    p_location_id
+  );
+
+  return v_shipment_id;
+end;
+$$;
+
+create or replace function public.void_transaction(
+  p_transaction_id uuid,
+  p_reason text default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_original transactions%rowtype;
+  v_void_id uuid;
+begin
+  select * into v_original
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_original.voided_at is not null or v_original.reversal_of is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+
+  -- The VOID row takes its locations from the original inside
+  -- manage_inventory.
+  v_void_id := manage_inventory(
+    v_original.type_id,
+    v_original.weight_class_id,
+    abs(v_original.quantity),
+    'VOID',
+    v_original.destination,
+    case when p_reason is null or p_reason = '' then null
+      else jsonb_build_object('note', p_reason) end,
+    now(),
+    v_original.id
+  );
+
+  update transactions
+  set voided_at = now(), voided_by = auth.uid()
+  where id = v_original.id;
+
+  return v_void_id;
+end;
+$$;
+
+-- Edits stay in the transaction's own location. Transfers are voided and
+-- re-entered instead of edited.
+create or replace function public.edit_transaction(
+  p_transaction_id uuid,
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns void
+language plpgsql
+as $$
+declare
+  v_old transactions%rowtype;
+  v_old_effect integer;
+  v_new_effect integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  select * into v_old
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_old.voided_at is not null or v_old.reversal_of is not null then
+    raise exception 'Transaksi yang dibatalkan tidak dapat diubah atau dihapus';
+  end if;
+  if p_transaction_type = 'VOID' then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end if;
+  if v_old.transaction_type = 'TRANSFER' or p_transaction_type = 'TRANSFER' then
+    raise exception 'Transfer tidak dapat diubah. Batalkan lalu buat ulang.';
+  end if;
+
+  v_old_effect := inventory_effect(v_old.transaction_type, v_old.quantity);
+  v_new_effect := inventory_effect(p_transaction_type, p_quantity);
+
+  -- Net the two effects on the same SKU so that correcting a typo never
+  -- trips the stock check halfway through.
+  if v_old.type_id = p_type_id and v_old.weight_class_id = p_weight_class_id then
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect - v_old_effect
+    );
+  else
+    perform apply_inventory_delta(
+      v_old.type_id,
+      v_old.weight_class_id,
+      v_old.location_id,
+      -v_old_effect
+    );
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect
+    );
+  end if;
+
+  update transactions
+  set
+    type_id = p_type_id,
+    weight_class_id = p_weight_class_id,
+    quantity = p_quantity,
+    transaction_type = p_transaction_type,
+    destination = p_destination,
+    notes = p_notes,
+    transaction_date = coalesce(p_transaction_date, v_old.transaction_date)
+  where id = p_transaction_id;
+end;
+$$;
@@ -0,0 +1,332 @@
+-- RECLASSIFY moves lobsters that grew into a heavier weight class from one
+-- weight class to another within the same location, without changing the
+-- total.
+
+alter table public.transactions
+  add column if not exists to_weight_class_id uuid
+    references public.weight_classes (id);
+
+alter table public.transactions
+  drop constraint if exists transactions_transaction_type_check;
+alter table public.transactions
+  add constraint transactions_transaction_type_check
+  check (transaction_type in (
+    'ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'VOID', 'TRANSFER', 'RECLASSIFY'
+  ));
+
+create or replace function public.protect_referenced_weight_class()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from inventory where weight_class_id = old.id and quantity <> 0
+  ) or exists (
+    select 1 from transactions
+    where weight_class_id = old.id or to_weight_class_id = old.id
+  ) then
+    raise exception 'Kelas berat "%" masih digunakan oleh inventaris atau transaksi. Arsipkan saja.', old.weight_range;
+  end if;
+
+  delete from inventory where weight_class_id = old.id;
+  return old;
+end;
+$$;
+
+-- A reclassification leaves the total unchanged.
+create or replace function public.inventory_effect(
+  p_transaction_type text,
+  p_quantity integer
+) returns integer
+language plpgsql
+immutable
+as $$
+begin
+  case p_transaction_type
+    when 'ADD' then
+      return abs(p_quantity);
+    when 'DISTRIBUTE', 'DEATH', 'DAMAGED' then
+      return -abs(p_quantity);
+    when 'TRANSFER', 'RECLASSIFY' then
+      return 0;
+    else
+      raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end case;
+end;
+$$;
+
+-- manage_inventory gains the receiving weight class of a reclassification.
+-- manage_inventory_batch and create_shipment call it positionally with
+-- fewer arguments and keep working unchanged.
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid, uuid,
+  uuid, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null,
+  p_to_weight_class_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+  v_location_id uuid;
+  v_to_location_id uuid;
+  v_to_weight_class_id uuid;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_customer_id is not null then
+    if p_transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Pelanggan hanya untuk transaksi distribusi';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_to_weight_class_id is not null and p_transaction_type <> 'RECLASSIFY' then
+    raise exception 'Kelas berat tujuan hanya untuk reklasifikasi';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_location_id := v_original.location_id;
+    v_to_location_id := v_original.to_location_id;
+    v_to_weight_class_id := v_original.to_weight_class_id;
+
+    if v_original.transaction_type = 'TRANSFER' then
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_to_location_id, -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_location_id, abs(v_original.quantity)
+      );
+    elsif v_original.transaction_type = 'RECLASSIFY' then
+      perform apply_inventory_delta(
+        p_type_id, v_to_weight_class_id, v_location_id, -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_location_id, abs(v_original.quantity)
+      );
+    else
+      perform apply_inventory_delta(
+        p_type_id,
+        p_weight_class_id,
+        v_location_id,
+        -inventory_effect(v_original.transaction_type, v_original.quantity)
+      );
+    end if;
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  elsif p_transaction_type = 'TRANSFER' then
+    v_location_id := resolve_location(p_location_id);
+    if p_to_location_id is null then
+      raise exception 'Lokasi tujuan transfer wajib diisi';
+    end if;
+    v_to_location_id := resolve_location(p_to_location_id);
+    if v_to_location_id = v_location_id then
+      raise exception 'Lokasi tujuan transfer harus berbeda dari lokasi asal';
+    end if;
+
+    -- The source tank is checked first, so a short transfer moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_to_location_id, p_quantity
+    );
+  elsif p_transaction_type = 'RECLASSIFY' then
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    if p_to_weight_class_id is null then
+      raise exception 'Kelas berat tujuan reklasifikasi wajib diisi';
+    end if;
+    if p_to_weight_class_id = p_weight_class_id then
+      raise exception 'Kelas berat tujuan harus berbeda dari kelas berat asal';
+    end if;
+    select id into v_to_weight_class_id
+    from weight_classes
+    where id = p_to_weight_class_id and archived_at is null;
+    if not found then
+      raise exception 'Kelas berat tidak ditemukan atau sudah diarsipkan';
+    end if;
+
+    -- The source weight class is checked first, so a short reclassification
+    -- moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, v_to_weight_class_id, v_location_id, p_quantity
+    );
+  else
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_location_id,
+      inventory_effect(p_transaction_type, p_quantity)
+    );
+  end if;
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id,
+    customer_id,
+    location_id,
+    to_location_id,
+    to_weight_class_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    v_location_id,
+    v_to_location_id,
+    v_to_weight_class_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+-- Like transfers, reclassifications are voided and re-entered instead of
+-- edited.
+create or replace function public.edit_transaction(
+  p_transaction_id uuid,
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns void
+language plpgsql
+as $$
+declare
+  v_old transactions%rowtype;
+  v_old_effect integer;
+  v_new_effect integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  select * into v_old
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_old.voided_at is not null or v_old.reversal_of is not null then
+    raise exception 'Transaksi yang dibatalkan tidak dapat diubah atau dihapus';
+  end if;
+  if p_transaction_type = 'VOID' then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end if;
+  if v_old.transaction_type = 'TRANSFER' or p_transaction_type = 'TRANSFER' then
+    raise exception 'Transfer tidak dapat diubah. Batalkan lalu buat ulang.';
+  end if;
+  if v_old.transaction_type = 'RECLASSIFY'
+    or p_transaction_type = 'RECLASSIFY' then
+    raise exception 'Reklasifikasi tidak dapat diubah. Batalkan lalu buat ulang.';
+  end if;
+
+  v_old_effect := inventory_effect(v_old.transaction_type, v_old.quantity);
+  v_new_effect := inventory_effect(p_transaction_type, p_quantity);
+
+  -- Net the two effects on the same SKU so that correcting a typo never
+  -- trips the stock check halfway through.
+  if v_old.type_id = p_type_id and v_old.weight_class_id = p_weight_class_id then
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect - v_old_effect
+    );
+  else
+    perform apply_inventory_delta(
+      v_old.type_id,
+      v_old.weight_class_id,
+      v_old.location_id,
+      -v_old_effect
+    );
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect
+    );
+  end if;
+
+  update transactions
+  set
+    type_id = p_type_id,
+    weight_class_id = p_weight_class_id,
+    quantity = p_quantity,
+    transaction_type = p_transaction_type,
+    destination = p_destination,
+    notes = p_notes,
+    transaction_date = coalesce(p_transaction_date, v_old.transaction_date)
+  where id = p_transaction_id;
+end;
+$$;
@@ -0,0 +1,563 @@
+-- Stock opname (physical count). A stock take snapshots the expected
+-- quantities, staff enter what they counted, and approval posts the
+-- variances as ADJUSTMENT_IN / ADJUSTMENT_OUT transactions.
+
+create table if not exists public.stock_takes (
+  id uuid primary key default gen_random_uuid(),
+  -- null counts every location
+  location_id uuid references public.locations (id),
+  status text not null default 'DRAFT'
+    check (status in ('DRAFT', 'APPROVED', 'CANCELLED')),
+  notes text,
+  reason text,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  approved_by uuid,
+  approved_at timestamptz
+);
+
+-- One open count per location, or one for all locations
+create unique index if not exists stock_takes_one_draft_idx
+  on public.stock_takes (
+    coalesce(location_id, '00000000-0000-0000-0000-000000000000'::uuid)
+  )
+  where status = 'DRAFT';
+
+create table if not exists public.stock_take_lines (
+  id uuid primary key default gen_random_uuid(),
+  stock_take_id uuid not null
+    references public.stock_takes (id) on delete cascade,
+  type_id uuid not null references public.lobster_types (id),
+  weight_class_id uuid not null references public.weight_classes (id),
+  location_id uuid not null references public.locations (id),
+  expected_quantity integer not null,
+  counted_quantity integer check (counted_quantity >= 0),
+  unique (stock_take_id, type_id, weight_class_id, location_id)
+);
+
+alter table public.stock_takes enable row level security;
+alter table public.stock_take_lines enable row level security;
+
+drop policy if exists "Authenticated users can read stock takes"
+  on public.stock_takes;
+create policy "Authenticated users can read stock takes"
+  on public.stock_takes
+  for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Authenticated users can read stock take lines"
+  on public.stock_take_lines;
+create policy "Authenticated users can read stock take lines"
+  on public.stock_take_lines
+  for select
+  to authenticated
+  using (true);
+
+alter publication supabase_realtime add table public.stock_takes;
+alter publication supabase_realtime add table public.stock_take_lines;
+
+alter table public.transactions
+  add column if not exists stock_take_id uuid
+    references public.stock_takes (id);
+
+alter table public.transactions
+  drop constraint if exists transactions_transaction_type_check;
+alter table public.transactions
+  add constraint transactions_transaction_type_check
+  check (transaction_type in (
+    'ADD', 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'VOID', 'TRANSFER', 'RECLASSIFY',
+    'ADJUSTMENT_IN', 'ADJUSTMENT_OUT'
+  ));
+
+create or replace function public.inventory_effect(
+  p_transaction_type text,
+  p_quantity integer
+) returns integer
+language plpgsql
+immutable
+as $$
+begin
+  case p_transaction_type
+    when 'ADD', 'ADJUSTMENT_IN' then
+      return abs(p_quantity);
+    when 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'ADJUSTMENT_OUT' then
+      return -abs(p_quantity);
+    when 'TRANSFER', 'RECLASSIFY' then
+      return 0;
+    else
+      raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end case;
+end;
+$$;
+
+-- manage_inventory gains the stock take an adjustment was posted from.
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid, uuid,
+  uuid, uuid, uuid
+);
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null,
+  p_to_weight_class_id uuid default null,
+  p_stock_take_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+  v_location_id uuid;
+  v_to_location_id uuid;
+  v_to_weight_class_id uuid;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type in ('ADJUSTMENT_IN', 'ADJUSTMENT_OUT')
+    and p_stock_take_id is null then
+    raise exception 'Penyesuaian hanya dapat diposting dari stok opname';
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_customer_id is not null then
+    if p_transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Pelanggan hanya untuk transaksi distribusi';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_to_weight_class_id is not null and p_transaction_type <> 'RECLASSIFY' then
+    raise exception 'Kelas berat tujuan hanya untuk reklasifikasi';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_location_id := v_original.location_id;
+    v_to_location_id := v_original.to_location_id;
+    v_to_weight_class_id := v_original.to_weight_class_id;
+
+    if v_original.transaction_type = 'TRANSFER' then
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_to_location_id, -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_location_id, abs(v_original.quantity)
+      );
+    elsif v_original.transaction_type = 'RECLASSIFY' then
+      perform apply_inventory_delta(
+        p_type_id, v_to_weight_class_id, v_location_id, -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        p_type_id, p_weight_class_id, v_location_id, abs(v_original.quantity)
+      );
+    else
+      perform apply_inventory_delta(
+        p_type_id,
+        p_weight_class_id,
+        v_location_id,
+        -inventory_effect(v_original.transaction_type, v_original.quantity)
+      );
+    end if;
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  elsif p_transaction_type = 'TRANSFER' then
+    v_location_id := resolve_location(p_location_id);
+    if p_to_location_id is null then
+      raise exception 'Lokasi tujuan transfer wajib diisi';
+    end if;
+    v_to_location_id := resolve_location(p_to_location_id);
+    if v_to_location_id = v_location_id then
+      raise exception 'Lokasi tujuan transfer harus berbeda dari lokasi asal';
+    end if;
+
+    -- The source tank is checked first, so a short transfer moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_to_location_id, p_quantity
+    );
+  elsif p_transaction_type = 'RECLASSIFY' then
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    if p_to_weight_class_id is null then
+      raise exception 'Kelas berat tujuan reklasifikasi wajib diisi';
+    end if;
+    if p_to_weight_class_id = p_weight_class_id then
+      raise exception 'Kelas berat tujuan harus berbeda dari kelas berat asal';
+    end if;
+    select id into v_to_weight_class_id
+    from weight_classes
+    where id = p_to_weight_class_id and archived_at is null;
+    if not found then
+      raise exception 'Kelas berat tidak ditemukan atau sudah diarsipkan';
+    end if;
+
+    -- The source weight class is checked first, so a short reclassification
+    -- moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, v_to_weight_class_id, v_location_id, p_quantity
+    );
+  else
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_location_id,
+      inventory_effect(p_transaction_type, p_quantity)
+    );
+  end if;
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id,
+    customer_id,
+    location_id,
+    to_location_id,
+    to_weight_class_id,
+    stock_take_id
+  ) values (
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    v_location_id,
+    v_to_location_id,
+    v_to_weight_class_id,
+    p_stock_take_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+-- Adjustments belong to their stock take and are only ever voided.
+create or replace function public.edit_transaction(
+  p_transaction_id uuid,
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now()
+) returns void
+language plpgsql
+as $$
+declare
+  v_old transactions%rowtype;
+  v_old_effect integer;
+  v_new_effect integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  select * into v_old
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_old.voided_at is not null or v_old.reversal_of is not null then
+    raise exception 'Transaksi yang dibatalkan tidak dapat diubah atau dihapus';
+  end if;
+  if p_transaction_type = 'VOID' then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  end if;
+  if v_old.transaction_type = 'TRANSFER' or p_transaction_type = 'TRANSFER' then
+    raise exception 'Transfer tidak dapat diubah. Batalkan lalu buat ulang.';
+  end if;
+  if v_old.transaction_type = 'RECLASSIFY'
+    or p_transaction_type = 'RECLASSIFY' then
+    raise exception 'Reklasifikasi tidak dapat diubah. Batalkan lalu buat ulang.';
+  end if;
+  if v_old.transaction_type in ('ADJUSTMENT_IN', 'ADJUSTMENT_OUT')
+    or p_transaction_type in ('ADJUSTMENT_IN', 'ADJUSTMENT_OUT') then
+    raise exception 'Penyesuaian stok opname tidak dapat diubah';
+  end if;
+
+  v_old_effect := inventory_effect(v_old.transaction_type, v_old.quantity);
+  v_new_effect := inventory_effect(p_transaction_type, p_quantity);
+
+  -- Net the two effects on the same SKU so that correcting a typo never
+  -- trips the stock check halfway through.
+  if v_old.type_id = p_type_id and v_old.weight_class_id = p_weight_class_id then
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect - v_old_effect
+    );
+  else
+    perform apply_inventory_delta(
+      v_old.type_id,
+      v_old.weight_class_id,
+      v_old.location_id,
+      -v_old_effect
+    );
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_old.location_id,
+      v_new_effect
+    );
+  end if;
+
+  update transactions
+  set
+    type_id = p_type_id,
+    weight_class_id = p_weight_class_id,
+    quantity = p_quantity,
+    transaction_type = p_transaction_type,
+    destination = p_destination,
+    notes = p_notes,
+    transaction_date = coalesce(p_transaction_date, v_old.transaction_date)
+  where id = p_transaction_id;
+end;
+$$;
+
+-- Open a stock take with one line per type, weight class and location.
+-- Archived master data is only listed while it still holds stock.
+create or replace function public.start_stock_take(
+  p_location_id uuid default null,
+  p_notes text default null
+) returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock_take_id uuid;
+begin
+  if p_location_id is not null then
+    perform resolve_location(p_location_id);
+  end if;
+
+  if exists (
+    select 1 from stock_takes
+    where status = 'DRAFT'
+      and location_id is not distinct from p_location_id
+  ) then
+    raise exception 'Masih ada stok opname yang belum selesai untuk lokasi ini';
+  end if;
+
+  insert into stock_takes (location_id, notes)
+  values (p_location_id, nullif(btrim(p_notes), ''))
+  returning id into v_stock_take_id;
+
+  insert into stock_take_lines (
+    stock_take_id,
+    type_id,
+    weight_class_id,
+    location_id,
+    expected_quantity
+  )
+  select
+    v_stock_take_id,
+    lt.id,
+    wc.id,
+    l.id,
+    coalesce(i.quantity, 0)
+  from locations l
+  cross join lobster_types lt
+  cross join weight_classes wc
+  left join inventory i
+    on i.type_id = lt.id
+    and i.weight_class_id = wc.id
+    and i.location_id = l.id
+  where (p_location_id is null or l.id = p_location_id)
+    and (
+      (l.archived_at is null and lt.archived_at is null and wc.archived_at is null)
+      or coalesce(i.quantity, 0) <> 0
+    );
+
+  return v_stock_take_id;
+end;
+$$;
+
+-- Save counted quantities of a draft: [{ line_id, counted_quantity }].
+-- A null count clears the line.
+create or replace function public.save_stock_take_counts(
+  p_stock_take_id uuid,
+  p_counts jsonb
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count jsonb;
+  v_quantity integer;
+begin
+  if not exists (
+    select 1 from stock_takes where id = p_stock_take_id and status = 'DRAFT'
+  ) then
+    raise exception 'Stok opname sudah disetujui atau dibatalkan';
+  end if;
+
+  for v_count in select * from jsonb_array_elements(coalesce(p_counts, '[]'))
+  loop
+    v_quantity := (v_count ->> 'counted_quantity')::integer;
+    if v_quantity < 0 then
+      raise exception 'Jumlah hitungan tidak boleh negatif';
+    end if;
+    update stock_take_lines
+    set counted_quantity = v_quantity
+    where id = (v_count ->> 'line_id')::uuid
+      and stock_take_id = p_stock_take_id;
+  end loop;
+end;
+$$;
+
+-- Approve a draft: every counted line that differs from its snapshot posts
+-- one adjustment with the given reason. Returns the number of adjustments.
+create or replace function public.approve_stock_take(
+  p_stock_take_id uuid,
+  p_reason text
+) returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock_take stock_takes%rowtype;
+  v_line stock_take_lines%rowtype;
+  v_reason text := nullif(btrim(p_reason), '');
+  v_variance integer;
+  v_posted integer := 0;
+begin
+  if v_reason is null then
+    raise exception 'Alasan penyesuaian wajib diisi';
+  end if;
+
+  select * into v_stock_take
+  from stock_takes
+  where id = p_stock_take_id
+  for update;
+  if not found then
+    raise exception 'Stok opname tidak ditemukan';
+  end if;
+  if v_stock_take.status <> 'DRAFT' then
+    raise exception 'Stok opname sudah disetujui atau dibatalkan';
+  end if;
+  if not exists (
+    select 1 from stock_take_lines
+    where stock_take_id = p_stock_take_id and counted_quantity is not null
+  ) then
+    raise exception 'Belum ada jumlah yang dihitung';
+  end if;
+
+  for v_line in
+    select * from stock_take_lines
+    where stock_take_id = p_stock_take_id
+      and counted_quantity is not null
+      and counted_quantity <> expected_quantity
+  loop
+    v_variance := v_line.counted_quantity - v_line.expected_quantity;
+    perform manage_inventory(
+      v_line.type_id,
+      v_line.weight_class_id,
+      abs(v_variance),
+      case when v_variance > 0 then 'ADJUSTMENT_IN' else 'ADJUSTMENT_OUT' end,
+      null,
+      jsonb_build_object('note', v_reason),
+      now(),
+      null,
+      null,
+      null,
+      null,
+      v_line.location_id,
+      null,
+      null,
+      p_stock_take_id
+    );
+    v_posted := v_posted + 1;
+  end loop;
+
+  update stock_takes
+  set
+    status = 'APPROVED',
+    reason = v_reason,
+    approved_by = auth.uid(),
+    approved_at = now()
+  where id = p_stock_take_id;
+
+  return v_posted;
+end;
+$$;
+
+create or replace function public.cancel_stock_take(p_stock_take_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update stock_takes
+  set status = 'CANCELLED'
+  where id = p_stock_take_id and status = 'DRAFT';
+  if not found then
+    raise exception 'Stok opname sudah disetujui atau dibatalkan';
+  end if;
+end;
+$$;
@@ -0,0 +1,57 @@
+-- Stock per type, weight class and location at a point in time, rebuilt by
+-- replaying every transaction dated up to that moment. A VOID row undoes
+-- its original from the void's own date, so a row voided later still
+-- counts before that date.
+
+create or replace function public.stock_as_of(p_as_of timestamptz)
+returns table (
+  type_id uuid,
+  weight_class_id uuid,
+  location_id uuid,
+  quantity integer
+)
+language sql
+stable
+as $$
+  with movements as (
+    select
+      t.type_id,
+      t.weight_class_id,
+      t.location_id,
+      t.to_location_id,
+      t.to_weight_class_id,
+      coalesce(o.transaction_type, t.transaction_type) as movement_type,
+      case when t.transaction_type = 'VOID' then -1 else 1 end as direction,
+      abs(t.quantity) as amount
+    from transactions t
+    left join transactions o
+      on t.transaction_type = 'VOID' and o.id = t.reversal_of
+    where t.transaction_date <= p_as_of
+  ),
+  deltas as (
+    -- Source leg; transfers and reclassifications leave their origin
+    select
+      m.type_id,
+      m.weight_class_id,
+      m.location_id,
+      m.direction * case
+        when m.movement_type in ('TRANSFER', 'RECLASSIFY') then -m.amount
+        else inventory_effect(m.movement_type, m.amount)
+      end as delta
+    from movements m
+    union all
+    -- Receiving tank of a transfer
+    select m.type_id, m.weight_class_id, m.to_location_id, m.direction * m.amount
+    from movements m
+    where m.movement_type = 'TRANSFER'
+    union all
+    -- Receiving weight class of a reclassification
+    select m.type_id, m.to_weight_class_id, m.location_id, m.direction * m.amount
+    from movements m
+    where m.movement_type = 'RECLASSIFY'
+  )
+  select d.type_id, d.weight_class_id, d.location_id, sum(d.delta)::integer
+  from deltas d
+  group by d.type_id, d.weight_class_id, d.location_id
+  having sum(d.delta) <> 0;
+$$;
@@ -0,0 +1,112 @@
+-- Reconciliation of the inventory table against the transactions history.
+-- The history is the source of truth: replaying it gives the stock each
+-- type, weight class and location should hold, and a correction resets the
+-- inventory row to that figure while recording what it replaced.
+
+create table if not exists public.inventory_corrections (
+  id uuid primary key default gen_random_uuid(),
+  type_id uuid not null references public.lobster_types (id),
+  weight_class_id uuid not null references public.weight_classes (id),
+  location_id uuid not null references public.locations (id),
+  recorded_quantity integer not null,
+  expected_quantity integer not null,
+  reason text not null,
+  corrected_by uuid references auth.users (id) default auth.uid(),
+  corrected_by_email text default auth.jwt() ->> 'email',
+  corrected_at timestamptz not null default now()
+);
+
+create index if not exists inventory_corrections_corrected_at_idx
+  on public.inventory_corrections (corrected_at desc);
+
+alter table public.inventory_corrections enable row level security;
+
+drop policy if exists "Authenticated users can read inventory corrections"
+  on public.inventory_corrections;
+create policy "Authenticated users can read inventory corrections"
+  on public.inventory_corrections
+  for select
+  to authenticated
+  using (true);
+
+-- Every row where the inventory table disagrees with the replayed history
+create or replace function public.inventory_mismatches()
+returns table (
+  type_id uuid,
+  weight_class_id uuid,
+  location_id uuid,
+  recorded_quantity integer,
+  expected_quantity integer
+)
+language sql
+stable
+as $$
+  select
+    coalesce(i.type_id, e.type_id),
+    coalesce(i.weight_class_id, e.weight_class_id),
+    coalesce(i.location_id, e.location_id),
+    coalesce(i.quantity, 0),
+    coalesce(e.quantity, 0)
+  from inventory i
+  full join stock_as_of('infinity') e
+    on e.type_id = i.type_id
+    and e.weight_class_id = i.weight_class_id
+    and e.location_id = i.location_id
+  where coalesce(i.quantity, 0) <> coalesce(e.quantity, 0);
+$$;
+
+-- Reset every mismatched inventory row to the replayed quantity and log the
+-- change. A negative replayed quantity cannot be stored and means the
+-- history itself needs fixing, so those rows are left for the user.
+create or replace function public.correct_inventory(p_reason text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_reason text := nullif(btrim(p_reason), '');
+  v_mismatch record;
+  v_corrected integer := 0;
+begin
+  if v_reason is null then
+    raise exception 'Alasan koreksi wajib diisi';
+  end if;
+
+  -- Keep new movements out until the comparison and the fix are done
+  lock table inventory in share row exclusive mode;
+
+  for v_mismatch in
+    select * from inventory_mismatches() m where m.expected_quantity >= 0
+  loop
+    insert into inventory (type_id, weight_class_id, location_id, quantity)
+    values (
+      v_mismatch.type_id,
+      v_mismatch.weight_class_id,
+      v_mismatch.location_id,
+      v_mismatch.expected_quantity
+    )
+    on conflict (type_id, weight_class_id, location_id)
+    do update set quantity = excluded.quantity;
+
+    insert into inventory_corrections (
+      type_id,
+      weight_class_id,
+      location_id,
+      recorded_quantity,
+      expected_quantity,
+      reason
+    ) values (
+      v_mismatch.type_id,
+      v_mismatch.weight_class_id,
+      v_mismatch.location_id,
+      v_mismatch.recorded_quantity,
+      v_mismatch.expected_quantity,
+      v_reason
+    );
+    v_corrected := v_corrected + 1;
+  end loop;
+
+  return v_corrected;
+end;
+$$;
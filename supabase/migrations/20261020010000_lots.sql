@@ -0,0 +1,396 @@
+-- Lot tracking. Every receipt (ADD) and opname surplus (ADJUSTMENT_IN)
+-- opens a lot; outgoing movements consume lots oldest first unless the
+-- allocation is overridden by hand. Transfers and reclassifications move
+-- the consumed quantity into child lots that keep the original code, so a
+-- lot stays traceable from its supplier to the customers that received it.
+
+create table if not exists public.lots (
+  id uuid primary key default gen_random_uuid(),
+  code text not null,
+  -- set on the lot rows a transfer or reclassification split off
+  parent_lot_id uuid references public.lots (id),
+  -- null only for the opening lots created from the existing stock
+  transaction_id uuid references public.transactions (id),
+  type_id uuid not null references public.lobster_types (id),
+  weight_class_id uuid not null references public.weight_classes (id),
+  location_id uuid not null references public.locations (id),
+  supplier_id uuid references public.suppliers (id),
+  origin text not null check (origin in ('ADD', 'ADJUSTMENT_IN', 'OPENING')),
+  received_at timestamptz not null,
+  received_quantity integer not null check (received_quantity > 0),
+  remaining_quantity integer not null,
+  created_at timestamptz not null default now(),
+  check (
+    remaining_quantity >= 0 and remaining_quantity <= received_quantity
+  )
+);
+
+create unique index if not exists lots_code_idx
+  on public.lots (code)
+  where parent_lot_id is null;
+create index if not exists lots_available_idx
+  on public.lots (type_id, weight_class_id, location_id, received_at)
+  where remaining_quantity > 0;
+create index if not exists lots_transaction_id_idx
+  on public.lots (transaction_id);
+
+create table if not exists public.lot_consumptions (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  -- null for the part of a movement not covered by any lot
+  lot_id uuid references public.lots (id),
+  quantity integer not null check (quantity > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists lot_consumptions_transaction_id_idx
+  on public.lot_consumptions (transaction_id);
+create index if not exists lot_consumptions_lot_id_idx
+  on public.lot_consumptions (lot_id);
+
+alter table public.lots enable row level security;
+alter table public.lot_consumptions enable row level security;
+
+drop policy if exists "Authenticated users can read lots" on public.lots;
+create policy "Authenticated users can read lots"
+  on public.lots
+  for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Authenticated users can read lot consumptions"
+  on public.lot_consumptions;
+create policy "Authenticated users can read lot consumptions"
+  on public.lot_consumptions
+  for select
+  to authenticated
+  using (true);
+
+alter publication supabase_realtime add table public.lots;
+
+create sequence if not exists public.lot_code_seq;
+
+-- LOT-<receipt date>-<running number>, e.g. LOT-261019-0042
+create or replace function public.next_lot_code(p_received_at timestamptz)
+returns text
+language sql
+as $$
+  select 'LOT-' || to_char(p_received_at, 'YYMMDD') || '-'
+    || lpad(nextval('lot_code_seq')::text, 4, '0');
+$$;
+
+-- Take p_quantity out of the lots of a SKU at a location and record the
+-- consumption. p_allocations ([{lot_id, quantity}]) overrides the default
+-- oldest-first order; whatever no lot covers is recorded without a lot.
+create or replace function public.consume_lots(
+  p_transaction transactions,
+  p_allocations jsonb default null
+) returns void
+language plpgsql
+as $$
+declare
+  v_needed integer := abs(p_transaction.quantity);
+  v_lot lots%rowtype;
+  v_allocation jsonb;
+  v_quantity integer;
+begin
+  if p_allocations is not null then
+    for v_allocation in select * from jsonb_array_elements(p_allocations)
+    loop
+      v_quantity := (v_allocation ->> 'quantity')::integer;
+      if v_quantity is null or v_quantity <= 0 then
+        continue;
+      end if;
+
+      select * into v_lot
+      from lots
+      where id = (v_allocation ->> 'lot_id')::uuid
+      for update;
+      if not found
+        or v_lot.type_id <> p_transaction.type_id
+        or v_lot.weight_class_id <> p_transaction.weight_class_id
+        or v_lot.location_id <> p_transaction.location_id then
+        raise exception 'Lot tidak sesuai dengan transaksi';
+      end if;
+      if v_quantity > v_lot.remaining_quantity then
+        raise exception 'Sisa lot % hanya %', v_lot.code,
+          v_lot.remaining_quantity;
+      end if;
+
+      update lots
+      set remaining_quantity = remaining_quantity - v_quantity
+      where id = v_lot.id;
+      insert into lot_consumptions (transaction_id, lot_id, quantity)
+      values (p_transaction.id, v_lot.id, v_quantity);
+      v_needed := v_needed - v_quantity;
+    end loop;
+
+    if v_needed <> 0 then
+      raise exception 'Jumlah per lot harus sama dengan jumlah transaksi';
+    end if;
+    return;
+  end if;
+
+  for v_lot in
+    select * from lots
+    where type_id = p_transaction.type_id
+      and weight_class_id = p_transaction.weight_class_id
+      and location_id = p_transaction.location_id
+      and remaining_quantity > 0
+    order by received_at, code, created_at
+    for update
+  loop
+    exit when v_needed = 0;
+    v_quantity := least(v_needed, v_lot.remaining_quantity);
+    update lots
+    set remaining_quantity = remaining_quantity - v_quantity
+    where id = v_lot.id;
+    insert into lot_consumptions (transaction_id, lot_id, quantity)
+    values (p_transaction.id, v_lot.id, v_quantity);
+    v_needed := v_needed - v_quantity;
+  end loop;
+
+  if v_needed > 0 then
+    insert into lot_consumptions (transaction_id, lot_id, quantity)
+    values (p_transaction.id, null, v_needed);
+  end if;
+end;
+$$;
+
+-- Create or consume the lots a transaction stands for
+create or replace function public.apply_lot_effects(
+  p_transaction transactions,
+  p_allocations jsonb default null
+) returns void
+language plpgsql
+as $$
+begin
+  case p_transaction.transaction_type
+    when 'ADD', 'ADJUSTMENT_IN' then
+      insert into lots (
+        code,
+        transaction_id,
+        type_id,
+        weight_class_id,
+        location_id,
+        supplier_id,
+        origin,
+        received_at,
+        received_quantity,
+        remaining_quantity
+      ) values (
+        next_lot_code(p_transaction.transaction_date),
+        p_transaction.id,
+        p_transaction.type_id,
+        p_transaction.weight_class_id,
+        p_transaction.location_id,
+        p_transaction.supplier_id,
+        p_transaction.transaction_type,
+        p_transaction.transaction_date,
+        abs(p_transaction.quantity),
+        abs(p_transaction.quantity)
+      );
+    when 'DISTRIBUTE', 'DEATH', 'DAMAGED', 'ADJUSTMENT_OUT' then
+      perform consume_lots(p_transaction, p_allocations);
+    when 'TRANSFER', 'RECLASSIFY' then
+      perform consume_lots(p_transaction, p_allocations);
+      -- The moved part of each lot continues under the same code
+      insert into lots (
+        code,
+        parent_lot_id,
+        transaction_id,
+        type_id,
+        weight_class_id,
+        location_id,
+        supplier_id,
+        origin,
+        received_at,
+        received_quantity,
+        remaining_quantity
+      )
+      select
+        l.code,
+        l.id,
+        p_transaction.id,
+        l.type_id,
+        coalesce(p_transaction.to_weight_class_id, l.weight_class_id),
+        coalesce(p_transaction.to_location_id, l.location_id),
+        l.supplier_id,
+        l.origin,
+        l.received_at,
+        c.quantity,
+        c.quantity
+      from lot_consumptions c
+      join lots l on l.id = c.lot_id
+      where c.transaction_id = p_transaction.id;
+    when 'VOID' then
+      perform undo_lot_effects(p_transaction.reversal_of);
+    else
+      null;
+  end case;
+end;
+$$;
+
+-- Remove the lots a transaction opened and give back what it consumed. A
+-- lot that has already been used cannot disappear without breaking the
+-- trace, so those movements have to be voided first.
+create or replace function public.undo_lot_effects(p_transaction_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_used lots%rowtype;
+begin
+  select * into v_used
+  from lots
+  where transaction_id = p_transaction_id
+    and remaining_quantity < received_quantity
+  limit 1;
+  if found then
+    raise exception 'Lot % sudah terpakai. Batalkan transaksi yang memakainya terlebih dahulu.',
+      v_used.code;
+  end if;
+  delete from lots where transaction_id = p_transaction_id;
+
+  update lots l
+  set remaining_quantity = l.remaining_quantity + c.quantity
+  from (
+    select lot_id, sum(quantity)::integer as quantity
+    from lot_consumptions
+    where transaction_id = p_transaction_id and lot_id is not null
+    group by lot_id
+  ) c
+  where l.id = c.lot_id;
+  delete from lot_consumptions where transaction_id = p_transaction_id;
+end;
+$$;
+
+-- Keep the lots in step with every new or edited transaction. Runs as the
+-- table owner since clients cannot write lots directly.
+create or replace function public.sync_transaction_lots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' then
+    if (old.transaction_type, old.type_id, old.weight_class_id,
+        old.location_id, old.quantity, old.transaction_date)
+      is not distinct from
+       (new.transaction_type, new.type_id, new.weight_class_id,
+        new.location_id, new.quantity, new.transaction_date) then
+      return new;
+    end if;
+    perform undo_lot_effects(old.id);
+  end if;
+
+  perform apply_lot_effects(new);
+  return new;
+end;
+$$;
+
+drop trigger if exists sync_transaction_lots on public.transactions;
+create trigger sync_transaction_lots
+  after insert or update on public.transactions
+  for each row execute function public.sync_transaction_lots();
+
+-- Replace the automatic allocation of a consuming transaction
+create or replace function public.allocate_lots(
+  p_transaction_id uuid,
+  p_allocations jsonb
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_transaction transactions%rowtype;
+begin
+  select * into v_transaction
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_transaction.voided_at is not null
+    or v_transaction.reversal_of is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+  if v_transaction.transaction_type not in (
+    'DISTRIBUTE', 'DEATH', 'DAMAGED', 'ADJUSTMENT_OUT', 'TRANSFER', 'RECLASSIFY'
+  ) then
+    raise exception 'Transaksi ini tidak mengambil stok dari lot';
+  end if;
+  if jsonb_typeof(p_allocations) is distinct from 'array' then
+    raise exception 'Pembagian lot tidak valid';
+  end if;
+
+  perform undo_lot_effects(p_transaction_id);
+  perform apply_lot_effects(v_transaction, p_allocations);
+end;
+$$;
+
+-- One row per lot code: what came in, what is left, and where the rest went
+create or replace view public.lot_summaries
+with (security_invoker = true)
+as
+select
+  root.id,
+  root.code,
+  root.type_id,
+  root.weight_class_id,
+  root.location_id,
+  root.supplier_id,
+  root.origin,
+  root.received_at,
+  root.received_quantity,
+  (
+    select coalesce(sum(l.remaining_quantity), 0)::integer
+    from lots l
+    where l.code = root.code
+  ) as remaining_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DISTRIBUTE'), 0)::integer
+    as distributed_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DEATH'), 0)::integer as death_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DAMAGED'), 0)::integer as damaged_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'ADJUSTMENT_OUT'), 0)::integer
+    as adjusted_quantity
+from lots root
+left join lots l on l.code = root.code
+left join lot_consumptions c on c.lot_id = l.id
+left join transactions t on t.id = c.transaction_id
+where root.parent_lot_id is null
+group by root.id;
+
+-- Opening lots for the stock held before lot tracking, dated at the first
+-- recorded transaction so that they are consumed first
+insert into public.lots (
+  code,
+  type_id,
+  weight_class_id,
+  location_id,
+  origin,
+  received_at,
+  received_quantity,
+  remaining_quantity
+)
+select
+  next_lot_code(coalesce(
+    (select min(transaction_date) from public.transactions), now()
+  )),
+  i.type_id,
+  i.weight_class_id,
+  i.location_id,
+  'OPENING',
+  coalesce((select min(transaction_date) from public.transactions), now()),
+  i.quantity,
+  i.quantity
+from public.inventory i
+where i.quantity > 0
+  and not exists (select 1 from public.lots);
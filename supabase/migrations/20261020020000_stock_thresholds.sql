@@ -0,0 +1,55 @@
+-- Minimum and maximum stock per lobster type and weight class, summed over
+-- every location. Either bound may be left empty.
+
+create table if not exists public.stock_thresholds (
+  id uuid primary key default gen_random_uuid(),
+  type_id uuid not null references public.lobster_types (id) on delete cascade,
+  weight_class_id uuid not null
+    references public.weight_classes (id) on delete cascade,
+  min_quantity integer check (min_quantity >= 0),
+  max_quantity integer check (max_quantity >= 0),
+  updated_at timestamptz not null default now(),
+  unique (type_id, weight_class_id),
+  check (
+    min_quantity is not null or max_quantity is not null
+  ),
+  check (
+    min_quantity is null or max_quantity is null
+    or min_quantity <= max_quantity
+  )
+);
+
+alter table public.stock_thresholds enable row level security;
+
+drop policy if exists "Authenticated users can manage stock thresholds"
+  on public.stock_thresholds;
+create policy "Authenticated users can manage stock thresholds"
+  on public.stock_thresholds
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.stock_thresholds;
+
+-- Current stock of every SKU with a threshold and whether it is breached
+create or replace view public.stock_threshold_status
+with (security_invoker = true)
+as
+select
+  th.type_id,
+  th.weight_class_id,
+  th.min_quantity,
+  th.max_quantity,
+  coalesce(sum(i.quantity), 0)::integer as quantity,
+  case
+    when th.min_quantity is not null
+      and coalesce(sum(i.quantity), 0) < th.min_quantity then 'LOW'
+    when th.max_quantity is not null
+      and coalesce(sum(i.quantity), 0) > th.max_quantity then 'HIGH'
+    else 'OK'
+  end as status
+from stock_thresholds th
+left join inventory i
+  on i.type_id = th.type_id and i.weight_class_id = th.weight_class_id
+group by th.id;
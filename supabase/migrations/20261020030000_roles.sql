@@ -0,0 +1,183 @@
+-- Roles per user. Admins manage master data, users and corrections and may
+-- edit or void transactions; operators post stock movements; viewers only
+-- read. Writes are checked by triggers on the tables themselves, so every
+-- RPC that touches them is covered without repeating the check.
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text,
+  role text not null default 'viewer'
+    check (role in ('admin', 'operator', 'viewer')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Everyone who could already sign in keeps full access
+insert into public.profiles (id, email, role)
+select id, email, 'admin' from auth.users
+on conflict (id) do nothing;
+
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into profiles (id, email)
+  values (new.id, new.email)
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Role of the signed-in user; unknown users get the least access
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select role from profiles where id = auth.uid()),
+    'viewer'
+  );
+$$;
+
+alter table public.profiles enable row level security;
+
+drop policy if exists "Users can read their own profile, admins every profile"
+  on public.profiles;
+create policy "Users can read their own profile, admins every profile"
+  on public.profiles
+  for select
+  to authenticated
+  using (id = auth.uid() or current_user_role() = 'admin');
+
+drop policy if exists "Admins can update profiles" on public.profiles;
+create policy "Admins can update profiles"
+  on public.profiles
+  for update
+  to authenticated
+  using (current_user_role() = 'admin')
+  with check (current_user_role() = 'admin');
+
+alter publication supabase_realtime add table public.profiles;
+
+-- Reject the request unless the signed-in user has one of the roles.
+-- Sessions without a request JWT (migrations, the SQL editor) and the
+-- service role are not tied to a user and pass.
+create or replace function public.require_role(variadic p_roles text[])
+returns void
+language plpgsql
+stable
+as $$
+begin
+  if auth.role() is null or auth.role() = 'service_role' then
+    return;
+  end if;
+  if not (current_user_role() = any (p_roles)) then
+    raise exception 'Akses ditolak: peran % tidak dapat melakukan tindakan ini',
+      current_user_role();
+  end if;
+end;
+$$;
+
+-- Statement trigger that allows writes only for the roles in its arguments
+create or replace function public.enforce_write_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform require_role(variadic tg_argv);
+  return null;
+end;
+$$;
+
+-- Operators post movements; voids, opname adjustments and edits of
+-- recorded transactions are for admins
+create or replace function public.enforce_transaction_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE'
+    or new.transaction_type in ('VOID', 'ADJUSTMENT_IN', 'ADJUSTMENT_OUT') then
+    perform require_role('admin');
+  else
+    perform require_role('admin', 'operator');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_transaction_role on public.transactions;
+create trigger enforce_transaction_role
+  before insert or update on public.transactions
+  for each row execute function public.enforce_transaction_role();
+
+-- Operators count stock; only admins approve the result
+create or replace function public.enforce_stock_take_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'APPROVED' then
+    perform require_role('admin');
+  else
+    perform require_role('admin', 'operator');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_stock_take_role on public.stock_takes;
+create trigger enforce_stock_take_role
+  before insert or update on public.stock_takes
+  for each row execute function public.enforce_stock_take_role();
+
+do $$
+declare
+  v_table text;
+begin
+  -- Stock that operators move around
+  foreach v_table in array array[
+    'inventory', 'shipments', 'stock_take_lines', 'lots', 'lot_consumptions',
+    'suppliers', 'customers'
+  ] loop
+    execute format(
+      'drop trigger if exists enforce_write_role on public.%I', v_table
+    );
+    execute format(
+      'create trigger enforce_write_role
+         before insert or update or delete on public.%I
+         for each statement
+         execute function public.enforce_write_role(''admin'', ''operator'')',
+      v_table
+    );
+  end loop;
+
+  -- Master data and corrections
+  foreach v_table in array array[
+    'lobster_types', 'weight_classes', 'locations', 'stock_thresholds',
+    'inventory_corrections', 'profiles'
+  ] loop
+    execute format(
+      'drop trigger if exists enforce_write_role on public.%I', v_table
+    );
+    execute format(
+      'create trigger enforce_write_role
+         before insert or update or delete on public.%I
+         for each statement
+         execute function public.enforce_write_role(''admin'')',
+      v_table
+    );
+  end loop;
+end;
+$$;
@@ -0,0 +1,43 @@
+-- Accounts managed from the Pengguna page. Deactivated users are banned in
+-- auth and keep their profile, so their name stays on past records.
+
+alter table public.profiles
+  add column if not exists deactivated_at timestamptz;
+
+-- A deactivated user whose access token has not expired yet gets no write
+-- access through require_role
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select role from profiles
+      where id = auth.uid() and deactivated_at is null
+    ),
+    'viewer'
+  );
+$$;
+
+-- Keep at least one active admin, otherwise nobody can manage users again
+create or replace function public.ensure_active_admin()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (
+    select 1 from profiles where role = 'admin' and deactivated_at is null
+  ) then
+    raise exception 'Harus ada setidaknya satu admin aktif';
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists ensure_active_admin on public.profiles;
+create trigger ensure_active_admin
+  after update or delete on public.profiles
+  for each statement execute function public.ensure_active_admin();
@@ -0,0 +1,74 @@
+-- Name and picture shown in the sidebar. Users edit their own; role, email
+-- and deactivation stay with admins.
+
+alter table public.profiles
+  add column if not exists display_name text,
+  add column if not exists avatar_url text;
+
+drop policy if exists "Users can update their own profile" on public.profiles;
+create policy "Users can update their own profile"
+  on public.profiles
+  for update
+  to authenticated
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+-- Replaces the admin-only statement trigger from the roles migration
+drop trigger if exists enforce_write_role on public.profiles;
+
+create or replace function public.enforce_profile_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE'
+    and new.id = auth.uid()
+    and new.email is not distinct from old.email
+    and new.role is not distinct from old.role
+    and new.deactivated_at is not distinct from old.deactivated_at then
+    return new;
+  end if;
+  perform require_role('admin');
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists enforce_profile_role on public.profiles;
+create trigger enforce_profile_role
+  before insert or update or delete on public.profiles
+  for each row execute function public.enforce_profile_role();
+
+-- Avatars are public images, each user writes only under their own folder
+insert into storage.buckets (id, name, public)
+values ('avatars', 'avatars', true)
+on conflict (id) do nothing;
+
+drop policy if exists "Users can upload their own avatar" on storage.objects;
+create policy "Users can upload their own avatar"
+  on storage.objects
+  for insert
+  to authenticated
+  with check (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+drop policy if exists "Users can replace their own avatar" on storage.objects;
+create policy "Users can replace their own avatar"
+  on storage.objects
+  for update
+  to authenticated
+  using (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+drop policy if exists "Users can delete their own avatar" on storage.objects;
+create policy "Users can delete their own avatar"
+  on storage.objects
+  for delete
+  to authenticated
+  using (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,17 @@
+-- Failed sign-ins, used by the login action to throttle guessing per email
+-- and per IP address. Row level security is on without policies, so only the
+-- service role reads and writes it.
+
+create table if not exists public.login_attempts (
+  id bigint generated always as identity primary key,
+  email text not null,
+  ip text not null,
+  attempted_at timestamptz not null default now()
+);
+
+create index if not exists login_attempts_email_idx
+  on public.login_attempts (email, attempted_at desc);
+create index if not exists login_attempts_ip_idx
+  on public.login_attempts (ip, attempted_at desc);
+
+alter table public.login_attempts enable row level security;
@@ -0,0 +1,314 @@
+-- manage_inventory is a public RPC, so a VOID posted through it directly
+-- skipped void_transaction: the original was never marked voided, and the
+-- reversal landed on whatever type and weight class the caller passed. The
+-- movement logic moves to post_inventory_movement, which callers outside the
+-- database cannot execute. A VOID takes its stock key from the original row,
+-- and manage_inventory refuses VOID so that void_transaction is the only way
+-- in.
+
+drop function if exists public.manage_inventory(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid, uuid,
+  uuid, uuid, uuid, uuid
+);
+
+create or replace function public.post_inventory_movement(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null,
+  p_to_weight_class_id uuid default null,
+  p_stock_take_id uuid default null
+) returns uuid
+language plpgsql
+as $$
+declare
+  v_transaction_id uuid;
+  v_original transactions%rowtype;
+  v_destination text := p_destination;
+  v_location_id uuid;
+  v_to_location_id uuid;
+  v_to_weight_class_id uuid;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Jumlah harus bilangan positif';
+  end if;
+
+  if p_transaction_type in ('ADJUSTMENT_IN', 'ADJUSTMENT_OUT')
+    and p_stock_take_id is null then
+    raise exception 'Penyesuaian hanya dapat diposting dari stok opname';
+  end if;
+
+  if p_supplier_id is not null then
+    if p_transaction_type <> 'ADD' then
+      raise exception 'Pemasok hanya untuk transaksi penambahan';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from suppliers
+    where id = p_supplier_id and archived_at is null;
+    if not found then
+      raise exception 'Pemasok tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_customer_id is not null then
+    if p_transaction_type <> 'DISTRIBUTE' then
+      raise exception 'Pelanggan hanya untuk transaksi distribusi';
+    end if;
+    select coalesce(v_destination, name) into v_destination
+    from customers
+    where id = p_customer_id and archived_at is null;
+    if not found then
+      raise exception 'Pelanggan tidak ditemukan atau sudah diarsipkan';
+    end if;
+  end if;
+
+  if p_to_weight_class_id is not null and p_transaction_type <> 'RECLASSIFY' then
+    raise exception 'Kelas berat tujuan hanya untuk reklasifikasi';
+  end if;
+
+  if p_transaction_type = 'VOID' then
+    select * into v_original from transactions where id = p_reversal_of;
+    if not found then
+      raise exception 'Transaksi asal tidak ditemukan';
+    end if;
+    v_location_id := v_original.location_id;
+    v_to_location_id := v_original.to_location_id;
+    v_to_weight_class_id := v_original.to_weight_class_id;
+
+    if v_original.transaction_type = 'TRANSFER' then
+      perform apply_inventory_delta(
+        v_original.type_id,
+        v_original.weight_class_id,
+        v_to_location_id,
+        -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        v_original.type_id,
+        v_original.weight_class_id,
+        v_location_id,
+        abs(v_original.quantity)
+      );
+    elsif v_original.transaction_type = 'RECLASSIFY' then
+      perform apply_inventory_delta(
+        v_original.type_id,
+        v_to_weight_class_id,
+        v_location_id,
+        -abs(v_original.quantity)
+      );
+      perform apply_inventory_delta(
+        v_original.type_id,
+        v_original.weight_class_id,
+        v_location_id,
+        abs(v_original.quantity)
+      );
+    else
+      perform apply_inventory_delta(
+        v_original.type_id,
+        v_original.weight_class_id,
+        v_location_id,
+        -inventory_effect(v_original.transaction_type, v_original.quantity)
+      );
+    end if;
+  elsif p_reversal_of is not null then
+    raise exception 'Jenis transaksi tidak valid: %', p_transaction_type;
+  elsif p_transaction_type = 'TRANSFER' then
+    v_location_id := resolve_location(p_location_id);
+    if p_to_location_id is null then
+      raise exception 'Lokasi tujuan transfer wajib diisi';
+    end if;
+    v_to_location_id := resolve_location(p_to_location_id);
+    if v_to_location_id = v_location_id then
+      raise exception 'Lokasi tujuan transfer harus berbeda dari lokasi asal';
+    end if;
+
+    -- The source tank is checked first, so a short transfer moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_to_location_id, p_quantity
+    );
+  elsif p_transaction_type = 'RECLASSIFY' then
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    if p_to_weight_class_id is null then
+      raise exception 'Kelas berat tujuan reklasifikasi wajib diisi';
+    end if;
+    if p_to_weight_class_id = p_weight_class_id then
+      raise exception 'Kelas berat tujuan harus berbeda dari kelas berat asal';
+    end if;
+    select id into v_to_weight_class_id
+    from weight_classes
+    where id = p_to_weight_class_id and archived_at is null;
+    if not found then
+      raise exception 'Kelas berat tidak ditemukan atau sudah diarsipkan';
+    end if;
+
+    -- The source weight class is checked first, so a short reclassification
+    -- moves nothing.
+    perform apply_inventory_delta(
+      p_type_id, p_weight_class_id, v_location_id, -p_quantity
+    );
+    perform apply_inventory_delta(
+      p_type_id, v_to_weight_class_id, v_location_id, p_quantity
+    );
+  else
+    if p_to_location_id is not null then
+      raise exception 'Lokasi tujuan hanya untuk transfer';
+    end if;
+    v_location_id := resolve_location(p_location_id);
+    perform apply_inventory_delta(
+      p_type_id,
+      p_weight_class_id,
+      v_location_id,
+      inventory_effect(p_transaction_type, p_quantity)
+    );
+  end if;
+
+  insert into transactions (
+    type_id,
+    weight_class_id,
+    quantity,
+    transaction_type,
+    destination,
+    notes,
+    transaction_date,
+    reversal_of,
+    shipment_id,
+    supplier_id,
+    customer_id,
+    location_id,
+    to_location_id,
+    to_weight_class_id,
+    stock_take_id
+  ) values (
+    coalesce(v_original.type_id, p_type_id),
+    coalesce(v_original.weight_class_id, p_weight_class_id),
+    p_quantity,
+    p_transaction_type,
+    v_destination,
+    p_notes,
+    coalesce(p_transaction_date, now()),
+    p_reversal_of,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    v_location_id,
+    v_to_location_id,
+    v_to_weight_class_id,
+    p_stock_take_id
+  )
+  returning id into v_transaction_id;
+
+  return v_transaction_id;
+end;
+$$;
+
+revoke execute on function public.post_inventory_movement(
+  uuid, uuid, integer, text, text, jsonb, timestamptz, uuid, uuid, uuid, uuid,
+  uuid, uuid, uuid, uuid
+) from public, anon, authenticated;
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null,
+  p_to_weight_class_id uuid default null,
+  p_stock_take_id uuid default null
+) returns uuid
+language plpgsql
+-- Runs as the owner to reach post_inventory_movement; the role trigger on
+-- transactions still checks the signed-in user
+security definer
+set search_path = public
+as $$
+begin
+  if p_transaction_type = 'VOID' or p_reversal_of is not null then
+    raise exception 'Gunakan void_transaction untuk membatalkan transaksi';
+  end if;
+
+  return post_inventory_movement(
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    p_destination,
+    p_notes,
+    p_transaction_date,
+    null,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    p_location_id,
+    p_to_location_id,
+    p_to_weight_class_id,
+    p_stock_take_id
+  );
+end;
+$$;
+
+create or replace function public.void_transaction(
+  p_transaction_id uuid,
+  p_reason text default null
+) returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_original transactions%rowtype;
+  v_void_id uuid;
+begin
+  select * into v_original
+  from transactions
+  where id = p_transaction_id
+  for update;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+  if v_original.voided_at is not null or v_original.reversal_of is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+
+  -- The VOID row takes its stock key and locations from the original inside
+  -- post_inventory_movement.
+  v_void_id := post_inventory_movement(
+    v_original.type_id,
+    v_original.weight_class_id,
+    abs(v_original.quantity),
+    'VOID',
+    v_original.destination,
+    case when p_reason is null or p_reason = '' then null
+      else jsonb_build_object('note', p_reason) end,
+    now(),
+    v_original.id
+  );
+
+  update transactions
+  set voided_at = now(), voided_by = auth.uid()
+  where id = v_original.id;
+
+  return v_void_id;
+end;
+$$;
@@ -0,0 +1,38 @@
+-- Classes whose labels the bounds backfill could not parse still have no
+-- min_grams. Requiring one on every active class made any weight class
+-- update fail until all of them were fixed at once, so the scale check now
+-- covers only classes with bounds; the rest join it once an admin sets them.
+create or replace function public.validate_weight_class_ranges()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_previous record;
+  v_current record;
+  v_has_previous boolean := false;
+begin
+  for v_current in
+    select id, weight_range, min_grams, max_grams
+    from weight_classes
+    where archived_at is null and min_grams is not null
+    order by min_grams, max_grams nulls last
+  loop
+    if v_has_previous then
+      if v_previous.max_grams is null
+        or v_current.min_grams < v_previous.max_grams then
+        raise exception 'Kelas % dan % tumpang tindih',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+      if v_current.min_grams > v_previous.max_grams then
+        raise exception 'Ada celah antara kelas % dan %',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+    end if;
+
+    v_previous := v_current;
+    v_has_previous := true;
+  end loop;
+
+  return null;
+end;
+$$;
@@ -0,0 +1,77 @@
+-- The bounds backfill read inclusive labels such as "100-199" and "200-299"
+-- as [100, 199) and [200, 299), leaving a one-gram gap between neighbours.
+-- Close those gaps so the classes cover the scale their labels describe.
+update public.weight_classes wc
+set max_grams = next_class.min_grams
+from public.weight_classes next_class
+where wc.archived_at is null
+  and next_class.archived_at is null
+  and next_class.min_grams = wc.max_grams + 1
+  and not exists (
+    select 1
+    from public.weight_classes other
+    where other.archived_at is null
+      and other.min_grams = wc.max_grams
+  );
+
+-- Overlaps and gaps left by the backfill made every later weight class
+-- update fail, even a sort order change. The check now covers only what a
+-- change can break: the changed class against its neighbours, and the two
+-- classes that become neighbours when one is moved, archived or deleted.
+-- lib/weight-classes.js applies the same rule in the master data page.
+create or replace function public.validate_weight_class_ranges()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_previous record;
+  v_current record;
+  v_has_previous boolean := false;
+  v_changed_id uuid;
+  v_old_min integer;
+begin
+  if tg_op = 'UPDATE'
+    and new.min_grams is not distinct from old.min_grams
+    and new.max_grams is not distinct from old.max_grams
+    and new.archived_at is not distinct from old.archived_at then
+    return null;
+  end if;
+
+  if tg_op <> 'DELETE' then
+    v_changed_id := new.id;
+  end if;
+  if tg_op <> 'INSERT' and old.archived_at is null then
+    v_old_min := old.min_grams;
+  end if;
+
+  for v_current in
+    select id, weight_range, min_grams, max_grams
+    from weight_classes
+    where archived_at is null and min_grams is not null
+    order by min_grams, max_grams nulls last
+  loop
+    if v_has_previous
+      and (
+        v_previous.id = v_changed_id
+        or v_current.id = v_changed_id
+        or (v_previous.min_grams < v_old_min
+          and v_current.min_grams >= v_old_min)
+      ) then
+      if v_previous.max_grams is null
+        or v_current.min_grams < v_previous.max_grams then
+        raise exception 'Kelas % dan % tumpang tindih',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+      if v_current.min_grams > v_previous.max_grams then
+        raise exception 'Ada celah antara kelas % dan %',
+          v_previous.weight_range, v_current.weight_range;
+      end if;
+    end if;
+
+    v_previous := v_current;
+    v_has_previous := true;
+  end loop;
+
+  return null;
+end;
+$$;
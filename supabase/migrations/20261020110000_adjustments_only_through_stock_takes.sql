@@ -0,0 +1,134 @@
+-- manage_inventory checked only that an adjustment named some stock take, so
+-- any signed-in user could post ADJUSTMENT_IN or ADJUSTMENT_OUT by passing an
+-- existing id and skip approve_stock_take and its admin-only approval. The
+-- public RPC now refuses adjustments the same way it refuses VOID, and
+-- approve_stock_take posts them through post_inventory_movement directly.
+
+create or replace function public.manage_inventory(
+  p_type_id uuid,
+  p_weight_class_id uuid,
+  p_quantity integer,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_reversal_of uuid default null,
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null,
+  p_to_weight_class_id uuid default null,
+  p_stock_take_id uuid default null
+) returns uuid
+language plpgsql
+-- Runs as the owner to reach post_inventory_movement; the role trigger on
+-- transactions still checks the signed-in user
+security definer
+set search_path = public
+as $$
+begin
+  if p_transaction_type = 'VOID' or p_reversal_of is not null then
+    raise exception 'Gunakan void_transaction untuk membatalkan transaksi';
+  end if;
+  if p_transaction_type in ('ADJUSTMENT_IN', 'ADJUSTMENT_OUT')
+    or p_stock_take_id is not null then
+    raise exception 'Penyesuaian hanya dapat diposting dari stok opname';
+  end if;
+
+  return post_inventory_movement(
+    p_type_id,
+    p_weight_class_id,
+    p_quantity,
+    p_transaction_type,
+    p_destination,
+    p_notes,
+    p_transaction_date,
+    null,
+    p_shipment_id,
+    p_supplier_id,
+    p_customer_id,
+    p_location_id,
+    p_to_location_id,
+    p_to_weight_class_id,
+    null
+  );
+end;
+$$;
+
+-- Approve a draft: every counted line that differs from its snapshot posts
+-- one adjustment with the given reason. Returns the number of adjustments.
+create or replace function public.approve_stock_take(
+  p_stock_take_id uuid,
+  p_reason text
+) returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock_take stock_takes%rowtype;
+  v_line stock_take_lines%rowtype;
+  v_reason text := nullif(btrim(p_reason), '');
+  v_variance integer;
+  v_posted integer := 0;
+begin
+  if v_reason is null then
+    raise exception 'Alasan penyesuaian wajib diisi';
+  end if;
+
+  select * into v_stock_take
+  from stock_takes
+  where id = p_stock_take_id
+  for update;
+  if not found then
+    raise exception 'Stok opname tidak ditemukan';
+  end if;
+  if v_stock_take.status <> 'DRAFT' then
+    raise exception 'Stok opname sudah disetujui atau dibatalkan';
+  end if;
+  if not exists (
+    select 1 from stock_take_lines
+    where stock_take_id = p_stock_take_id and counted_quantity is not null
+  ) then
+    raise exception 'Belum ada jumlah yang dihitung';
+  end if;
+
+  for v_line in
+    select * from stock_take_lines
+    where stock_take_id = p_stock_take_id
+      and counted_quantity is not null
+      and counted_quantity <> expected_quantity
+  loop
+    v_variance := v_line.counted_quantity - v_line.expected_quantity;
+    perform post_inventory_movement(
+      v_line.type_id,
+      v_line.weight_class_id,
+      abs(v_variance),
+      case when v_variance > 0 then 'ADJUSTMENT_IN' else 'ADJUSTMENT_OUT' end,
+      null,
+      jsonb_build_object('note', v_reason),
+      now(),
+      null,
+      null,
+      null,
+      null,
+      v_line.location_id,
+      null,
+      null,
+      p_stock_take_id
+    );
+    v_posted := v_posted + 1;
+  end loop;
+
+  update stock_takes
+  set
+    status = 'APPROVED',
+    reason = v_reason,
+    approved_by = auth.uid(),
+    approved_at = now()
+  where id = p_stock_take_id;
+
+  return v_posted;
+end;
+$$;
@@ -0,0 +1,184 @@
+-- correct_inventory reset inventory rows without touching lots, so lot
+-- remainders and ages no longer added up to the corrected stock. A
+-- correction cannot be posted as an adjustment: it would change the history
+-- it is measured against. Instead the lots of the corrected row are brought
+-- to the same figure in the same transaction. A surplus opens a CORRECTION
+-- lot (which has no transaction); a shortfall is taken out of the oldest lots
+-- and recorded as a consumption of the correction.
+
+alter table public.lots
+  drop constraint if exists lots_origin_check;
+alter table public.lots
+  add constraint lots_origin_check
+  check (origin in ('ADD', 'ADJUSTMENT_IN', 'OPENING', 'CORRECTION'));
+
+alter table public.lot_consumptions
+  add column if not exists correction_id uuid
+    references public.inventory_corrections (id);
+alter table public.lot_consumptions
+  alter column transaction_id drop not null;
+alter table public.lot_consumptions
+  drop constraint if exists lot_consumptions_source_check;
+alter table public.lot_consumptions
+  add constraint lot_consumptions_source_check
+  check (num_nonnulls(transaction_id, correction_id) = 1);
+
+-- Open or consume lots so that the lots of the corrected SKU and location
+-- hold the corrected quantity
+create or replace function public.correct_lots(
+  p_correction inventory_corrections
+) returns void
+language plpgsql
+as $$
+declare
+  v_difference integer;
+  v_needed integer;
+  v_lot lots%rowtype;
+  v_quantity integer;
+begin
+  select p_correction.expected_quantity
+    - coalesce(sum(remaining_quantity), 0)::integer
+  into v_difference
+  from lots
+  where type_id = p_correction.type_id
+    and weight_class_id = p_correction.weight_class_id
+    and location_id = p_correction.location_id;
+
+  if v_difference > 0 then
+    insert into lots (
+      code,
+      type_id,
+      weight_class_id,
+      location_id,
+      origin,
+      received_at,
+      received_quantity,
+      remaining_quantity
+    ) values (
+      next_lot_code(p_correction.corrected_at),
+      p_correction.type_id,
+      p_correction.weight_class_id,
+      p_correction.location_id,
+      'CORRECTION',
+      p_correction.corrected_at,
+      v_difference,
+      v_difference
+    );
+    return;
+  end if;
+
+  v_needed := -v_difference;
+  for v_lot in
+    select * from lots
+    where type_id = p_correction.type_id
+      and weight_class_id = p_correction.weight_class_id
+      and location_id = p_correction.location_id
+      and remaining_quantity > 0
+    order by received_at, code, created_at
+    for update
+  loop
+    exit when v_needed = 0;
+    v_quantity := least(v_needed, v_lot.remaining_quantity);
+    update lots
+    set remaining_quantity = remaining_quantity - v_quantity
+    where id = v_lot.id;
+    insert into lot_consumptions (correction_id, lot_id, quantity)
+    values (p_correction.id, v_lot.id, v_quantity);
+    v_needed := v_needed - v_quantity;
+  end loop;
+end;
+$$;
+
+create or replace function public.correct_inventory(p_reason text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_reason text := nullif(btrim(p_reason), '');
+  v_mismatch record;
+  v_correction inventory_corrections%rowtype;
+  v_corrected integer := 0;
+begin
+  if v_reason is null then
+    raise exception 'Alasan koreksi wajib diisi';
+  end if;
+
+  -- Keep new movements out until the comparison and the fix are done
+  lock table inventory in share row exclusive mode;
+
+  for v_mismatch in
+    select * from inventory_mismatches() m where m.expected_quantity >= 0
+  loop
+    insert into inventory (type_id, weight_class_id, location_id, quantity)
+    values (
+      v_mismatch.type_id,
+      v_mismatch.weight_class_id,
+      v_mismatch.location_id,
+      v_mismatch.expected_quantity
+    )
+    on conflict (type_id, weight_class_id, location_id)
+    do update set quantity = excluded.quantity;
+
+    insert into inventory_corrections (
+      type_id,
+      weight_class_id,
+      location_id,
+      recorded_quantity,
+      expected_quantity,
+      reason
+    ) values (
+      v_mismatch.type_id,
+      v_mismatch.weight_class_id,
+      v_mismatch.location_id,
+      v_mismatch.recorded_quantity,
+      v_mismatch.expected_quantity,
+      v_reason
+    )
+    returning * into v_correction;
+
+    perform correct_lots(v_correction);
+    v_corrected := v_corrected + 1;
+  end loop;
+
+  return v_corrected;
+end;
+$$;
+
+-- Lobsters a correction took out of a lot count as adjusted
+create or replace view public.lot_summaries
+with (security_invoker = true)
+as
+select
+  root.id,
+  root.code,
+  root.type_id,
+  root.weight_class_id,
+  root.location_id,
+  root.supplier_id,
+  root.origin,
+  root.received_at,
+  root.received_quantity,
+  (
+    select coalesce(sum(l.remaining_quantity), 0)::integer
+    from lots l
+    where l.code = root.code
+  ) as remaining_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DISTRIBUTE'), 0)::integer
+    as distributed_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DEATH'), 0)::integer as death_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'DAMAGED'), 0)::integer as damaged_quantity,
+  coalesce(sum(c.quantity) filter (
+    where t.transaction_type = 'ADJUSTMENT_OUT'
+      or c.correction_id is not null), 0)::integer
+    as adjusted_quantity
+from lots root
+left join lots l on l.code = root.code
+left join lot_consumptions c on c.lot_id = l.id
+left join transactions t on t.id = c.transaction_id
+where root.parent_lot_id is null
+group by root.id;
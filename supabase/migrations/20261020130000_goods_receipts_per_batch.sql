@@ -0,0 +1,214 @@
+-- A weigh-mode receipt is one manage_inventory_batch call that posts an ADD
+-- per weight class, but goods receipts were issued per ADD row, so one
+-- delivery became several documents. Rows posted by one batch now share a
+-- batch_id, and a receipt covers the whole batch with a line per lobster
+-- type and weight class.
+--
+-- The receipt snapshot is fixed on first print, so an ADD edited afterwards
+-- no longer matched its reprint. Printed ADDs can only be voided and posted
+-- again, never edited.
+
+-- Set for the duration of one manage_inventory_batch call, so that every row
+-- it posts picks the batch up without threading it through manage_inventory
+alter table public.transactions
+  add column if not exists batch_id uuid
+    default nullif(current_setting('app.inventory_batch_id', true), '')::uuid;
+
+create index if not exists transactions_batch_id_idx
+  on public.transactions (batch_id)
+  where batch_id is not null;
+
+create or replace function public.manage_inventory_batch(
+  p_lines jsonb,
+  p_transaction_type text,
+  p_destination text default null,
+  p_notes jsonb default null,
+  p_transaction_date timestamptz default now(),
+  p_shipment_id uuid default null,
+  p_supplier_id uuid default null,
+  p_customer_id uuid default null,
+  p_location_id uuid default null,
+  p_to_location_id uuid default null
+) returns uuid[]
+language plpgsql
+as $$
+declare
+  v_line jsonb;
+  v_ids uuid[] := '{}';
+begin
+  if p_lines is null or jsonb_typeof(p_lines) <> 'array'
+    or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Tidak ada baris transaksi';
+  end if;
+
+  perform set_config('app.inventory_batch_id', gen_random_uuid()::text, true);
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_ids := v_ids || manage_inventory(
+      (v_line ->> 'type_id')::uuid,
+      (v_line ->> 'weight_class_id')::uuid,
+      (v_line ->> 'quantity')::integer,
+      p_transaction_type,
+      p_destination,
+      p_notes,
+      p_transaction_date,
+      null,
+      p_shipment_id,
+      p_supplier_id,
+      p_customer_id,
+      p_location_id,
+      p_to_location_id
+    );
+  end loop;
+
+  perform set_config('app.inventory_batch_id', '', true);
+
+  return v_ids;
+end;
+$$;
+
+-- A receipt belongs to one ADD row or to one batch of them
+alter table public.goods_receipts
+  alter column transaction_id drop not null;
+alter table public.goods_receipts
+  add column if not exists batch_id uuid unique;
+alter table public.goods_receipts
+  drop constraint if exists goods_receipts_single_source;
+alter table public.goods_receipts
+  add constraint goods_receipts_single_source check (
+    (transaction_id is null) <> (batch_id is null)
+  );
+
+-- Return the goods receipt for an ADD transaction, or for the batch it was
+-- posted in, issuing the next number on first print. The operator is
+-- whoever created the transaction according to the audit log.
+create or replace function public.issue_goods_receipt(
+  p_transaction_id uuid
+) returns public.goods_receipts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_receipt goods_receipts%rowtype;
+  v_transaction transactions%rowtype;
+begin
+  select * into v_transaction from transactions where id = p_transaction_id;
+  if not found then
+    raise exception 'Transaksi tidak ditemukan';
+  end if;
+
+  if v_transaction.batch_id is null then
+    select * into v_receipt from goods_receipts
+    where transaction_id = p_transaction_id;
+  else
+    select * into v_receipt from goods_receipts
+    where batch_id = v_transaction.batch_id;
+  end if;
+  if found then
+    return v_receipt;
+  end if;
+
+  if v_transaction.transaction_type <> 'ADD' then
+    raise exception 'Bukti penerimaan hanya untuk transaksi penambahan';
+  end if;
+  if v_transaction.voided_at is not null then
+    raise exception 'Transaksi sudah dibatalkan';
+  end if;
+
+  insert into goods_receipts (
+    number,
+    transaction_id,
+    batch_id,
+    origin,
+    received_at,
+    notes,
+    lines,
+    operator_email
+  )
+  values (
+    'BPB/' || to_char(now(), 'YYYY/MM') || '/' ||
+      lpad(nextval('goods_receipt_number_seq')::text, 5, '0'),
+    case when v_transaction.batch_id is null then p_transaction_id end,
+    v_transaction.batch_id,
+    v_transaction.destination,
+    v_transaction.transaction_date,
+    v_transaction.notes,
+    (
+      select jsonb_agg(
+        jsonb_build_object(
+          'type_name', lt.name,
+          'weight_range', wc.weight_range,
+          'min_grams', wc.min_grams,
+          'max_grams', wc.max_grams,
+          'quantity', received.quantity
+        )
+        order by lt.name, wc.min_grams nulls last, wc.weight_range
+      )
+      from (
+        select type_id, weight_class_id, sum(abs(quantity))::integer as quantity
+        from transactions
+        where transaction_type = 'ADD'
+          and voided_at is null
+          and (
+            id = p_transaction_id
+            or batch_id = v_transaction.batch_id
+          )
+        group by type_id, weight_class_id
+      ) received
+      join lobster_types lt on lt.id = received.type_id
+      join weight_classes wc on wc.id = received.weight_class_id
+    ),
+    (
+      select actor_email from transaction_audit_log
+      where transaction_id = p_transaction_id and action = 'INSERT'
+      order by changed_at
+      limit 1
+    )
+  )
+  returning * into v_receipt;
+
+  return v_receipt;
+end;
+$$;
+
+-- Whether a goods receipt has been printed for an ADD row
+create or replace function public.has_goods_receipt(p_transaction transactions)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from goods_receipts
+    where transaction_id = p_transaction.id
+      or batch_id = p_transaction.batch_id
+  );
+$$;
+
+create or replace function public.protect_printed_goods_receipts()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.transaction_type = 'ADD'
+    and (old.transaction_type, old.type_id, old.weight_class_id,
+        old.quantity, old.transaction_date, old.destination, old.notes,
+        old.supplier_id, old.location_id)
+      is distinct from
+       (new.transaction_type, new.type_id, new.weight_class_id,
+        new.quantity, new.transaction_date, new.destination, new.notes,
+        new.supplier_id, new.location_id)
+    and has_goods_receipt(old) then
+    raise exception 'Bukti penerimaan sudah dicetak. Batalkan transaksi lalu buat ulang.';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_printed_goods_receipts on public.transactions;
+create trigger protect_printed_goods_receipts
+  before update on public.transactions
+  for each row execute function public.protect_printed_goods_receipts();
@@ -0,0 +1,12 @@
+import { headers } from 'next/headers';
+
+// Links in invitation and reset emails come back to /auth/confirm on the
+// host the request came from, so a local auth server sends local links
+export async function getConfirmUrl() {
+  const headerList = await headers();
+  const origin =
+    headerList.get('origin') ||
+    process.env.NEXT_PUBLIC_SITE_URL ||
+    'http://localhost:3000';
+  return `${origin}/auth/confirm`;
+}
@@ -0,0 +1,20 @@
+import { createClient as createSupabaseClient } from '@supabase/supabase-js';
+
+// Service-role client for the auth admin API. It bypasses row level
+// security, so only use it in server code after checking the caller.
+export function createAdminClient() {
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY belum diatur');
+  }
+
+  return createSupabaseClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false,
+      },
+    }
+  );
+}
@@ -1,5 +1,11 @@
 import { createServerClient } from '@supabase/ssr';
 import { NextResponse, NextRequest } from 'next/server';
+import { DEFAULT_ROLE, canAccessRoute } from '@/lib/roles';
+import {
+  LAST_ACTIVITY_COOKIE,
+  LAST_ACTIVITY_COOKIE_OPTIONS,
+  isIdleExpired,
+} from '@/lib/session';
 
 export async function updateSession(request) {
   let supabaseResponse = NextResponse.next({
@@ -42,7 +48,8 @@ export async function updateSession(request) {
   if (
     !user &&
     !request.nextUrl.pathname.startsWith('/login') &&
-    !request.nextUrl.pathname.startsWith('/auth')
+    !request.nextUrl.pathname.startsWith('/auth') &&
+    !request.nextUrl.pathname.startsWith('/error')
   ) {
     // no user, potentially respond by redirecting the user to the login page
     const url = request.nextUrl.clone();
@@ -50,6 +57,53 @@ export async function updateSession(request) {
     return NextResponse.redirect(url);
   }
 
+  // Redirect while keeping the cookies the auth client set on the response
+  const redirectWithSession = (pathname, params = {}) => {
+    const url = request.nextUrl.clone();
+    url.pathname = pathname;
+    url.search = new URLSearchParams(params).toString();
+    const redirectResponse = NextResponse.redirect(url);
+    supabaseResponse.cookies
+      .getAll()
+      .forEach((cookie) => redirectResponse.cookies.set(cookie));
+    return redirectResponse;
+  };
+
+  if (user) {
+    // Sessions left idle too long end here, whichever tab or device asks.
+    // Any other request counts as activity.
+    const lastActivity = Number(
+      request.cookies.get(LAST_ACTIVITY_COOKIE)?.value
+    );
+    if (isIdleExpired(lastActivity)) {
+      await supabase.auth.signOut();
+      return redirectWithSession('/login', { reason: 'idle' });
+    }
+    supabaseResponse.cookies.set(
+      LAST_ACTIVITY_COOKIE,
+      String(Date.now()),
+      LAST_ACTIVITY_COOKIE_OPTIONS
+    );
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('role, deactivated_at')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    // Deactivated accounts lose their session at the next request
+    if (profile?.deactivated_at) {
+      await supabase.auth.signOut();
+      return redirectWithSession('/login');
+    }
+
+    // Pages outside the user's role go back to the dashboard
+    const role = profile?.role || DEFAULT_ROLE;
+    if (!canAccessRoute(role, request.nextUrl.pathname)) {
+      return redirectWithSession('/');
+    }
+  }
+
   // IMPORTANT: You *must* return the supabaseResponse object as it is.
   // If you're creating a new response object with NextResponse.next() make sure to:
   // 1. Pass the request in it, like so: